@@ -132,6 +132,118 @@ export async function findItemByTmdbId(tmdbId, mediaType, apiKey, baseUrl) {
   }
 }
 
+/**
+ * Search movies and series in the Jellyfin library by name
+ * @param {string} query - Search term
+ * @param {string} apiKey - Jellyfin API key
+ * @param {string} baseUrl - Jellyfin base URL
+ * @param {number} limit - Maximum number of items to return
+ * @returns {Promise<Array>} Array of matching items
+ */
+export async function searchItems(query, apiKey, baseUrl, limit = 25) {
+  try {
+    const safeBase = new URL(baseUrl);
+    safeBase.pathname = safeBase.pathname.replace(/\/$/, "") + "/Items";
+    const response = await axios.get(safeBase.href, {
+      headers: { "X-MediaBrowser-Token": apiKey },
+      params: {
+        SearchTerm: query,
+        IncludeItemTypes: "Movie,Series",
+        Recursive: true,
+        Limit: limit,
+        Fields: "ProductionYear,ProviderIds",
+      },
+      timeout: 5000,
+    });
+    return response.data?.Items || [];
+  } catch (err) {
+    logger.warn(`Failed to search Jellyfin for "${query}":`, err?.message || err);
+    return [];
+  }
+}
+
+/**
+ * Fetch a library item together with its media sources and streams
+ * @param {string} itemId - Jellyfin item ID
+ * @param {string} apiKey - Jellyfin API key
+ * @param {string} baseUrl - Jellyfin base URL
+ * @returns {Promise<Object|null>} Item or null if not found
+ * @throws {Error} If Jellyfin cannot be reached
+ */
+export async function fetchItemWithMedia(itemId, apiKey, baseUrl) {
+  const safeBase = new URL(baseUrl);
+  safeBase.pathname = safeBase.pathname.replace(/\/$/, "") + "/Items";
+  const response = await axios.get(safeBase.href, {
+    headers: { "X-MediaBrowser-Token": apiKey },
+    params: {
+      Ids: itemId,
+      Fields: "MediaSources,Overview,Genres,ProviderIds",
+    },
+    timeout: 5000,
+  });
+  return response.data?.Items?.[0] || null;
+}
+
+/**
+ * Fetch every episode of a series with its media sources
+ * @param {string} seriesId - Jellyfin series ID
+ * @param {string} apiKey - Jellyfin API key
+ * @param {string} baseUrl - Jellyfin base URL
+ * @returns {Promise<Array>} Array of episode items
+ * @throws {Error} If Jellyfin cannot be reached
+ */
+export async function fetchSeriesEpisodes(seriesId, apiKey, baseUrl) {
+  const safeBase = new URL(baseUrl);
+  safeBase.pathname = safeBase.pathname.replace(/\/$/, "") + "/Items";
+  const response = await axios.get(safeBase.href, {
+    headers: { "X-MediaBrowser-Token": apiKey },
+    params: {
+      ParentId: seriesId,
+      IncludeItemTypes: "Episode",
+      Recursive: true,
+      Fields: "MediaSources",
+      SortBy: "ParentIndexNumber,IndexNumber",
+    },
+    timeout: 10000,
+  });
+  return response.data?.Items || [];
+}
+
+/**
+ * Fetch items from a Jellyfin user's point of view (watched, favorites...)
+ * @param {string} userId - Jellyfin user ID
+ * @param {Object} options - Query options ({ filters, includeItemTypes, sortBy, ids, limit })
+ * @param {string} apiKey - Jellyfin API key
+ * @param {string} baseUrl - Jellyfin base URL
+ * @returns {Promise<Array>} Array of items with their provider IDs
+ * @throws {Error} If Jellyfin cannot be reached
+ */
+export async function fetchUserItems(
+  userId,
+  { filters, includeItemTypes = "Movie,Series", sortBy, ids, limit = 50 } = {},
+  apiKey,
+  baseUrl
+) {
+  const safeBase = new URL(baseUrl);
+  safeBase.pathname = safeBase.pathname.replace(/\/$/, "") + "/Items";
+  const response = await axios.get(safeBase.href, {
+    headers: { "X-MediaBrowser-Token": apiKey },
+    params: {
+      UserId: userId,
+      Recursive: true,
+      IncludeItemTypes: includeItemTypes,
+      Filters: filters,
+      SortBy: sortBy,
+      SortOrder: sortBy ? "Descending" : undefined,
+      Ids: ids,
+      Limit: limit,
+      Fields: "ProviderIds",
+    },
+    timeout: 10000,
+  });
+  return response.data?.Items || [];
+}
+
 /**
  * Find library for an item by querying Jellyfin's ancestor endpoint
  * This is more reliable than traversing parent chain
@@ -460,6 +572,25 @@ export async function fetchRecentlyAdded(apiKey, baseUrl, limit = 50) {
   }
 }
 
+/**
+ * Fetch recently active playback sessions from Jellyfin
+ * @param {string} apiKey - Jellyfin API key
+ * @param {string} baseUrl - Jellyfin base URL
+ * @returns {Promise<Array>} Array of session objects
+ * @throws {Error} If Jellyfin cannot be reached
+ */
+export async function fetchSessions(apiKey, baseUrl) {
+  const safeBase = new URL(baseUrl);
+  safeBase.pathname = safeBase.pathname.replace(/\/$/, "") + "/Sessions";
+  const response = await axios.get(safeBase.href, {
+    headers: { "X-MediaBrowser-Token": apiKey },
+    params: { ActiveWithinSeconds: 960 },
+    timeout: 5000,
+  });
+
+  return Array.isArray(response.data) ? response.data : [];
+}
+
 /**
  * Fetch detailed information about a specific item
  * @param {string} itemId - Jellyfin item ID
@@ -519,6 +650,11 @@ export function transformToWebhookFormat(item, baseUrl, serverId) {
     data.RunTime = Math.round(item.RunTimeTicks / 600000000); // Convert ticks to minutes
   }
 
+  // Video height lets 4K-only mention rules match polled items too
+  if (item.Height) {
+    data.Video_0_Height = item.Height;
+  }
+
   // For TV shows, add series-specific data
   if (item.Type === "Series") {
     data.SeriesId = item.Id;
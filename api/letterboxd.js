@@ -0,0 +1,36 @@
+import axios from "axios";
+import logger from "../utils/logger.js";
+import { TIMEOUTS } from "../lib/constants.js";
+
+/**
+ * Read the TMDB ID from a Letterboxd film page (boxd.it short links included)
+ * @param {string} url - Letterboxd film URL
+ * @returns {Promise<Object|null>} { tmdbId, mediaType } or null if not found
+ */
+export async function fetchLetterboxdTmdbId(url) {
+  try {
+    const res = await axios.get(url, {
+      timeout: TIMEOUTS.LETTERBOXD,
+      maxRedirects: 5,
+      responseType: "text",
+    });
+    const html = String(res.data || "");
+
+    // Film pages carry the IDs on <body>, and link to TMDB as a fallback
+    const idMatch =
+      html.match(/data-tmdb-id="(\d+)"/) ||
+      html.match(/themoviedb\.org\/(?:movie|tv)\/(\d+)/);
+    if (!idMatch) return null;
+
+    const typeMatch =
+      html.match(/data-tmdb-type="(movie|tv)"/) ||
+      html.match(/themoviedb\.org\/(movie|tv)\/\d+/);
+    return {
+      tmdbId: parseInt(idMatch[1], 10),
+      mediaType: typeMatch ? typeMatch[1] : "movie",
+    };
+  } catch (err) {
+    logger.warn(`Letterboxd lookup failed for ${url}: ${err?.message || err}`);
+    return null;
+  }
+}
@@ -547,3 +547,210 @@ export async function sendRequest({
     throw err;
   }
 }
+
+/**
+ * Fetch a page of requests made by a Seerr user
+ * @param {number|string} seerrUserId - Seerr user ID
+ * @param {Object} options - Paging options ({ take, skip })
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<Object>} { results, pageInfo }
+ */
+export async function fetchUserRequests(
+  seerrUserId,
+  { take = 10, skip = 0 } = {},
+  seerrUrl,
+  apiKey
+) {
+  const apiUrl = normalizeApiUrl(seerrUrl);
+  const userId = parseInt(seerrUserId, 10);
+
+  try {
+    const response = await axios.get(`${apiUrl}/user/${userId}/requests`, {
+      headers: { "X-Api-Key": apiKey },
+      params: { take, skip },
+      timeout: TIMEOUTS.SEERR_API,
+    });
+
+    return {
+      results: response.data?.results || [],
+      pageInfo: response.data?.pageInfo || { pages: 0, page: 1, results: 0 },
+    };
+  } catch (err) {
+    logger.error(
+      `[SEERR] Failed to fetch requests for Seerr user ${userId}:`,
+      err?.message
+    );
+    throw err;
+  }
+}
+
+/**
+ * Fetch a page of requests across all Seerr users
+ * @param {Object} options - Paging/filter options ({ take, skip, filter })
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<Object>} { results, pageInfo }
+ */
+export async function fetchRequests(
+  { take = 20, skip = 0, filter = "all" } = {},
+  seerrUrl,
+  apiKey
+) {
+  const apiUrl = normalizeApiUrl(seerrUrl);
+
+  try {
+    const response = await axios.get(`${apiUrl}/request`, {
+      headers: { "X-Api-Key": apiKey },
+      params: { take, skip, filter, sort: "added" },
+      timeout: TIMEOUTS.SEERR_API,
+    });
+
+    return {
+      results: response.data?.results || [],
+      pageInfo: response.data?.pageInfo || { pages: 0, page: 1, results: 0 },
+    };
+  } catch (err) {
+    logger.error(`[SEERR] Failed to fetch ${filter} requests:`, err?.message);
+    throw err;
+  }
+}
+
+/**
+ * Fetch a page of media known to Seerr (requested or in the library)
+ * @param {Object} options - Paging/filter options ({ take, skip, filter })
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<Object>} { results, pageInfo }
+ */
+export async function fetchMedia(
+  { take = 100, skip = 0, filter = "all" } = {},
+  seerrUrl,
+  apiKey
+) {
+  const apiUrl = normalizeApiUrl(seerrUrl);
+
+  try {
+    const response = await axios.get(`${apiUrl}/media`, {
+      headers: { "X-Api-Key": apiKey },
+      params: { take, skip, filter, sort: "modified" },
+      timeout: TIMEOUTS.SEERR_API,
+    });
+
+    return {
+      results: response.data?.results || [],
+      pageInfo: response.data?.pageInfo || { pages: 0, page: 1, results: 0 },
+    };
+  } catch (err) {
+    logger.error(`[SEERR] Failed to fetch ${filter} media:`, err?.message);
+    throw err;
+  }
+}
+
+/**
+ * Fetch a Seerr user, including the linked Jellyfin account
+ * @param {number|string} seerrUserId - Seerr user ID
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<Object>} User
+ */
+export async function fetchUser(seerrUserId, seerrUrl, apiKey) {
+  const apiUrl = normalizeApiUrl(seerrUrl);
+  const userId = parseInt(seerrUserId, 10);
+
+  try {
+    const response = await axios.get(`${apiUrl}/user/${userId}`, {
+      headers: { "X-Api-Key": apiKey },
+      timeout: TIMEOUTS.SEERR_API,
+    });
+    return response.data;
+  } catch (err) {
+    logger.error(`[SEERR] Failed to fetch Seerr user ${userId}:`, err?.message);
+    throw err;
+  }
+}
+
+/**
+ * Fetch a single Seerr request by ID
+ * @param {number|string} requestId - Seerr request ID
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<Object>} Request
+ */
+export async function fetchRequest(requestId, seerrUrl, apiKey) {
+  const apiUrl = normalizeApiUrl(seerrUrl);
+  const id = parseInt(requestId, 10);
+
+  try {
+    const response = await axios.get(`${apiUrl}/request/${id}`, {
+      headers: { "X-Api-Key": apiKey },
+      timeout: TIMEOUTS.SEERR_API,
+    });
+    return response.data;
+  } catch (err) {
+    logger.error(`[SEERR] Failed to fetch request ${id}:`, err?.message);
+    throw err;
+  }
+}
+
+/**
+ * Approve or decline a pending Seerr request
+ * @param {number|string} requestId - Seerr request ID
+ * @param {string} action - 'approve' or 'decline'
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<Object>} Updated request
+ */
+export async function updateRequestStatus(requestId, action, seerrUrl, apiKey) {
+  if (action !== "approve" && action !== "decline") {
+    throw new Error(`Invalid request action: ${action}`);
+  }
+
+  const apiUrl = normalizeApiUrl(seerrUrl);
+  const id = parseInt(requestId, 10);
+
+  try {
+    const response = await axios.post(
+      `${apiUrl}/request/${id}/${action}`,
+      {},
+      {
+        headers: { "X-Api-Key": apiKey },
+        timeout: TIMEOUTS.SEERR_POST,
+      }
+    );
+    logger.info(`[SEERR] Request ${id} ${action}d`);
+    return response.data;
+  } catch (err) {
+    logger.error(
+      `[SEERR] Failed to ${action} request ${id}:`,
+      err?.response?.data?.message || err?.message
+    );
+    throw err;
+  }
+}
+
+/**
+ * Delete a Seerr request
+ * @param {number|string} requestId - Seerr request ID
+ * @param {string} seerrUrl - Seerr API URL
+ * @param {string} apiKey - Seerr API key
+ * @returns {Promise<void>}
+ */
+export async function deleteRequest(requestId, seerrUrl, apiKey) {
+  const apiUrl = normalizeApiUrl(seerrUrl);
+  const id = parseInt(requestId, 10);
+
+  try {
+    await axios.delete(`${apiUrl}/request/${id}`, {
+      headers: { "X-Api-Key": apiKey },
+      timeout: TIMEOUTS.SEERR_POST,
+    });
+    logger.info(`[SEERR] Request ${id} deleted`);
+  } catch (err) {
+    logger.error(
+      `[SEERR] Failed to delete request ${id}:`,
+      err?.response?.data?.message || err?.message
+    );
+    throw err;
+  }
+}
@@ -37,6 +37,18 @@ export async function tmdbSearch(query, apiKey) {
   }
 }
 
+/**
+ * Best search match of one type, for text typed instead of an autocomplete pick
+ * @param {string} query - Search query
+ * @param {string} mediaType - "movie", "tv" or "person"
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Object|null>} First result of that type, or null
+ */
+export async function tmdbFindBestMatch(query, mediaType, apiKey) {
+  const results = await tmdbSearch(query, apiKey);
+  return results.find((r) => r.media_type === mediaType) || null;
+}
+
 /**
  * Get trending movies and TV shows
  * @param {string} apiKey - TMDB API key
@@ -102,6 +114,135 @@ export async function tmdbGetDetails(id, mediaType, apiKey) {
   }
 }
 
+/**
+ * Get movies TMDB lists as coming to theaters soon
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Array>} Upcoming movies (first page)
+ */
+export async function tmdbGetUpcomingMovies(apiKey) {
+  try {
+    const res = await axios.get("https://api.themoviedb.org/3/movie/upcoming", {
+      params: { api_key: apiKey, language: "en-US", page: 1 },
+      timeout: TIMEOUTS.TMDB_API,
+    });
+    return res.data.results || [];
+  } catch (err) {
+    logger.error(`TMDB upcoming movies fetch failed: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Get a movie's release dates per country (theatrical, digital, physical...)
+ * @param {number} id - TMDB movie ID
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Array>} One entry per country with its release_dates
+ */
+export async function tmdbGetReleaseDates(id, apiKey) {
+  try {
+    const res = await axios.get(
+      `https://api.themoviedb.org/3/movie/${id}/release_dates`,
+      {
+        params: { api_key: apiKey },
+        timeout: TIMEOUTS.TMDB_API,
+      }
+    );
+    return res.data.results || [];
+  } catch (err) {
+    logger.error(`TMDB release dates fetch failed for movie ${id}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Get titles related to a movie or TV show
+ * @param {number} id - TMDB ID
+ * @param {string} mediaType - 'movie' or 'tv'
+ * @param {string} kind - 'recommendations' or 'similar'
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Array>} Related titles (first page)
+ */
+export async function tmdbGetRelated(id, mediaType, kind, apiKey) {
+  try {
+    const res = await axios.get(
+      `https://api.themoviedb.org/3/${mediaType}/${id}/${kind}`,
+      {
+        params: { api_key: apiKey, language: "en-US", page: 1 },
+        timeout: TIMEOUTS.TMDB_API,
+      }
+    );
+    return res.data.results || [];
+  } catch (err) {
+    logger.error(`TMDB ${kind} fetch failed for ${mediaType} ${id}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Get a movie collection and its parts
+ * @param {number} id - TMDB collection ID
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Object>} Collection with its parts
+ */
+export async function tmdbGetCollection(id, apiKey) {
+  try {
+    const res = await axios.get(`https://api.themoviedb.org/3/collection/${id}`, {
+      params: { api_key: apiKey, language: "en-US" },
+      timeout: TIMEOUTS.TMDB_API,
+    });
+    return res.data;
+  } catch (err) {
+    logger.error(`TMDB collection fetch failed for ${id}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Get a person's details together with their movie and TV credits
+ * @param {number} id - TMDB person ID
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Object>} Person details with combined_credits
+ */
+export async function tmdbGetPerson(id, apiKey) {
+  try {
+    const res = await axios.get(`https://api.themoviedb.org/3/person/${id}`, {
+      params: {
+        api_key: apiKey,
+        language: "en-US",
+        append_to_response: "combined_credits",
+      },
+      timeout: TIMEOUTS.TMDB_API,
+    });
+    return res.data;
+  } catch (err) {
+    logger.error(`TMDB person fetch failed for ${id}: ${err.message}`);
+    throw err;
+  }
+}
+
+/**
+ * Find TMDB movies and shows by an external ID
+ * @param {string} externalId - External ID (e.g. "tt0133093" or a TVDB ID)
+ * @param {string} source - 'imdb_id' or 'tvdb_id'
+ * @param {string} apiKey - TMDB API key
+ * @returns {Promise<Object>} { movie_results, tv_results, tv_episode_results, ... }
+ */
+export async function tmdbFindByExternalId(externalId, source, apiKey) {
+  try {
+    const res = await axios.get(
+      `https://api.themoviedb.org/3/find/${encodeURIComponent(externalId)}`,
+      {
+        params: { api_key: apiKey, external_source: source },
+        timeout: TIMEOUTS.TMDB_API,
+      }
+    );
+    return res.data;
+  } catch (err) {
+    logger.error(`TMDB find failed for ${source} ${externalId}: ${err.message}`);
+    throw err;
+  }
+}
+
 /**
  * Get external IDs (IMDb) for a movie or TV show
  * @param {number} id - TMDB ID
@@ -7,6 +7,7 @@ import express from "express";
 import cookieParser from "cookie-parser";
 import rateLimit from "express-rate-limit";
 import { handleJellyfinWebhook } from "./jellyfinWebhook.js";
+import { handleSeerrWebhook } from "./seerrWebhook.js";
 import { configTemplate } from "./lib/config.js";
 import { sendDailyRandomPick } from "./bot/dailyPick.js";
 
@@ -25,6 +26,8 @@ import userMappingRouter from "./routes/userMappingRoutes.js";
 import configRouter from "./routes/configRoutes.js";
 import seerrRouter from "./routes/seerrRoutes.js";
 import jellyfinRouter from "./routes/jellyfinRoutes.js";
+import requestHistoryRouter from "./routes/requestHistoryRoutes.js";
+import importRouter from "./routes/importRoutes.js";
 import { botState, pendingRequests, savePendingRequests } from "./bot/botState.js";
 import { createBotRoutes } from "./routes/botRoutes.js";
 import { startBot } from "./bot/botManager.js";
@@ -238,6 +241,9 @@ function configureWebServer() {
   // Auth routes (before general rate limiter so authLimiter applies)
   app.use("/api", authRouter);
 
+  // Bulk import routes (own limiter, the dashboard polls progress)
+  app.use("/api", importRouter);
+
   // Apply rate limiting to all API endpoints (except auth and webhooks)
   app.use("/api/", apiLimiter);
 
@@ -256,6 +262,9 @@ function configureWebServer() {
   // Jellyfin test/library routes
   app.use("/api", jellyfinRouter);
 
+  // Request history routes (list, CSV export)
+  app.use("/api", requestHistoryRouter);
+
   // Bot management routes (health, status, start-bot, stop-bot)
   app.use("/api", createBotRoutes({ startBot, jellyfinPoller }));
 
@@ -379,10 +388,21 @@ function configureWebServer() {
 
         channels.sort((a, b) => a.name.localeCompare(b.name));
 
+        // Voice and stage channels can't take messages, but scheduled events
+        // can be hosted in them
+        const voiceChannels = guild.channels.cache
+          .filter((channel) => channel.type === 2 || channel.type === 13) // GUILD_VOICE, GUILD_STAGE_VOICE
+          .map((channel) => ({
+            id: channel.id,
+            name: channel.name,
+            type: channel.type === 13 ? "stage" : "voice",
+          }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+
         logger.debug(
           `[CHANNELS API] Found ${channels.length} channels (including threads) in guild ${guild.name}`
         );
-        res.json({ success: true, channels });
+        res.json({ success: true, channels, voiceChannels });
       } catch (err) {
         logger.error("[CHANNELS API] Error:", err);
         res.json({ success: false, message: err.message });
@@ -595,21 +615,36 @@ function configureWebServer() {
   // Verify the shared secret sent by Jellyfin in the X-Webhook-Secret header.
   // Configure WEBHOOK_SECRET in the dashboard, then add a matching custom header
   // in the Jellyfin webhook plugin: X-Webhook-Secret: <your-secret>
-  function verifyWebhookSecret(req, res, next) {
-    const provided = req.headers["x-webhook-secret"];
+  function isValidWebhookSecret(provided) {
     const expected = WEBHOOK_SECRET;
     const providedBuf = Buffer.from(provided || "", "utf8");
     const expectedBuf = Buffer.from(expected, "utf8");
-    const valid =
+    return (
       providedBuf.length === expectedBuf.length &&
-      crypto.timingSafeEqual(providedBuf, expectedBuf);
-    if (!valid) {
+      crypto.timingSafeEqual(providedBuf, expectedBuf)
+    );
+  }
+
+  function verifyWebhookSecret(req, res, next) {
+    if (!isValidWebhookSecret(req.headers["x-webhook-secret"])) {
       logger.warn(`⚠️ Webhook rejected: invalid or missing X-Webhook-Secret (from ${req.ip})`);
       return res.status(401).json({ success: false, error: "Unauthorized" });
     }
     next();
   }
 
+  // Seerr's webhook agent can only set the Authorization header, so the same
+  // secret is accepted there in addition to X-Webhook-Secret.
+  function verifySeerrWebhookSecret(req, res, next) {
+    const provided =
+      req.headers["x-webhook-secret"] || req.headers["authorization"];
+    if (!isValidWebhookSecret(provided)) {
+      logger.warn(`⚠️ Seerr webhook rejected: invalid or missing secret (from ${req.ip})`);
+      return res.status(401).json({ success: false, error: "Unauthorized" });
+    }
+    next();
+  }
+
   // --- JELLYFIN WEBHOOK ENDPOINT ---
   app.post("/jellyfin-webhook", webhookLimiter, verifyWebhookSecret, express.json({ type: "*/*" }), async (req, res) => {
     try {
@@ -643,6 +678,32 @@ function configureWebServer() {
     }
   });
 
+  // --- SEERR WEBHOOK ENDPOINT ---
+  app.post("/seerr-webhook", webhookLimiter, verifySeerrWebhookSecret, express.json({ type: "*/*" }), async (req, res) => {
+    try {
+      const notificationType = req.body?.notification_type;
+      logger.info(`📥 Received Seerr webhook (${notificationType || "unknown"})`);
+
+      // Acknowledge receipt immediately
+      res.status(200).json({ success: true, message: "Webhook received" });
+
+      if (!notificationType) {
+        logger.warn("⚠️ Seerr webhook has no notification_type — check the JSON payload template in Seerr");
+        return;
+      }
+
+      if (botState.discordClient && botState.isBotRunning) {
+        await handleSeerrWebhook(req.body, botState.discordClient);
+      } else {
+        logger.warn(
+          `⚠️ Seerr webhook received but Discord bot is not running — notification dropped (${notificationType})`
+        );
+      }
+    } catch (error) {
+      logger.error(`❌ Error processing Seerr webhook (${req.body?.notification_type}):`, error);
+    }
+  });
+
   app.post(
     "/api/save-config",
     authenticateToken,
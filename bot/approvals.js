@@ -0,0 +1,398 @@
+import fs from "fs";
+import path from "path";
+import {
+  EmbedBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import { buildNotificationEmbed } from "./embeds.js";
+import { checkApprovalPermission, getMappedDiscordUserId } from "./botUtils.js";
+import { updateRequestOutcome } from "./requestHistory.js";
+import { sendDirectMessage } from "./quietHours.js";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { COLORS, REQUEST_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const SYNC_PAGE_SIZE = 50;
+const RESOLVED_IN_DISCORD_TTL_MS = 10 * 60 * 1000;
+
+let approvalSyncTimer = null;
+
+// --- APPROVAL QUEUE TRACKING ---
+// key = Seerr request ID, value = { channelId, messageId, discordUserId, tmdbId, mediaType }
+const approvalMessages = new Map();
+
+// Requests approved/declined with the buttons here. The requester is DMed
+// from this module (with the decline reason), so the Seerr webhook skips the
+// DM it would send for the same decision.
+// key = Seerr request ID, value = timestamp
+const resolvedInDiscord = new Map();
+
+export function wasResolvedInDiscord(requestId) {
+  const resolvedAt = resolvedInDiscord.get(String(requestId));
+  return Boolean(resolvedAt) && Date.now() - resolvedAt < RESOLVED_IN_DISCORD_TTL_MS;
+}
+
+function markResolvedInDiscord(requestId) {
+  const now = Date.now();
+  for (const [key, resolvedAt] of resolvedInDiscord) {
+    if (now - resolvedAt >= RESOLVED_IN_DISCORD_TTL_MS) resolvedInDiscord.delete(key);
+  }
+  resolvedInDiscord.set(String(requestId), now);
+}
+
+export const APPROVALS_PATH = path.join(
+  path.dirname(CONFIG_PATH),
+  "approvals.json"
+);
+
+function saveApprovalMessages() {
+  try {
+    fs.writeFileSync(
+      APPROVALS_PATH,
+      JSON.stringify(Object.fromEntries(approvalMessages), null, 2),
+      { encoding: "utf-8", mode: 0o600 }
+    );
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist approval queue to disk: ${err.message}`);
+  }
+}
+
+export function loadApprovalMessages() {
+  if (!fs.existsSync(APPROVALS_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(APPROVALS_PATH, "utf-8"));
+    approvalMessages.clear();
+    for (const [requestId, entry] of Object.entries(parsed)) {
+      approvalMessages.set(requestId, entry);
+    }
+    logger.info(`✅ Loaded ${approvalMessages.size} queued approval(s) from disk`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load approval queue from disk: ${err.message}`);
+  }
+}
+
+function buildApprovalButtons(requestId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`approval_approve|${requestId}`)
+        .setLabel("Approve")
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`approval_decline|${requestId}`)
+        .setLabel("Decline")
+        .setStyle(ButtonStyle.Danger),
+      new ButtonBuilder()
+        .setCustomId(`approval_reason|${requestId}`)
+        .setLabel("Decline with reason")
+        .setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+
+export async function postPendingApproval(
+  client,
+  seerrRequest,
+  { discordUserId = null, details = null } = {}
+) {
+  const channelId = process.env.APPROVALS_CHANNEL_ID;
+  if (!channelId || !seerrRequest?.id) return;
+  if (seerrRequest.status !== REQUEST_STATUS.PENDING) return;
+
+  const requestId = String(seerrRequest.id);
+  if (approvalMessages.has(requestId)) return;
+
+  try {
+    const tmdbId = seerrRequest.media?.tmdbId;
+    const mediaType = seerrRequest.type || seerrRequest.media?.mediaType || "movie";
+    const requesterId =
+      discordUserId || getMappedDiscordUserId(seerrRequest.requestedBy?.id);
+
+    const mediaDetails =
+      details ||
+      (await tmdbApi.tmdbGetDetails(tmdbId, mediaType, getTmdbApiKey()));
+
+    const embed = buildNotificationEmbed(
+      mediaDetails,
+      mediaType,
+      mediaDetails.external_ids?.imdb_id || null,
+      "search",
+      null,
+      tmdbId
+    )
+      .setAuthor({ name: "🕒 Awaiting approval" })
+      .setColor(COLORS.WARNING);
+
+    const requestedBy = requesterId
+      ? `<@${requesterId}>`
+      : seerrRequest.requestedBy?.displayName || "Unknown";
+    embed.addFields({ name: "Requested by", value: requestedBy, inline: true });
+
+    if (mediaType === "tv" && Array.isArray(seerrRequest.seasons)) {
+      const seasons = seerrRequest.seasons
+        .map((s) => s.seasonNumber)
+        .sort((a, b) => a - b);
+      if (seasons.length > 0) {
+        embed.addFields({
+          name: "Seasons",
+          value: seasons.join(", "),
+          inline: true,
+        });
+      }
+    }
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      logger.warn(`[APPROVALS] Approvals channel not found: ${channelId}`);
+      return;
+    }
+
+    const message = await channel.send({
+      embeds: [embed],
+      components: buildApprovalButtons(requestId),
+      allowedMentions: { parse: [] },
+    });
+
+    approvalMessages.set(requestId, {
+      channelId,
+      messageId: message.id,
+      discordUserId: requesterId,
+      tmdbId,
+      mediaType,
+    });
+    saveApprovalMessages();
+
+    logger.info(`[APPROVALS] Posted Seerr request ${requestId} for approval`);
+  } catch (err) {
+    logger.error(`[APPROVALS] Failed to post request ${requestId}:`, err);
+  }
+}
+
+export async function syncPendingApprovals(client) {
+  if (!process.env.APPROVALS_CHANNEL_ID) return;
+
+  try {
+    const { results } = await seerrApi.fetchRequests(
+      { take: SYNC_PAGE_SIZE, filter: "pending" },
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+
+    for (const seerrRequest of results) {
+      await postPendingApproval(client, seerrRequest);
+    }
+  } catch (err) {
+    logger.error(`[APPROVALS] Failed to sync pending requests: ${err.message}`);
+  }
+}
+
+export function stopApprovalSync() {
+  if (approvalSyncTimer) {
+    clearInterval(approvalSyncTimer);
+    approvalSyncTimer = null;
+  }
+}
+
+export function scheduleApprovalSync(client) {
+  stopApprovalSync();
+
+  if (process.env.APPROVALS_INCLUDE_ALL_PENDING !== "true") return;
+
+  if (!process.env.APPROVALS_CHANNEL_ID) {
+    logger.warn(
+      "Approval sync is enabled but no approvals channel is configured. Skipping."
+    );
+    return;
+  }
+
+  logger.info("🕒 Syncing pending Seerr requests to the approvals channel");
+
+  syncPendingApprovals(client);
+  approvalSyncTimer = setInterval(() => {
+    syncPendingApprovals(client);
+  }, SYNC_INTERVAL_MS);
+}
+
+// Called when a queued request was approved/declined outside of Discord,
+// or withdrawn by the requester (label overrides the default status line)
+export async function markApprovalHandled(client, requestId, approved, label = null) {
+  const key = String(requestId);
+  const entry = approvalMessages.get(key);
+  if (!entry) return;
+
+  try {
+    const channel = await client.channels.fetch(entry.channelId).catch(() => null);
+    const message = channel
+      ? await channel.messages.fetch(entry.messageId).catch(() => null)
+      : null;
+
+    if (message) {
+      const original = message.embeds[0];
+      const embed = original ? EmbedBuilder.from(original) : new EmbedBuilder();
+      embed
+        .setAuthor({
+          name:
+            label || (approved ? "✅ Approved in Seerr" : "❌ Declined in Seerr"),
+        })
+        .setColor(approved ? COLORS.SUCCESS : COLORS.ERROR);
+      await message.edit({ embeds: [embed], components: [] });
+    }
+  } catch (err) {
+    logger.warn(`[APPROVALS] Failed to update message for request ${key}: ${err.message}`);
+  }
+
+  updateRequestOutcome(key, approved ? "approved" : "declined");
+  approvalMessages.delete(key);
+  saveApprovalMessages();
+}
+
+async function notifyRequester(client, entry, title, approved, reason) {
+  if (!entry?.discordUserId) return;
+
+  let content = approved
+    ? `✅ Your request for **${title}** has been approved!`
+    : `❌ Your request for **${title}** was declined.`;
+  if (!approved && reason) {
+    content += `\n**Reason:** ${reason}`;
+  }
+
+  try {
+    const user = await client.users.fetch(entry.discordUserId);
+    await sendDirectMessage(user, { content });
+  } catch (err) {
+    logger.warn(
+      `[APPROVALS] Could not DM requester ${entry.discordUserId}: ${err.message}`
+    );
+  }
+}
+
+async function resolveRequest(interaction, requestId, action, reason = null) {
+  const approved = action === "approve";
+  // Read first, the entry can be dropped while Seerr is handling the call
+  const entry = approvalMessages.get(requestId);
+
+  // Marked before calling Seerr, its webhook can arrive before the call returns
+  markResolvedInDiscord(requestId);
+  try {
+    await seerrApi.updateRequestStatus(
+      requestId,
+      action,
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+  } catch (err) {
+    resolvedInDiscord.delete(String(requestId));
+    const seerrMessage = err?.response?.data?.message;
+    await interaction.followUp({
+      content: `⚠️ Could not ${action} this request${seerrMessage ? `: ${seerrMessage}` : ". It may have already been handled in Seerr."}`,
+      flags: 64,
+    });
+    return;
+  }
+
+  const original = interaction.message.embeds[0];
+  const embed = original ? EmbedBuilder.from(original) : new EmbedBuilder();
+  embed
+    .setAuthor({ name: approved ? "✅ Approved" : "❌ Declined" })
+    .setColor(approved ? COLORS.SUCCESS : COLORS.ERROR)
+    .addFields({
+      name: approved ? "Approved by" : "Declined by",
+      value: `<@${interaction.user.id}>`,
+      inline: true,
+    });
+  if (reason) {
+    embed.addFields({ name: "Reason", value: reason.slice(0, 1024) });
+  }
+
+  await interaction.editReply({ embeds: [embed], components: [] });
+
+  await notifyRequester(
+    interaction.client,
+    entry,
+    original?.title || "your media",
+    approved,
+    reason
+  );
+
+  updateRequestOutcome(requestId, approved ? "approved" : "declined");
+  approvalMessages.delete(requestId);
+  saveApprovalMessages();
+
+  logger.info(
+    `[APPROVALS] Discord User ${interaction.user.id} ${action}d Seerr request ${requestId}`
+  );
+}
+
+// customId format: approval_approve|requestId, approval_decline|requestId,
+// approval_reason|requestId
+export async function handleApprovalButton(interaction) {
+  const [prefix, requestId] = interaction.customId.split("|");
+
+  if (!checkApprovalPermission(interaction.member)) {
+    return interaction.reply({
+      content: "❌ You don't have permission to approve or decline requests.",
+      flags: 64,
+    });
+  }
+
+  if (prefix === "approval_reason") {
+    const modal = new ModalBuilder()
+      .setCustomId(`approval_reason_modal|${requestId}`)
+      .setTitle("Decline request")
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId("reason")
+            .setLabel("Reason")
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(1000)
+            .setRequired(true)
+        )
+      );
+    return interaction.showModal(modal);
+  }
+
+  await interaction.deferUpdate();
+  try {
+    await resolveRequest(
+      interaction,
+      requestId,
+      prefix === "approval_approve" ? "approve" : "decline"
+    );
+  } catch (err) {
+    logger.error("[APPROVALS] Approval button error:", err);
+  }
+}
+
+// customId format: approval_reason_modal|requestId
+export async function handleApprovalReasonModal(interaction) {
+  const [, requestId] = interaction.customId.split("|");
+
+  if (!checkApprovalPermission(interaction.member)) {
+    return interaction.reply({
+      content: "❌ You don't have permission to approve or decline requests.",
+      flags: 64,
+    });
+  }
+
+  await interaction.deferUpdate();
+  try {
+    const reason = interaction.fields.getTextInputValue("reason").trim();
+    await resolveRequest(interaction, requestId, "decline", reason || null);
+  } catch (err) {
+    logger.error("[APPROVALS] Decline reason error:", err);
+  }
+}
@@ -8,6 +8,15 @@ import { registerCommands } from "../discord/commands.js";
 import { botState, loadPendingRequests } from "./botState.js";
 import { registerInteractions } from "./interactions.js";
 import { scheduleDailyRandomPick } from "./dailyPick.js";
+import { loadApprovalMessages, scheduleApprovalSync } from "./approvals.js";
+import { loadQuotaUsage } from "./quotas.js";
+import { loadRequestHistory } from "./requestHistory.js";
+import { startActivityChannel } from "./nowPlaying.js";
+import { scheduleUpcomingCalendar } from "./upcoming.js";
+import { loadScheduledEvents, scheduleEventSync } from "./scheduledEvents.js";
+import { loadFollows } from "./follows.js";
+import { loadDigestQueue, scheduleNotificationDigests } from "./notificationDigest.js";
+import { loadOutbox, scheduleOutboxDelivery } from "./quietHours.js";
 import { loadConfigToEnv } from "../utils/configFile.js";
 import logger from "../utils/logger.js";
 
@@ -18,6 +27,13 @@ export async function startBot() {
   }
 
   loadPendingRequests();
+  loadApprovalMessages();
+  loadQuotaUsage();
+  loadRequestHistory();
+  loadScheduledEvents();
+  loadFollows();
+  loadDigestQueue();
+  loadOutbox();
 
   const configLoaded = loadConfigToEnv();
   if (!configLoaded) {
@@ -71,6 +87,12 @@ export async function startBot() {
       logger.info("ℹ️ Jellyfin notifications will be received via webhooks.");
 
       scheduleDailyRandomPick(client);
+      scheduleApprovalSync(client);
+      startActivityChannel(client);
+      scheduleUpcomingCalendar(client);
+      scheduleEventSync(client);
+      scheduleNotificationDigests(client);
+      scheduleOutboxDelivery(client);
 
       resolve({ success: true, message: `Logged in as ${client.user.tag}` });
     });
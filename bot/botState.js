@@ -36,6 +36,21 @@ export function savePendingRequests() {
   }
 }
 
+// Adds a user to the "DM me when it's available" list of a title.
+// Returns false when they were already on it.
+export function addPendingSubscriber(tmdbId, mediaType, userId) {
+  const requestKey = `${tmdbId}-${mediaType}`;
+  if (!pendingRequests.has(requestKey)) {
+    pendingRequests.set(requestKey, new Set());
+  }
+  const users = pendingRequests.get(requestKey);
+  if (users.has(userId)) return false;
+
+  users.add(userId);
+  savePendingRequests();
+  return true;
+}
+
 export function loadPendingRequests() {
   if (!fs.existsSync(PENDING_REQUESTS_PATH)) return;
   try {
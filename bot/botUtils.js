@@ -1,3 +1,5 @@
+import { PermissionFlagsBits } from "discord.js";
+import { getUserMappings } from "../utils/configFile.js";
 import logger from "../utils/logger.js";
 
 export function pad2(n) {
@@ -26,54 +28,79 @@ export function getOptionStringRobust(
   return null;
 }
 
-export function parseQualityAndServerOptions(options, mediaType) {
+function parseQualityValue(value, mediaType, source) {
+  // Format: profileId|serverId|type
+  const [qProfileId, qServerId, qType] = value.split("|");
+  if (
+    !(mediaType === "movie" && qType === "radarr") &&
+    !(mediaType === "tv" && qType === "sonarr")
+  ) {
+    logger.debug(`Ignoring ${source} quality - type mismatch (${qType} vs ${mediaType})`);
+    return null;
+  }
+
+  const profileId = parseInt(qProfileId, 10);
+  const serverId = parseInt(qServerId, 10);
+  if (isNaN(profileId) || isNaN(serverId)) {
+    logger.warn(
+      `Invalid ${source} quality format - non-numeric values: profileId=${qProfileId}, serverId=${qServerId}`
+    );
+    return null;
+  }
+
+  logger.debug(`Using quality profile ID: ${profileId} from server ID: ${serverId} (${source})`);
+  return { profileId, serverId };
+}
+
+function parseServerValue(value, mediaType, source) {
+  // Format: serverId|type
+  const [sServerId, sType] = value.split("|");
+  if (
+    !(mediaType === "movie" && sType === "radarr") &&
+    !(mediaType === "tv" && sType === "sonarr")
+  ) {
+    logger.debug(`Ignoring ${source} server - type mismatch (${sType} vs ${mediaType})`);
+    return null;
+  }
+
+  const serverId = parseInt(sServerId, 10);
+  if (isNaN(serverId)) {
+    logger.warn(`Invalid ${source} server format - non-numeric serverId: ${sServerId}`);
+    return null;
+  }
+
+  logger.debug(`Using server ID: ${serverId} (${source})`);
+  return serverId;
+}
+
+// Precedence: explicit command options, then the matched routing rule (see
+// routing.js), then the configured defaults.
+export function parseQualityAndServerOptions(options, mediaType, route = null) {
   let profileId = null;
   let serverId = null;
+  let rootFolder = null;
 
-  // Parse quality option (format: profileId|serverId|type)
   if (options.quality) {
-    const [qProfileId, qServerId, qType] = options.quality.split("|");
-    if (
-      (mediaType === "movie" && qType === "radarr") ||
-      (mediaType === "tv" && qType === "sonarr")
-    ) {
-      const parsedProfileId = parseInt(qProfileId, 10);
-      const parsedServerId = parseInt(qServerId, 10);
-
-      if (!isNaN(parsedProfileId) && !isNaN(parsedServerId)) {
-        profileId = parsedProfileId;
-        serverId = parsedServerId;
-        logger.debug(`Using quality profile ID: ${profileId} from server ID: ${serverId}`);
-      } else {
-        logger.warn(
-          `Invalid quality option format - non-numeric values: profileId=${qProfileId}, serverId=${qServerId}`
-        );
-      }
-    } else {
-      logger.debug(`Ignoring quality option - type mismatch (${qType} vs ${mediaType})`);
-    }
+    const quality = parseQualityValue(options.quality, mediaType, "option");
+    if (quality) ({ profileId, serverId } = quality);
   }
 
-  // Parse server option (format: serverId|type) - only if not already set from quality
+  // Only if not already set from quality
   if (options.server && serverId === null) {
-    const [sServerId, sType] = options.server.split("|");
-    if (
-      (mediaType === "movie" && sType === "radarr") ||
-      (mediaType === "tv" && sType === "sonarr")
-    ) {
-      const parsedServerId = parseInt(sServerId, 10);
-
-      if (!isNaN(parsedServerId)) {
-        serverId = parsedServerId;
-        logger.debug(`Using server ID: ${serverId} from server option`);
-      } else {
-        logger.warn(
-          `Invalid server option format - non-numeric serverId: ${sServerId}`
-        );
-      }
-    } else {
-      logger.debug(`Ignoring server option - type mismatch (${sType} vs ${mediaType})`);
+    serverId = parseServerValue(options.server, mediaType, "option");
+  }
+
+  // A profile only makes sense on its own server, so routing rules never
+  // override part of an explicit choice
+  if (route && profileId === null && serverId === null) {
+    if (route.quality) {
+      const quality = parseQualityValue(route.quality, mediaType, `routing rule "${route.name}"`);
+      if (quality) ({ profileId, serverId } = quality);
+    }
+    if (route.server && serverId === null) {
+      serverId = parseServerValue(route.server, mediaType, `routing rule "${route.name}"`);
     }
+    rootFolder = route.rootFolder || null;
   }
 
   // Apply defaults from config if not specified
@@ -125,7 +152,7 @@ export function parseQualityAndServerOptions(options, mediaType) {
     }
   }
 
-  return { profileId, serverId };
+  return { profileId, serverId, rootFolder };
 }
 
 export function checkRolePermission(member) {
@@ -157,11 +184,81 @@ export function checkRolePermission(member) {
   return true;
 }
 
-export function getSeerrAutoApprove() {
-  const val = process.env.SEERR_AUTO_APPROVE;
-  const isAuto = val === "true";
-  logger.info(
-    `[CONFIG CHECK] SEERR_AUTO_APPROVE is currently: ${val} (Evaluated to: ${isAuto})`
-  );
-  return isAuto;
+// Decides whether a request from this member is auto-approved in Seerr.
+// Order: per-user override on the mapping, the global switch, then roles.
+export function getAutoApproveDecision(member, discordUserId) {
+  const mappings = getUserMappings();
+  const mapping = Array.isArray(mappings)
+    ? mappings.find((m) => String(m.discordUserId) === String(discordUserId))
+    : null;
+
+  if (mapping?.autoApprove === "always") {
+    return { autoApprove: true, reason: "user mapping override (always)" };
+  }
+  if (mapping?.autoApprove === "never") {
+    return { autoApprove: false, reason: "user mapping override (never)" };
+  }
+
+  if (process.env.SEERR_AUTO_APPROVE === "true") {
+    return { autoApprove: true, reason: "global auto-approve is on" };
+  }
+
+  const autoApproveRoles = parseEnvList("AUTO_APPROVE_ROLES");
+  const matchedRole = member?.roles?.cache
+    ? member.roles.cache.find((r) => autoApproveRoles.includes(r.id))
+    : null;
+  if (matchedRole) {
+    return {
+      autoApprove: true,
+      reason: `has auto-approve role "${matchedRole.name}"`,
+    };
+  }
+
+  return {
+    autoApprove: false,
+    reason:
+      autoApproveRoles.length > 0
+        ? "no auto-approve role"
+        : "global auto-approve is off",
+  };
+}
+
+export function getMappedSeerrUserId(discordUserId) {
+  const mappings = getUserMappings();
+  const mapping = Array.isArray(mappings)
+    ? mappings.find((m) => String(m.discordUserId) === String(discordUserId))
+    : null;
+  return mapping ? mapping.seerrUserId : null;
+}
+
+export function getMappedDiscordUserId(seerrUserId) {
+  if (seerrUserId === null || seerrUserId === undefined) return null;
+  const mappings = getUserMappings();
+  const mapping = Array.isArray(mappings)
+    ? mappings.find((m) => String(m.seerrUserId) === String(seerrUserId))
+    : null;
+  return mapping ? mapping.discordUserId : null;
+}
+
+export function parseEnvList(key) {
+  try {
+    const value = process.env[key] ? JSON.parse(process.env[key]) : [];
+    return Array.isArray(value) ? value : [];
+  } catch (e) {
+    logger.warn(`Invalid JSON in ${key}, defaulting to empty list`);
+    return [];
+  }
+}
+
+export function checkApprovalPermission(member) {
+  if (!member || !member.roles) return false;
+
+  const adminRoles = parseEnvList("APPROVAL_ADMIN_ROLES");
+
+  // Without configured admin roles, only server administrators may decide
+  if (adminRoles.length === 0) {
+    return member.permissions?.has(PermissionFlagsBits.Administrator) || false;
+  }
+
+  return member.roles.cache.some((r) => adminRoles.includes(r.id));
 }
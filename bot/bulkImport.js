@@ -0,0 +1,497 @@
+import { randomUUID } from "crypto";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import { parseMediaLink, resolveMediaLink } from "./mediaLinks.js";
+import { recordRequest, getOutcomeForStatus } from "./requestHistory.js";
+import { addPendingSubscriber } from "./botState.js";
+import { getUserMappings } from "../utils/configFile.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { parseCsv } from "../utils/csv.js";
+import { MEDIA_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+export const MAX_IMPORT_ROWS = 1000;
+// Only the latest few imports are kept, and only in memory
+const MAX_JOBS = 5;
+// Pause between Seerr requests so a big import doesn't flood Radarr/Sonarr
+const REQUEST_INTERVAL_MS = 1000;
+// Title matches at or above this are selected for submission by default
+const MIN_DEFAULT_CONFIDENCE = 50;
+
+export const REPORT_COLUMNS = [
+  "row",
+  "input",
+  "mediaType",
+  "tmdbId",
+  "title",
+  "year",
+  "confidence",
+  "libraryStatus",
+  "result",
+  "seerrRequestId",
+  "error",
+];
+
+// Header names from our own format plus IMDb and Letterboxd list exports
+const COLUMN_ALIASES = {
+  title: ["title", "name", "original_title"],
+  year: ["year", "release_year"],
+  mediaType: ["type", "media_type", "mediatype", "title_type"],
+  tmdbId: ["tmdb", "tmdb_id", "tmdbid"],
+  imdbId: ["imdb", "imdb_id", "imdbid", "const"],
+  tvdbId: ["tvdb", "tvdb_id", "tvdbid"],
+  url: ["url", "link", "letterboxd_uri"],
+};
+
+// key = job ID, value = { id, phase, processed, total, items, options, createdAt }
+// phase: "resolving" → "ready" → "submitting" → "done"
+const importJobs = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+function normalizeMediaType(value) {
+  const type = String(value || "").toLowerCase();
+  if (/tv|series|show/.test(type)) return "tv";
+  if (/movie|film/.test(type)) return "movie";
+  return null;
+}
+
+function normalizeTitle(title) {
+  return String(title || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/^the /, "")
+    .trim();
+}
+
+// "Dune (2021)" → { title: "Dune", year: 2021 }
+function splitTitleYear(text) {
+  const match = text.match(/^(.*?)\s*[([](\d{4})[)\]]$/);
+  if (match && match[1] && parseInt(match[2], 10) > 1870) {
+    return { title: match[1].trim(), year: parseInt(match[2], 10) };
+  }
+  return { title: text.trim(), year: null };
+}
+
+// A bare cell or JSON string: an ID/link, or a title with an optional year
+function entryFromValue(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  if (parseMediaLink(text)) return { input: text, link: text };
+  return { input: text, ...splitTitleYear(text) };
+}
+
+function entryFromFields(fields) {
+  const values = {};
+  for (const [key, value] of Object.entries(fields)) {
+    const normalized = normalizeKey(key);
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (aliases.includes(normalized) && value !== "" && value != null) {
+        values[field] ??= String(value).trim();
+      }
+    }
+  }
+
+  const mediaType = normalizeMediaType(values.mediaType);
+  let link = null;
+  if (/^\d+$/.test(values.tmdbId || "")) {
+    link = `tmdb:${mediaType || "movie"}:${values.tmdbId}`;
+  } else if (values.imdbId && parseMediaLink(values.imdbId)) {
+    link = values.imdbId;
+  } else if (/^\d+$/.test(values.tvdbId || "")) {
+    link = `tvdb:${values.tvdbId}`;
+  } else if (!values.title && values.url && parseMediaLink(values.url)) {
+    link = values.url;
+  }
+
+  if (!link && !values.title) return null;
+  const year = parseInt(values.year, 10);
+  return {
+    input: values.title
+      ? `${values.title}${year ? ` (${year})` : ""}`
+      : link,
+    link,
+    title: values.title || null,
+    year: year || null,
+    mediaType,
+  };
+}
+
+function parseCsvEntries(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const knownColumns = Object.values(COLUMN_ALIASES).flat();
+  const header = rows[0].map(normalizeKey);
+  if (!header.some((cell) => knownColumns.includes(cell))) {
+    // No header: one title or ID per line, optionally followed by a year
+    return rows.map((row) => {
+      const entry = entryFromValue(row[0]);
+      if (entry && !entry.link && /^\d{4}$/.test(row[1] || "")) {
+        entry.year = parseInt(row[1], 10);
+      }
+      return entry;
+    });
+  }
+
+  return rows
+    .slice(1)
+    .map((row) =>
+      entryFromFields(Object.fromEntries(header.map((key, i) => [key, row[i] ?? ""])))
+    );
+}
+
+function parseJsonEntries(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(list)) {
+    throw new Error("JSON must be an array, or an object with an \"items\" array");
+  }
+  return list.map((item) =>
+    item && typeof item === "object"
+      ? entryFromFields(item)
+      : entryFromValue(item)
+  );
+}
+
+// Returns { success, entries } or { success: false, message }
+export function parseImportFile(text) {
+  const content = String(text || "").trim();
+  if (!content) return { success: false, message: "The file is empty." };
+
+  let entries;
+  try {
+    entries = /^[[{]/.test(content)
+      ? parseJsonEntries(content)
+      : parseCsvEntries(content);
+  } catch (err) {
+    return { success: false, message: `Could not read the file: ${err.message}` };
+  }
+
+  entries = entries.filter(Boolean);
+  if (entries.length === 0) {
+    return { success: false, message: "No titles or IDs found in the file." };
+  }
+  if (entries.length > MAX_IMPORT_ROWS) {
+    return {
+      success: false,
+      message: `The file has ${entries.length} rows; split it into lists of at most ${MAX_IMPORT_ROWS}.`,
+    };
+  }
+  return { success: true, entries };
+}
+
+// 0-100: how likely a TMDB search result is the title the row meant
+function scoreMatch(entry, result) {
+  const wanted = normalizeTitle(entry.title);
+  const names = [result.title, result.name, result.original_title, result.original_name]
+    .filter(Boolean)
+    .map(normalizeTitle);
+
+  let score = 15;
+  if (names.includes(wanted)) score = 70;
+  else if (names.some((name) => name.includes(wanted) || wanted.includes(name))) score = 40;
+
+  const year = parseInt((result.release_date || result.first_air_date || "").slice(0, 4), 10);
+  if (!entry.year) score += 15;
+  else if (year === entry.year) score += 30;
+  else if (Math.abs(year - entry.year) === 1) score += 15;
+
+  return Math.min(score, 100);
+}
+
+async function matchByTitle(entry) {
+  const results = await tmdbApi.tmdbSearch(entry.title, getTmdbApiKey());
+  const candidates = results
+    .filter((r) => r.media_type === "movie" || r.media_type === "tv")
+    .filter((r) => !entry.mediaType || r.media_type === entry.mediaType)
+    .slice(0, 10);
+
+  let best = null;
+  for (const result of candidates) {
+    const confidence = scoreMatch(entry, result);
+    // Ties keep TMDB's order, which favours the better-known title
+    if (!best || confidence > best.confidence) best = { result, confidence };
+  }
+  if (!best) return null;
+
+  return {
+    tmdbId: best.result.id,
+    mediaType: best.result.media_type,
+    title: best.result.title || best.result.name,
+    year: (best.result.release_date || best.result.first_air_date || "").slice(0, 4),
+    confidence: best.confidence,
+  };
+}
+
+async function matchByLink(entry) {
+  const resolved = await resolveMediaLink(entry.link);
+  if (!resolved?.success) {
+    // Messages are written for Discord; drop the emoji and bold markers
+    return {
+      error: (resolved?.message || "Not found on TMDB")
+        .replace(/^\S+\s/, "")
+        .replace(/\*\*/g, ""),
+    };
+  }
+
+  const details = await tmdbApi.tmdbGetDetails(
+    resolved.tmdbId,
+    resolved.mediaType,
+    getTmdbApiKey()
+  );
+  return {
+    tmdbId: resolved.tmdbId,
+    mediaType: resolved.mediaType,
+    title: details.title || details.name,
+    year: (details.release_date || details.first_air_date || "").slice(0, 4),
+    // IDs and links point at exactly one title
+    confidence: 100,
+  };
+}
+
+async function resolveItem(item) {
+  try {
+    const match = item.entry.link
+      ? await matchByLink(item.entry)
+      : await matchByTitle(item.entry);
+
+    if (!match || match.error) {
+      item.status = "not_found";
+      item.error = match?.error || "No match on TMDB";
+      return;
+    }
+
+    const status = await seerrApi.checkMediaStatus(
+      match.tmdbId,
+      match.mediaType,
+      [],
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+    Object.assign(item, match, {
+      status: "resolved",
+      mediaStatus: status.data?.mediaInfo?.status || MEDIA_STATUS.UNKNOWN,
+    });
+    item.selected =
+      item.mediaStatus < MEDIA_STATUS.PENDING &&
+      item.confidence >= MIN_DEFAULT_CONFIDENCE;
+  } catch (err) {
+    item.status = "error";
+    item.error = err?.message || String(err);
+  }
+}
+
+async function runResolve(job) {
+  for (const item of job.items) {
+    await resolveItem(item);
+    job.processed++;
+  }
+  job.phase = "ready";
+  const resolved = job.items.filter((i) => i.status === "resolved").length;
+  logger.info(`[IMPORT] Resolved ${resolved} of ${job.total} row(s) for import ${job.id}`);
+}
+
+async function submitItem(item, options) {
+  const { discordUserId, autoApprove } = options;
+  const seasons = item.mediaType === "tv" ? ["all"] : [];
+  const mapping = discordUserId
+    ? getUserMappings().find((m) => String(m.discordUserId) === String(discordUserId))
+    : null;
+  const historyEntry = {
+    source: "import",
+    discordUserId: discordUserId || null,
+    discordUsername: mapping?.discordUsername || null,
+    seerrUserId: mapping?.seerrUserId ?? null,
+    tmdbId: Number(item.tmdbId),
+    mediaType: item.mediaType,
+    title: item.title,
+    seasons,
+    tags: [],
+    serverId: null,
+    profileId: null,
+    rootFolder: null,
+    autoApprove,
+    autoApproveReason: "Bulk import",
+  };
+
+  try {
+    const seerrRequest = await seerrApi.sendRequest({
+      tmdbId: item.tmdbId,
+      mediaType: item.mediaType,
+      seasons,
+      discordUserId: discordUserId || null,
+      userMappings: getUserMappings(),
+      isAutoApproved: autoApprove,
+      seerrUrl: getSeerrUrl(),
+      apiKey: getSeerrApiKey(),
+    });
+    item.result = "requested";
+    item.seerrRequestId = seerrRequest?.id ?? null;
+    recordRequest({
+      ...historyEntry,
+      seerrRequestId: item.seerrRequestId,
+      outcome: getOutcomeForStatus(seerrRequest?.status),
+    });
+
+    if (discordUserId && process.env.NOTIFY_ON_AVAILABLE === "true") {
+      addPendingSubscriber(item.tmdbId, item.mediaType, discordUserId);
+    }
+  } catch (err) {
+    item.result = "failed";
+    item.error = err?.response?.data?.message || err.message;
+    recordRequest({
+      ...historyEntry,
+      seerrRequestId: null,
+      outcome: "failed",
+      error: item.error,
+    });
+  }
+}
+
+async function runSubmit(job, selected) {
+  for (const [i, item] of selected.entries()) {
+    await submitItem(item, job.options);
+    job.processed++;
+    if (i < selected.length - 1) await sleep(REQUEST_INTERVAL_MS);
+  }
+  job.phase = "done";
+  const requested = selected.filter((i) => i.result === "requested").length;
+  logger.info(
+    `[IMPORT] Requested ${requested} of ${selected.length} title(s) for import ${job.id}`
+  );
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    phase: job.phase,
+    processed: job.processed,
+    total: job.total,
+    options: job.options,
+    items: job.items.map(({ entry, ...item }) => ({
+      ...item,
+      mediaType: item.mediaType || entry.mediaType || null,
+    })),
+  };
+}
+
+export function createImportJob(text) {
+  const parsed = parseImportFile(text);
+  if (!parsed.success) return parsed;
+
+  const job = {
+    id: randomUUID(),
+    phase: "resolving",
+    processed: 0,
+    total: parsed.entries.length,
+    options: null,
+    createdAt: Date.now(),
+    items: parsed.entries.map((entry, index) => ({
+      row: index + 1,
+      input: entry.input,
+      entry,
+      status: "pending",
+      selected: false,
+      tmdbId: null,
+      mediaType: null,
+      title: null,
+      year: null,
+      confidence: null,
+      mediaStatus: null,
+      result: null,
+      seerrRequestId: null,
+      error: null,
+    })),
+  };
+
+  importJobs.set(job.id, job);
+  while (importJobs.size > MAX_JOBS) {
+    importJobs.delete(importJobs.keys().next().value);
+  }
+
+  logger.info(`[IMPORT] Started import ${job.id} with ${job.total} row(s)`);
+  runResolve(job).catch((err) => {
+    logger.error(`[IMPORT] Resolving import ${job.id} failed:`, err);
+    job.phase = "ready";
+  });
+  return { success: true, job: serializeJob(job) };
+}
+
+export function getImportJob(jobId) {
+  const job = importJobs.get(jobId);
+  return job ? serializeJob(job) : null;
+}
+
+// rows: row numbers to request; options: { discordUserId, autoApprove }
+export function submitImportJob(jobId, rows, options) {
+  const job = importJobs.get(jobId);
+  if (!job) return { success: false, message: "This import has expired. Upload the file again." };
+  if (job.phase !== "ready") {
+    return { success: false, message: "This import is not ready to submit." };
+  }
+
+  const wanted = new Set((rows || []).map(Number));
+  const selected = job.items.filter(
+    (item) => wanted.has(item.row) && item.status === "resolved"
+  );
+  if (selected.length === 0) {
+    return { success: false, message: "Select at least one matched title." };
+  }
+
+  for (const item of job.items) {
+    item.selected = selected.includes(item);
+    if (!item.selected && item.status === "resolved") item.result = "skipped";
+  }
+  job.phase = "submitting";
+  job.processed = 0;
+  job.total = selected.length;
+  job.options = {
+    discordUserId: options.discordUserId || null,
+    autoApprove: options.autoApprove === true,
+  };
+
+  runSubmit(job, selected).catch((err) => {
+    logger.error(`[IMPORT] Submitting import ${job.id} failed:`, err);
+    job.phase = "done";
+  });
+  return { success: true, job: serializeJob(job) };
+}
+
+function getLibraryStatusLabel(mediaStatus) {
+  if (mediaStatus === null || mediaStatus === undefined) return "";
+  if (mediaStatus >= MEDIA_STATUS.AVAILABLE) return "available";
+  if (mediaStatus >= MEDIA_STATUS.PARTIALLY_AVAILABLE) return "partially available";
+  if (mediaStatus >= MEDIA_STATUS.PENDING) return "requested";
+  return "missing";
+}
+
+export function getImportReport(jobId) {
+  const job = importJobs.get(jobId);
+  if (!job) return null;
+
+  return job.items.map((item) => ({
+    row: item.row,
+    input: item.input,
+    mediaType: item.mediaType,
+    tmdbId: item.tmdbId,
+    title: item.title,
+    year: item.year,
+    confidence: item.confidence,
+    libraryStatus: getLibraryStatusLabel(item.mediaStatus),
+    result: item.result || (item.status === "resolved" ? "not submitted" : item.status),
+    seerrRequestId: item.seerrRequestId,
+    error: item.error,
+  }));
+}
@@ -0,0 +1,218 @@
+import { ActionRowBuilder, ButtonStyle } from "discord.js";
+import * as seerrApi from "../api/seerr.js";
+import { getMappedSeerrUserId } from "./botUtils.js";
+import { pendingRequests, savePendingRequests } from "./botState.js";
+import { getRequestHistory, updateRequestOutcome } from "./requestHistory.js";
+import { markApprovalHandled } from "./approvals.js";
+import { refundQuotaUsage } from "./quotas.js";
+import { sendDirectMessage } from "./quietHours.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { REQUEST_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+
+export function getCancelButtonOptions(seerrRequest, discordUserId) {
+  if (seerrRequest?.status !== REQUEST_STATUS.PENDING) return null;
+  return { requestId: seerrRequest.id, userId: discordUserId };
+}
+
+function findHistoryEntry(discordUserId, requestId) {
+  return getRequestHistory().find(
+    (e) =>
+      String(e.seerrRequestId) === String(requestId) &&
+      e.discordUserId === discordUserId
+  );
+}
+
+async function notifyWaitlist(client, userIds, title) {
+  for (const userId of userIds) {
+    try {
+      const user = await client.users.fetch(userId);
+      await sendDirectMessage(user, {
+        content: `🗑️ The request${title ? ` for **${title}**` : ""} you were waiting on was withdrawn, so you won't get a message when it's available. You can request it again with /request.`,
+      });
+    } catch (err) {
+      logger.warn(`[CANCEL] Could not DM waitlisted user ${userId}: ${err.message}`);
+    }
+  }
+}
+
+async function cancelOwnRequest(client, discordUserId, requestId) {
+  let seerrRequest;
+  try {
+    seerrRequest = await seerrApi.fetchRequest(
+      requestId,
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+  } catch (err) {
+    if (err?.response?.status === 404) {
+      updateRequestOutcome(requestId, "cancelled");
+      return { success: false, message: "⚠️ This request no longer exists in Seerr." };
+    }
+    throw err;
+  }
+
+  // Unmapped users request as the API key owner, so the local history is the
+  // only record of who made the request
+  const historyEntry = findHistoryEntry(discordUserId, requestId);
+  const seerrUserId = getMappedSeerrUserId(discordUserId);
+  const ownsRequest =
+    !!historyEntry ||
+    (seerrUserId !== null &&
+      String(seerrRequest.requestedBy?.id) === String(seerrUserId));
+
+  if (!ownsRequest) {
+    return { success: false, message: "❌ You can only cancel your own requests." };
+  }
+
+  if (seerrRequest.status !== REQUEST_STATUS.PENDING) {
+    return {
+      success: false,
+      message:
+        "⚠️ This request has already been handled and can no longer be cancelled. Ask an admin if you need it removed.",
+    };
+  }
+
+  await seerrApi.deleteRequest(requestId, getSeerrUrl(), getSeerrApiKey());
+
+  const tmdbId = seerrRequest.media?.tmdbId;
+  const mediaType = seerrRequest.type || seerrRequest.media?.mediaType;
+  const title = historyEntry?.title || null;
+
+  // Everyone waiting on this title was waiting on this request
+  const requestKey = `${tmdbId}-${mediaType}`;
+  const users = pendingRequests.get(requestKey);
+  if (users) {
+    pendingRequests.delete(requestKey);
+    savePendingRequests();
+    await notifyWaitlist(client, [...users].filter((id) => id !== discordUserId), title);
+  }
+
+  refundQuotaUsage(
+    discordUserId,
+    mediaType,
+    mediaType === "tv" ? seerrRequest.seasons?.length || 1 : 1
+  );
+
+  await markApprovalHandled(client, requestId, false, "🚫 Cancelled by requester");
+  updateRequestOutcome(requestId, "cancelled");
+
+  logger.info(
+    `[CANCEL] Discord User ${discordUserId} cancelled Seerr request ${requestId}`
+  );
+
+  return { success: true, title };
+}
+
+// customId format: cancel_request|requestId|discordUserId
+export async function handleCancelRequestButton(interaction) {
+  const [, requestId, discordUserId] = interaction.customId.split("|");
+
+  if (discordUserId !== interaction.user.id) {
+    return interaction.reply({
+      content: "❌ Only the person who made this request can cancel it.",
+      flags: 64,
+    });
+  }
+
+  await interaction.deferUpdate();
+
+  try {
+    const result = await cancelOwnRequest(
+      interaction.client,
+      interaction.user.id,
+      requestId
+    );
+
+    if (!result.success) {
+      await interaction.followUp({ content: result.message, flags: 64 });
+      return;
+    }
+
+    // Swap the "Requested" button for a cancelled marker and drop this button
+    const components = interaction.message.components
+      .map((row) => {
+        const updated = ActionRowBuilder.from(row);
+        updated.setComponents(
+          updated.components
+            .filter((c) => !c.data.custom_id?.startsWith("cancel_request|"))
+            .map((c) =>
+              c.data.custom_id?.startsWith("requested|")
+                ? c.setLabel("Request cancelled").setStyle(ButtonStyle.Secondary)
+                : c
+            )
+        );
+        return updated;
+      })
+      .filter((row) => row.components.length > 0);
+
+    await interaction.editReply({ components });
+  } catch (err) {
+    logger.error("[CANCEL] Cancel button error:", err);
+    await interaction.followUp({
+      content: "⚠️ Could not cancel this request in Seerr.",
+      flags: 64,
+    });
+  }
+}
+
+export async function handleCancelCommand(interaction) {
+  const requestId = interaction.options.getString("request");
+  await interaction.deferReply({ flags: 64 });
+
+  if (!/^\d+$/.test(requestId || "")) {
+    return interaction.editReply({
+      content: "⚠️ Pick one of your pending requests from the list.",
+    });
+  }
+
+  try {
+    const result = await cancelOwnRequest(
+      interaction.client,
+      interaction.user.id,
+      requestId
+    );
+
+    await interaction.editReply({
+      content: result.success
+        ? `🗑️ Your request${result.title ? ` for **${result.title}**` : ""} has been cancelled.`
+        : result.message,
+    });
+  } catch (err) {
+    logger.error("[CANCEL] /cancel error:", err);
+    await interaction.editReply({
+      content: "⚠️ Could not cancel this request in Seerr.",
+    });
+  }
+}
+
+// Suggests the caller's own requests that are still pending
+export async function handleCancelAutocomplete(interaction) {
+  const focusedValue = interaction.options.getFocused().toLowerCase();
+
+  const choices = getRequestHistory()
+    .filter(
+      (e) =>
+        e.discordUserId === interaction.user.id &&
+        e.outcome === "pending" &&
+        e.seerrRequestId
+    )
+    .reverse()
+    .filter((e) =>
+      (e.title || "").toLowerCase().includes(focusedValue)
+    )
+    .slice(0, 25)
+    .map((e) => {
+      const emoji = e.mediaType === "movie" ? "🎬" : "📺";
+      const name = `${emoji} ${e.title || `TMDB ${e.tmdbId}`} (request #${e.seerrRequestId})`;
+      return {
+        name: name.length > 100 ? `${name.slice(0, 97)}...` : name,
+        value: String(e.seerrRequestId),
+      };
+    });
+
+  return interaction.respond(choices);
+}
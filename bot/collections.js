@@ -0,0 +1,131 @@
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import { getTitleStatusLabel } from "./embeds.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { isValidUrl } from "../utils/url.js";
+import { COLORS, MEDIA_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+import { truncate } from "../utils/text.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+const RESULT_LABELS = {
+  requested: "✅ Requested",
+  quota: "🚫 Quota reached",
+  failed: "⚠️ Failed",
+};
+
+function formatPartTitle(part) {
+  const year = (part.release_date || "").slice(0, 4);
+  return year ? `${part.title} (${year})` : part.title;
+}
+
+// Collection parts in release order, each with its Seerr media status.
+// Anything not yet requested or in the library counts as missing.
+export async function getCollectionParts(collectionId) {
+  const collection = await tmdbApi.tmdbGetCollection(collectionId, getTmdbApiKey());
+  const parts = [...(collection.parts || [])].sort((a, b) =>
+    (a.release_date || "9999").localeCompare(b.release_date || "9999")
+  );
+
+  const withStatus = await Promise.all(
+    parts.map(async (part) => {
+      const status = await seerrApi.checkMediaStatus(
+        part.id,
+        "movie",
+        [],
+        getSeerrUrl(),
+        getSeerrApiKey()
+      );
+      const mediaStatus = status.data?.mediaInfo?.status || MEDIA_STATUS.UNKNOWN;
+      return { ...part, mediaStatus, missing: mediaStatus < MEDIA_STATUS.PENDING };
+    })
+  );
+
+  return { collection, parts: withStatus };
+}
+
+function buildCollectionEmbed(collection) {
+  const embed = new EmbedBuilder()
+    .setTitle(truncate(collection.name || "Collection", 256))
+    .setColor(COLORS.SEARCH);
+
+  const backdrop = collection.backdrop_path
+    ? `https://image.tmdb.org/t/p/w1280${collection.backdrop_path}`
+    : null;
+  if (backdrop && isValidUrl(backdrop)) embed.setImage(backdrop);
+  return embed;
+}
+
+export function buildCollectionReply(collection, parts, tagsParam = "") {
+  const missing = parts.filter((p) => p.missing);
+  const lines = parts.map(
+    (part) => `🎬 ${formatPartTitle(part)} · ${getTitleStatusLabel(part.mediaStatus)}`
+  );
+
+  const embed = buildCollectionEmbed(collection)
+    .setAuthor({ name: "📚 Request entire collection" })
+    .setDescription(truncate(lines.join("\n") || "This collection has no movies.", 4096))
+    .setFooter({
+      text:
+        missing.length > 0
+          ? `${missing.length} of ${parts.length} movies missing`
+          : "Everything is already available or requested",
+    });
+
+  const confirmButton = new ButtonBuilder()
+    .setCustomId(`collection_confirm|${collection.id}|${tagsParam}`)
+    .setLabel(
+      missing.length > 0
+        ? `Request ${missing.length} missing movie${missing.length !== 1 ? "s" : ""}`
+        : "Nothing to request"
+    )
+    .setStyle(ButtonStyle.Success)
+    .setDisabled(missing.length === 0);
+
+  return {
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(confirmButton)],
+  };
+}
+
+// results: [{ part, outcome: "requested" | "quota" | "failed" }]
+export function buildCollectionSummaryEmbed(collection, results) {
+  const requested = results.filter((r) => r.outcome === "requested").length;
+  const lines = results.map(
+    ({ part, outcome }) => `${RESULT_LABELS[outcome]} · ${formatPartTitle(part)}`
+  );
+
+  return buildCollectionEmbed(collection)
+    .setAuthor({ name: "📚 Collection request" })
+    .setColor(requested === results.length ? COLORS.SUCCESS : COLORS.WARNING)
+    .setDescription(truncate(lines.join("\n"), 4096))
+    .setFooter({
+      text: `${requested} of ${results.length} movie${results.length !== 1 ? "s" : ""} requested`,
+    });
+}
+
+// customId format: collection_view|collectionId|tagsParam
+// Answered privately so the original search embed stays untouched
+export async function handleCollectionViewButton(interaction) {
+  const [, collectionId, tagsParam = ""] = interaction.customId.split("|");
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    const { collection, parts } = await getCollectionParts(collectionId);
+    await interaction.editReply(buildCollectionReply(collection, parts, tagsParam));
+  } catch (err) {
+    logger.error("[COLLECTION] Failed to load collection:", err?.message || err);
+    await interaction.editReply({
+      content: "⚠️ Could not load this collection from TMDB.",
+    });
+  }
+}
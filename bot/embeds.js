@@ -7,7 +7,7 @@ import {
 } from "discord.js";
 import * as tmdbApi from "../api/tmdb.js";
 import { minutesToHhMm } from "../utils/time.js";
-import { COLORS } from "../lib/constants.js";
+import { COLORS, MEDIA_STATUS, REQUEST_STATUS } from "../lib/constants.js";
 import { getSeerrApiUrl, normalizeSeerrUrl } from "../utils/seerrUrl.js";
 import { isValidUrl } from "../utils/url.js";
 import logger from "../utils/logger.js";
@@ -128,10 +128,14 @@ export function buildButtons(
   requested = false,
   mediaType = "movie",
   details = null,
-  requestedSeasons = [],
-  requestedTags = [],
-  selectedSeasons = [],
-  selectedTags = []
+  {
+    requestedSeasons = [],
+    requestedTags = [],
+    selectedSeasons = [],
+    selectedTags = [],
+    cancelRequest = null,
+    seasonStatuses = null,
+  } = {}
 ) {
   const rows = [];
   const buttons = [];
@@ -190,6 +194,18 @@ export function buildButtons(
         .setStyle(ButtonStyle.Success)
         .setDisabled(true)
     );
+
+    // Only offered while the Seerr request is still pending
+    if (cancelRequest?.requestId) {
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId(
+            `cancel_request|${cancelRequest.requestId}|${cancelRequest.userId}`
+          )
+          .setLabel("Cancel request")
+          .setStyle(ButtonStyle.Danger)
+      );
+    }
   } else {
     let requestLabel = "Request";
 
@@ -224,6 +240,16 @@ export function buildButtons(
         .setStyle(ButtonStyle.Primary)
         .setDisabled(mediaType === "tv" && selectedSeasons.length === 0)
     );
+
+    const collectionId = details?.belongs_to_collection?.id;
+    if (mediaType === "movie" && collectionId) {
+      buttons.push(
+        new ButtonBuilder()
+          .setCustomId(`collection_view|${collectionId}|${tagsParam}`)
+          .setLabel("Request entire collection")
+          .setStyle(ButtonStyle.Secondary)
+      );
+    }
   }
 
   if (buttons.length > 0) {
@@ -236,91 +262,174 @@ export function buildButtons(
     !requested &&
     selectedSeasons.length === 0
   ) {
-    const seenSeasons = new Set();
-    const uniqueSeasons = details.seasons.filter((s) => {
-      if (s.season_number <= 0) return false;
-      if (seenSeasons.has(s.season_number)) return false;
-      seenSeasons.add(s.season_number);
-      return true;
-    });
-
     const tagsParam = selectedTags.length > 0 ? selectedTags.join(",") : "";
+    rows.push(...buildSeasonMenus(tmdbId, details, tagsParam, seasonStatuses));
+  }
 
-    if (uniqueSeasons.length <= 24) {
-      const seasonOptions = [
-        { label: "All Seasons", value: "all" },
-        ...uniqueSeasons.map((s) => ({
-          label: `Season ${s.season_number} (${s.episode_count} episodes)`,
-          value: String(s.season_number),
-        })),
-      ];
-
-      const selectMenu = new StringSelectMenuBuilder()
-        .setCustomId(`select_seasons|${tmdbId}|${tagsParam}`)
-        .setPlaceholder("Select seasons to request...")
-        .setMinValues(1)
-        .setMaxValues(Math.min(25, seasonOptions.length))
-        .addOptions(seasonOptions);
-
-      rows.push(new ActionRowBuilder().addComponents(selectMenu));
-    } else {
-      const SEASONS_PER_MENU = 24;
-      const MAX_SEASON_MENUS = 4;
-
-      const firstBatchSeasons = uniqueSeasons.slice(0, SEASONS_PER_MENU);
-      const firstMenuOptions = [
-        { label: "All Seasons", value: "all" },
-        ...firstBatchSeasons.map((s) => ({
-          label: `Season ${s.season_number} (${s.episode_count} episodes)`,
-          value: String(s.season_number),
-        })),
-      ];
-
-      const firstMenu = new StringSelectMenuBuilder()
-        .setCustomId(`select_seasons|${tmdbId}|${tagsParam}|0`)
-        .setPlaceholder(
-          `Seasons 1-${firstBatchSeasons[firstBatchSeasons.length - 1].season_number}`
-        )
-        .setMinValues(0)
-        .setMaxValues(firstMenuOptions.length)
-        .addOptions(firstMenuOptions);
+  return rows;
+}
 
-      rows.push(new ActionRowBuilder().addComponents(firstMenu));
+// --- SEASON AVAILABILITY ---
+const SEASON_STATUS_LABELS = {
+  [MEDIA_STATUS.AVAILABLE]: { emoji: "✅", label: "Available" },
+  [MEDIA_STATUS.PARTIALLY_AVAILABLE]: { emoji: "🟡", label: "Partially available" },
+  [MEDIA_STATUS.PROCESSING]: { emoji: "⏳", label: "Requested, processing" },
+  [MEDIA_STATUS.PENDING]: { emoji: "⏳", label: "Requested, pending approval" },
+};
+const MISSING_SEASON = { emoji: "❌", label: "Not available" };
+
+// Map of season number → MEDIA_STATUS from a Seerr mediaInfo object. Seasons
+// only present on an open request count as pending.
+export function getSeasonStatuses(mediaInfo) {
+  const statuses = new Map();
+  if (!mediaInfo) return statuses;
+
+  for (const request of mediaInfo.requests || []) {
+    if (
+      request.status !== REQUEST_STATUS.PENDING &&
+      request.status !== REQUEST_STATUS.APPROVED
+    ) {
+      continue;
+    }
+    for (const season of request.seasons || []) {
+      statuses.set(season.seasonNumber, MEDIA_STATUS.PENDING);
+    }
+  }
+  for (const season of mediaInfo.seasons || []) {
+    if (season.status > MEDIA_STATUS.UNKNOWN) {
+      statuses.set(season.seasonNumber, season.status);
+    }
+  }
+  return statuses;
+}
 
-      let menuIndex = 1;
-      let offset = SEASONS_PER_MENU;
+const TITLE_STATUS_LABELS = {
+  [MEDIA_STATUS.AVAILABLE]: "✅ Available",
+  [MEDIA_STATUS.PARTIALLY_AVAILABLE]: "🟡 Partially available",
+  [MEDIA_STATUS.PROCESSING]: "⏳ Requested",
+  [MEDIA_STATUS.PENDING]: "⏳ Requested",
+};
 
-      while (offset < uniqueSeasons.length && menuIndex < MAX_SEASON_MENUS) {
-        const batchSeasons = uniqueSeasons.slice(offset, offset + SEASONS_PER_MENU);
+// Short status for a whole title in lists (filmographies, collections)
+export function getTitleStatusLabel(mediaStatus) {
+  return TITLE_STATUS_LABELS[mediaStatus] || "❌ Missing";
+}
 
-        if (batchSeasons.length > 0) {
-          const batchOptions = batchSeasons.map((s) => ({
-            label: `Season ${s.season_number} (${s.episode_count} episodes)`,
-            value: String(s.season_number),
-          }));
+function getSeasonStatusLabel(seasonStatuses, seasonNumber) {
+  return SEASON_STATUS_LABELS[seasonStatuses?.get(seasonNumber)] || MISSING_SEASON;
+}
 
-          const batchMenu = new StringSelectMenuBuilder()
-            .setCustomId(`select_seasons|${tmdbId}|${tagsParam}|${menuIndex}`)
-            .setPlaceholder(
-              `Seasons ${batchSeasons[0].season_number}-${batchSeasons[batchSeasons.length - 1].season_number}`
-            )
-            .setMinValues(0)
-            .setMaxValues(batchOptions.length)
-            .addOptions(batchOptions);
+function getUniqueSeasons(details) {
+  const seenSeasons = new Set();
+  return (details?.seasons || []).filter((s) => {
+    if (s.season_number <= 0) return false;
+    if (seenSeasons.has(s.season_number)) return false;
+    seenSeasons.add(s.season_number);
+    return true;
+  });
+}
 
-          rows.push(new ActionRowBuilder().addComponents(batchMenu));
-        }
+// Compact "S1 ✅ S2 ⏳ S3 ❌" line for the search embed
+export function buildSeasonSummary(details, seasonStatuses) {
+  const summary = getUniqueSeasons(details)
+    .map(
+      (s) =>
+        `S${s.season_number} ${getSeasonStatusLabel(seasonStatuses, s.season_number).emoji}`
+    )
+    .join("  ");
+  return summary.length > 1024 ? `${summary.slice(0, 1021)}...` : summary;
+}
 
-        offset += SEASONS_PER_MENU;
-        menuIndex++;
-      }
+function buildSeasonOption(season, seasonStatuses) {
+  const option = {
+    label: `Season ${season.season_number} (${season.episode_count} episodes)`,
+    value: String(season.season_number),
+  };
+  if (seasonStatuses) {
+    const { emoji, label } = getSeasonStatusLabel(seasonStatuses, season.season_number);
+    option.description = `${emoji} ${label}`;
+  }
+  return option;
+}
 
-      if (offset < uniqueSeasons.length) {
-        logger.warn(
-          `[SEASON SELECTOR] Show has ${uniqueSeasons.length} seasons, but Discord limit allows only ${offset} to be shown in ${MAX_SEASON_MENUS} menus`
-        );
-      }
+// Season select menus for the search embed. Discord can't disable single
+// options, so fully available seasons are left out instead.
+export function buildSeasonMenus(tmdbId, details, tagsParam = "", seasonStatuses = null) {
+  const rows = [];
+  const uniqueSeasons = getUniqueSeasons(details).filter(
+    (s) => seasonStatuses?.get(s.season_number) !== MEDIA_STATUS.AVAILABLE
+  );
+
+  if (uniqueSeasons.length === 0) return rows;
+
+  if (uniqueSeasons.length <= 24) {
+    const seasonOptions = [
+      { label: "All Seasons", value: "all" },
+      ...uniqueSeasons.map((s) => buildSeasonOption(s, seasonStatuses)),
+    ];
+
+    const selectMenu = new StringSelectMenuBuilder()
+      .setCustomId(`select_seasons|${tmdbId}|${tagsParam}`)
+      .setPlaceholder("Select seasons to request...")
+      .setMinValues(1)
+      .setMaxValues(Math.min(25, seasonOptions.length))
+      .addOptions(seasonOptions);
+
+    rows.push(new ActionRowBuilder().addComponents(selectMenu));
+    return rows;
+  }
+
+  const SEASONS_PER_MENU = 24;
+  const MAX_SEASON_MENUS = 4;
+
+  const firstBatchSeasons = uniqueSeasons.slice(0, SEASONS_PER_MENU);
+  const firstMenuOptions = [
+    { label: "All Seasons", value: "all" },
+    ...firstBatchSeasons.map((s) => buildSeasonOption(s, seasonStatuses)),
+  ];
+
+  const firstMenu = new StringSelectMenuBuilder()
+    .setCustomId(`select_seasons|${tmdbId}|${tagsParam}|0`)
+    .setPlaceholder(
+      `Seasons ${firstBatchSeasons[0].season_number}-${firstBatchSeasons[firstBatchSeasons.length - 1].season_number}`
+    )
+    .setMinValues(0)
+    .setMaxValues(firstMenuOptions.length)
+    .addOptions(firstMenuOptions);
+
+  rows.push(new ActionRowBuilder().addComponents(firstMenu));
+
+  let menuIndex = 1;
+  let offset = SEASONS_PER_MENU;
+
+  while (offset < uniqueSeasons.length && menuIndex < MAX_SEASON_MENUS) {
+    const batchSeasons = uniqueSeasons.slice(offset, offset + SEASONS_PER_MENU);
+
+    if (batchSeasons.length > 0) {
+      const batchOptions = batchSeasons.map((s) =>
+        buildSeasonOption(s, seasonStatuses)
+      );
+
+      const batchMenu = new StringSelectMenuBuilder()
+        .setCustomId(`select_seasons|${tmdbId}|${tagsParam}|${menuIndex}`)
+        .setPlaceholder(
+          `Seasons ${batchSeasons[0].season_number}-${batchSeasons[batchSeasons.length - 1].season_number}`
+        )
+        .setMinValues(0)
+        .setMaxValues(batchOptions.length)
+        .addOptions(batchOptions);
+
+      rows.push(new ActionRowBuilder().addComponents(batchMenu));
     }
+
+    offset += SEASONS_PER_MENU;
+    menuIndex++;
+  }
+
+  if (offset < uniqueSeasons.length) {
+    logger.warn(
+      `[SEASON SELECTOR] Show has ${uniqueSeasons.length} seasons, but Discord limit allows only ${offset} to be shown in ${MAX_SEASON_MENUS} menus`
+    );
   }
 
   return rows;
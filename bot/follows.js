@@ -0,0 +1,275 @@
+import fs from "fs";
+import path from "path";
+import { ActionRowBuilder, EmbedBuilder, StringSelectMenuBuilder } from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as jellyfinApi from "../api/jellyfin.js";
+import { resolveMediaLink } from "./mediaLinks.js";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { COLORS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+const getJellyfinApiKey = () => process.env.JELLYFIN_API_KEY;
+const getJellyfinBaseUrl = () => process.env.JELLYFIN_BASE_URL;
+
+// A select menu holds at most 25 options
+const MAX_FOLLOWS_PER_USER = 25;
+
+// --- SERIES FOLLOWS ---
+// Unlike pendingRequests, follows survive the first notification.
+// key = TMDB TV ID (string), value = { title, followers: Set of Discord user IDs }
+const seriesFollows = new Map();
+
+export const FOLLOWS_PATH = path.join(path.dirname(CONFIG_PATH), "follows.json");
+
+function saveFollows() {
+  try {
+    const serialized = {};
+    for (const [tmdbId, { title, followers }] of seriesFollows) {
+      serialized[tmdbId] = { title, followers: Array.from(followers) };
+    }
+    fs.writeFileSync(FOLLOWS_PATH, JSON.stringify(serialized, null, 2), {
+      encoding: "utf-8",
+      mode: 0o600,
+    });
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist series follows to disk: ${err.message}`);
+  }
+}
+
+export function loadFollows() {
+  if (!fs.existsSync(FOLLOWS_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(FOLLOWS_PATH, "utf-8"));
+    seriesFollows.clear();
+    for (const [tmdbId, entry] of Object.entries(parsed)) {
+      if (Array.isArray(entry?.followers) && entry.followers.length > 0) {
+        seriesFollows.set(tmdbId, {
+          title: entry.title || `TMDB ${tmdbId}`,
+          followers: new Set(entry.followers),
+        });
+      }
+    }
+    logger.info(`✅ Loaded follows for ${seriesFollows.size} series from disk`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load series follows from disk: ${err.message}`);
+  }
+}
+
+function getFollowedSeries(discordUserId) {
+  return [...seriesFollows.entries()]
+    .filter(([, entry]) => entry.followers.has(discordUserId))
+    .map(([tmdbId, entry]) => ({ tmdbId, title: entry.title }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+function unfollowSeries(discordUserId, tmdbId) {
+  const entry = seriesFollows.get(String(tmdbId));
+  if (!entry?.followers.delete(discordUserId)) return false;
+  if (entry.followers.size === 0) seriesFollows.delete(String(tmdbId));
+  saveFollows();
+  return true;
+}
+
+// Same "tmdbId-mediaType" keys as pendingRequests
+export function getFollowedSeriesKeys() {
+  return [...seriesFollows.keys()].map((tmdbId) => `${tmdbId}-tv`);
+}
+
+// Season and episode items carry their own TMDB ID, so followers are looked
+// up through the series they belong to
+export async function getSeriesFollowers(data) {
+  if (seriesFollows.size === 0) return [];
+  if (!["Series", "Season", "Episode"].includes(data.ItemType)) return [];
+
+  let tmdbId = data.ItemType === "Series" ? data.Provider_tmdb : null;
+  if (!tmdbId && data.SeriesId && getJellyfinApiKey() && getJellyfinBaseUrl()) {
+    const series = await jellyfinApi.fetchItemDetails(
+      data.SeriesId,
+      getJellyfinApiKey(),
+      getJellyfinBaseUrl()
+    );
+    tmdbId = series?.ProviderIds?.Tmdb || null;
+  }
+
+  const entry = tmdbId ? seriesFollows.get(String(tmdbId)) : null;
+  return entry ? Array.from(entry.followers) : [];
+}
+
+// Autocomplete picks arrive as "tmdbId|tv", links and tmdb: IDs are resolved,
+// anything else is searched by title
+async function resolveSeries(input) {
+  let tmdbId = input.includes("|") ? input.split("|")[0] : null;
+
+  const link = tmdbId ? null : await resolveMediaLink(input);
+  if (link) {
+    if (!link.success) return link;
+    if (link.mediaType !== "tv") {
+      return { success: false, message: "⚠️ Only TV series can be followed." };
+    }
+    tmdbId = String(link.tmdbId);
+  }
+
+  if (tmdbId) {
+    const details = await tmdbApi.tmdbGetDetails(tmdbId, "tv", getTmdbApiKey());
+    return { success: true, tmdbId: String(details.id), title: formatSeriesTitle(details) };
+  }
+
+  const series = await tmdbApi.tmdbFindBestMatch(input, "tv", getTmdbApiKey());
+  if (!series) {
+    return { success: false, message: `🔍 No TV series found matching **${input}**.` };
+  }
+  return { success: true, tmdbId: String(series.id), title: formatSeriesTitle(series) };
+}
+
+function formatSeriesTitle(details) {
+  const year = (details.first_air_date || "").slice(0, 4);
+  return year ? `${details.name} (${year})` : details.name;
+}
+
+export async function handleFollowCommand(interaction) {
+  const input = (interaction.options.getString("series") || "").trim();
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    const series = await resolveSeries(input);
+    if (!series.success) return interaction.editReply({ content: series.message });
+
+    const entry = seriesFollows.get(series.tmdbId);
+    if (entry?.followers.has(interaction.user.id)) {
+      return interaction.editReply({
+        content: `🔔 You already follow **${entry.title}**.`,
+      });
+    }
+    if (getFollowedSeries(interaction.user.id).length >= MAX_FOLLOWS_PER_USER) {
+      return interaction.editReply({
+        content: `⚠️ You can follow up to ${MAX_FOLLOWS_PER_USER} series. Use /following to drop some first.`,
+      });
+    }
+
+    if (!entry) {
+      seriesFollows.set(series.tmdbId, { title: series.title, followers: new Set() });
+    }
+    seriesFollows.get(series.tmdbId).followers.add(interaction.user.id);
+    saveFollows();
+
+    logger.info(
+      `[FOLLOW] Discord User ${interaction.user.id} followed TV ${series.tmdbId} (${series.title})`
+    );
+    await interaction.editReply({
+      content: `🔔 You now follow **${series.title}**. I'll DM you whenever new seasons or episodes arrive on Jellyfin.`,
+    });
+  } catch (err) {
+    logger.error("[FOLLOW] Failed to follow series:", err?.message || err);
+    await interaction.editReply({ content: "⚠️ Could not look up this series on TMDB." });
+  }
+}
+
+export async function handleUnfollowCommand(interaction) {
+  const input = (interaction.options.getString("series") || "").trim();
+  const followed = getFollowedSeries(interaction.user.id);
+  const lower = input.toLowerCase();
+  const match =
+    followed.find((s) => s.tmdbId === input) ||
+    followed.find((s) => s.title.toLowerCase() === lower) ||
+    followed.find((s) => s.title.toLowerCase().includes(lower));
+
+  if (!input || !match) {
+    return interaction.reply({
+      content: "⚠️ You don't follow that series. Use /following to see your list.",
+      flags: 64,
+    });
+  }
+
+  unfollowSeries(interaction.user.id, match.tmdbId);
+  logger.info(`[FOLLOW] Discord User ${interaction.user.id} unfollowed TV ${match.tmdbId}`);
+  return interaction.reply({
+    content: `🔕 You no longer follow **${match.title}**.`,
+    flags: 64,
+  });
+}
+
+function buildFollowingReply(discordUserId) {
+  const followed = getFollowedSeries(discordUserId);
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: "🔔 Series you follow" })
+    .setColor(COLORS.DEFAULT);
+
+  if (followed.length === 0) {
+    embed.setDescription(
+      "You don't follow any series yet. Use /follow to get a DM for every new season or episode."
+    );
+    return { embeds: [embed], components: [] };
+  }
+
+  embed
+    .setDescription(followed.map((s) => `📺 ${s.title}`).join("\n"))
+    .setFooter({ text: "Pick series below to unfollow them" });
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`following_unfollow|${discordUserId}`)
+    .setPlaceholder("Unfollow…")
+    .setMinValues(1)
+    .setMaxValues(followed.length)
+    .addOptions(
+      followed.map((s) => ({
+        label: s.title.slice(0, 100),
+        value: s.tmdbId,
+        emoji: "🔕",
+      }))
+    );
+
+  return {
+    embeds: [embed],
+    components: [new ActionRowBuilder().addComponents(menu)],
+  };
+}
+
+export async function handleFollowingCommand(interaction) {
+  return interaction.reply({ ...buildFollowingReply(interaction.user.id), flags: 64 });
+}
+
+// customId format: following_unfollow|discordUserId
+export async function handleFollowingUnfollowSelect(interaction) {
+  const [, discordUserId] = interaction.customId.split("|");
+  if (discordUserId !== interaction.user.id) {
+    return interaction.reply({
+      content: "⚠️ This is not your list. Use /following instead.",
+      flags: 64,
+    });
+  }
+
+  for (const tmdbId of interaction.values) {
+    unfollowSeries(discordUserId, tmdbId);
+  }
+  logger.info(
+    `[FOLLOW] Discord User ${discordUserId} unfollowed ${interaction.values.length} series`
+  );
+  return interaction.update(buildFollowingReply(discordUserId));
+}
+
+export async function handleFollowAutocomplete(interaction) {
+  const focusedValue = interaction.options.getFocused().trim();
+
+  if (interaction.commandName === "unfollow") {
+    const lower = focusedValue.toLowerCase();
+    return interaction.respond(
+      getFollowedSeries(interaction.user.id)
+        .filter((s) => !lower || s.title.toLowerCase().includes(lower))
+        .slice(0, 25)
+        .map((s) => ({ name: `📺 ${s.title}`.slice(0, 100), value: s.tmdbId }))
+    );
+  }
+
+  if (!focusedValue) return interaction.respond([]);
+  const results = await tmdbApi.tmdbSearch(focusedValue, getTmdbApiKey());
+  return interaction.respond(
+    results
+      .filter((r) => r.media_type === "tv")
+      .slice(0, 25)
+      .map((series) => ({
+        name: `📺 ${formatSeriesTitle(series)}`.slice(0, 100),
+        value: `${series.id}|tv`,
+      }))
+  );
+}
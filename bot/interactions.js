@@ -2,18 +2,75 @@ import { ActionRowBuilder, StringSelectMenuBuilder } from "discord.js";
 import * as tmdbApi from "../api/tmdb.js";
 import * as seerrApi from "../api/seerr.js";
 import { fetchOMDbData } from "../api/omdb.js";
-import { buildNotificationEmbed, buildButtons } from "./embeds.js";
+import {
+  buildNotificationEmbed,
+  buildButtons,
+  buildSeasonMenus,
+  buildSeasonSummary,
+  getSeasonStatuses,
+} from "./embeds.js";
+import {
+  handleMyRequestsCommand,
+  handleMyRequestsPageButton,
+  handleMyRequestsDetailsButton,
+} from "./myRequests.js";
+import {
+  postPendingApproval,
+  handleApprovalButton,
+  handleApprovalReasonModal,
+} from "./approvals.js";
+import { resolveRoute } from "./routing.js";
+import {
+  getCancelButtonOptions,
+  handleCancelRequestButton,
+  handleCancelCommand,
+  handleCancelAutocomplete,
+} from "./cancelRequest.js";
+import { handleNowPlayingCommand } from "./nowPlaying.js";
+import { handleLibraryCommand, handleLibraryAutocomplete } from "./library.js";
+import { handleUpcomingCommand } from "./upcoming.js";
+import { handleRecommendCommand, handleRecommendPageButton } from "./recommend.js";
+import { parseMediaLink, resolveMediaLink, formatMediaLink } from "./mediaLinks.js";
+import { REQUEST_THIS_COMMAND, findRequestQuery } from "./messageRequest.js";
+import {
+  handleFollowCommand,
+  handleUnfollowCommand,
+  handleFollowingCommand,
+  handleFollowingUnfollowSelect,
+  handleFollowAutocomplete,
+} from "./follows.js";
+import {
+  getCollectionParts,
+  buildCollectionSummaryEmbed,
+  handleCollectionViewButton,
+} from "./collections.js";
+import {
+  handlePersonCommand,
+  handlePersonPageButton,
+  handlePersonAutocomplete,
+} from "./person.js";
+import { findExistingRequest, buildWaitlistReply, handleNotifyMeButton } from "./waitlist.js";
+import {
+  checkQuota,
+  recordQuotaUsage,
+  buildQuotaEmbed,
+  handleQuotaCommand,
+} from "./quotas.js";
 import {
   getOptionStringRobust,
   parseQualityAndServerOptions,
   checkRolePermission,
-  getSeerrAutoApprove,
+  getAutoApproveDecision,
+  getMappedSeerrUserId,
 } from "./botUtils.js";
 import {
   botState,
-  pendingRequests,
-  savePendingRequests,
+  addPendingSubscriber,
 } from "./botState.js";
+import {
+  recordRequest,
+  getOutcomeForStatus,
+} from "./requestHistory.js";
 import { getUserMappings } from "../utils/configFile.js";
 import { getSeerrApiUrl } from "../utils/seerrUrl.js";
 import logger from "../utils/logger.js";
@@ -23,7 +80,130 @@ const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
 const getSeerrApiKey = () => process.env.SEERR_API_KEY;
 const getTmdbApiKey = () => process.env.TMDB_API_KEY;
 
+async function tagLabelsToIds(labels, mediaType) {
+  if (!labels || labels.length === 0) return [];
+
+  try {
+    const allTags = await seerrApi.fetchTags(getSeerrUrl(), getSeerrApiKey());
+    const relevantTags = Array.isArray(allTags)
+      ? allTags.filter((tag) =>
+        mediaType === "tv" ? tag.type === "sonarr" : tag.type === "radarr"
+      )
+      : [];
+
+    const tagIds = labels
+      .map((tagLabel) => {
+        const tag = relevantTags.find((t) => (t.label || t.name) === tagLabel);
+        return tag ? tag.id : null;
+      })
+      .filter((id) => id !== null);
+
+    logger.debug(
+      `Converted tag labels ${labels.join(", ")} to IDs: ${tagIds.join(", ")}`
+    );
+    return tagIds;
+  } catch (err) {
+    logger.warn("Failed to convert tag labels to IDs:", err?.message);
+    return [];
+  }
+}
+
+// Season number → Seerr media status, or null when Seerr can't be asked
+async function fetchSeasonStatuses(tmdbId) {
+  const status = await seerrApi.checkMediaStatus(
+    tmdbId,
+    "tv",
+    [],
+    getSeerrUrl(),
+    getSeerrApiKey()
+  );
+  return status.exists ? getSeasonStatuses(status.data?.mediaInfo) : null;
+}
+
+// "All Seasons" as an explicit list of the seasons that still need requesting,
+// so seasons that are available or already requested don't count toward quotas
+function getMissingSeasons(details, status) {
+  const seasonStatuses = status.exists
+    ? getSeasonStatuses(status.data?.mediaInfo)
+    : new Map();
+  return (details.seasons || [])
+    .filter((s) => s.season_number > 0 && !seasonStatuses.has(s.season_number))
+    .map((s) => s.season_number);
+}
+
+// Sends the request to Seerr and records it, with its auto-approve decision,
+// in the request history (failures included)
+async function submitSeerrRequest(interaction, request, source) {
+  const {
+    tmdbId,
+    mediaType,
+    details,
+    seasons,
+    tags,
+    tagLabels = [],
+    profileId,
+    serverId,
+    rootFolder,
+  } = request;
+
+  const approval = getAutoApproveDecision(
+    interaction.member,
+    interaction.user.id
+  );
+  const historyEntry = {
+    source,
+    discordUserId: interaction.user.id,
+    discordUsername: interaction.user.username,
+    seerrUserId: getMappedSeerrUserId(interaction.user.id),
+    tmdbId: Number(tmdbId),
+    mediaType,
+    title: details?.title || details?.name || null,
+    seasons: mediaType === "tv" ? seasons || [] : [],
+    tags: tagLabels,
+    serverId: serverId ?? null,
+    profileId: profileId ?? null,
+    rootFolder: rootFolder || null,
+    autoApprove: approval.autoApprove,
+    autoApproveReason: approval.reason,
+  };
+
+  try {
+    const seerrRequest = await seerrApi.sendRequest({
+      tmdbId,
+      mediaType,
+      seasons,
+      tags,
+      profileId,
+      serverId,
+      rootFolder,
+      seerrUrl: getSeerrUrl(),
+      apiKey: getSeerrApiKey(),
+      discordUserId: interaction.user.id,
+      userMappings: getUserMappings(),
+      isAutoApproved: approval.autoApprove,
+    });
+    logger.info(
+      `[REQUEST] Discord User ${interaction.user.id} requested ${mediaType} ${tmdbId} (${source}). Auto-Approve: ${approval.autoApprove} (${approval.reason})`
+    );
+    recordRequest({
+      ...historyEntry,
+      seerrRequestId: seerrRequest?.id ?? null,
+      outcome: getOutcomeForStatus(seerrRequest?.status),
+    });
+    return seerrRequest;
+  } catch (err) {
+    recordRequest({
+      ...historyEntry,
+      seerrRequestId: null,
+      outcome: "failed",
+      error: err?.response?.data?.message || err.message,
+    });
+    throw err;
+  }
+}
+
 // ----------------- COMMON SEARCH LOGIC -----------------
+// options: { quality, server } for requests, ephemeral to always answer privately
 async function handleSearchOrRequest(
   interaction,
   rawInput,
@@ -31,19 +211,33 @@ async function handleSearchOrRequest(
   tags = [],
   options = {}
 ) {
-  const isPrivateMode = process.env.PRIVATE_MESSAGE_MODE === "true";
+  const isPrivateMode =
+    options.ephemeral || process.env.PRIVATE_MESSAGE_MODE === "true";
 
   try {
-    await interaction.deferReply({ ephemeral: isPrivateMode });
+    // Callers that need more than 3 seconds to find the input defer first
+    if (!interaction.deferred) {
+      await interaction.deferReply({ ephemeral: isPrivateMode });
+    }
   } catch (err) {
     logger.error(`Failed to defer reply: ${err.message}`);
     return;
   }
 
   let tmdbId, mediaType;
+  let invalidMessage = "⚠️ The title seems to be invalid.";
+
+  // Pasted IMDb/TMDB/TVDB/Letterboxd links and IDs (null for plain titles)
+  const link = rawInput.includes("|") ? null : await resolveMediaLink(rawInput);
 
   if (rawInput.includes("|")) {
     [tmdbId, mediaType] = rawInput.split("|");
+  } else if (link) {
+    if (link.success) {
+      ({ tmdbId, mediaType } = link);
+    } else {
+      invalidMessage = link.message;
+    }
   } else {
     const results = await tmdbApi.tmdbSearch(rawInput, getTmdbApiKey());
     const found = results.filter(
@@ -58,12 +252,12 @@ async function handleSearchOrRequest(
   if (!tmdbId || !mediaType) {
     if (isPrivateMode) {
       return interaction.editReply({
-        content: "⚠️ The title seems to be invalid.",
+        content: invalidMessage,
       });
     } else {
       await interaction.deleteReply();
       return interaction.followUp({
-        content: "⚠️ The title seems to be invalid.",
+        content: invalidMessage,
         flags: 64,
       });
     }
@@ -76,6 +270,7 @@ async function handleSearchOrRequest(
       getTmdbApiKey()
     );
 
+    let seerrRequest = null;
     if (mode === "request") {
       const status = await seerrApi.checkMediaStatus(
         tmdbId,
@@ -102,46 +297,32 @@ async function handleSearchOrRequest(
         return;
       }
 
-      let tagIds = [];
-      if (tags && tags.length > 0) {
-        try {
-          const allTags = await seerrApi.fetchTags(
-            getSeerrUrl(),
-            getSeerrApiKey()
-          );
-          const relevantTags = Array.isArray(allTags)
-            ? allTags.filter((tag) =>
-              mediaType === "tv" ? tag.type === "sonarr" : tag.type === "radarr"
-            )
-            : [];
-
-          tagIds = tags
-            .map((tagLabel) => {
-              const tag = relevantTags.find(
-                (t) => (t.label || t.name) === tagLabel
-              );
-              return tag ? tag.id : null;
-            })
-            .filter((id) => id !== null);
-
-          logger.debug(
-            `Converted tag labels ${tags.join(", ")} to IDs: ${tagIds.join(", ")}`
-          );
-        } catch (err) {
-          logger.warn("Failed to convert tag labels to IDs:", err?.message);
-        }
+      const existingRequest = findExistingRequest(
+        status,
+        mediaType,
+        ["all"],
+        details
+      );
+      if (existingRequest) {
+        await interaction.editReply(
+          buildWaitlistReply(existingRequest, details, mediaType, tmdbId)
+        );
+        return;
       }
 
-      const { profileId, serverId } = parseQualityAndServerOptions(
+      const route = resolveRoute(interaction.member, mediaType, details, tags);
+      const tagLabels = [...new Set([...(tags || []), ...(route?.tags || [])])];
+      const tagIds = await tagLabelsToIds(tagLabels, mediaType);
+
+      const { profileId, serverId, rootFolder } = parseQualityAndServerOptions(
         options,
-        mediaType
+        mediaType,
+        route
       );
 
       let seasonsToRequest = ["all"];
       if (mediaType === "tv" && details.seasons) {
-        const seasonNumbers = details.seasons
-          .filter((s) => s.season_number > 0)
-          .map((s) => s.season_number);
+        const seasonNumbers = getMissingSeasons(details, status);
 
         if (seasonNumbers.length > 0) {
           seasonsToRequest = seasonNumbers;
@@ -151,30 +332,52 @@ async function handleSearchOrRequest(
         }
       }
 
-      await seerrApi.sendRequest({
-        tmdbId,
+      const quotaCount = mediaType === "tv" ? seasonsToRequest.length : 1;
+      const quota = checkQuota(
+        interaction.member,
+        interaction.user.id,
+        mediaType,
+        quotaCount
+      );
+      if (!quota.allowed) {
+        const quotaEmbed = buildQuotaEmbed(quota.status, mediaType);
+        if (isPrivateMode) {
+          await interaction.editReply({ embeds: [quotaEmbed], components: [] });
+        } else {
+          await interaction.deleteReply();
+          await interaction.followUp({ embeds: [quotaEmbed], flags: 64 });
+        }
+        return;
+      }
+
+      seerrRequest = await submitSeerrRequest(
+        interaction,
+        {
+          tmdbId,
+          mediaType,
+          details,
+          seasons: seasonsToRequest,
+          tags: tagIds,
+          tagLabels,
+          profileId,
+          serverId,
+          rootFolder,
+        },
+        "request"
+      );
+      recordQuotaUsage(
+        interaction.member,
+        interaction.user.id,
         mediaType,
-        seasons: seasonsToRequest,
-        tags: tagIds,
-        profileId,
-        serverId,
-        seerrUrl: getSeerrUrl(),
-        apiKey: getSeerrApiKey(),
+        quotaCount
+      );
+      await postPendingApproval(interaction.client, seerrRequest, {
         discordUserId: interaction.user.id,
-        userMappings: getUserMappings(),
-        isAutoApproved: getSeerrAutoApprove(),
+        details,
       });
-      logger.info(
-        `[REQUEST] Discord User ${interaction.user.id} requested ${mediaType} ${tmdbId}. Auto-Approve: ${getSeerrAutoApprove()}`
-      );
 
       if (process.env.NOTIFY_ON_AVAILABLE === "true") {
-        const requestKey = `${tmdbId}-${mediaType}`;
-        if (!pendingRequests.has(requestKey)) {
-          pendingRequests.set(requestKey, new Set());
-        }
-        pendingRequests.get(requestKey).add(interaction.user.id);
-        savePendingRequests();
+        addPendingSubscriber(tmdbId, mediaType, interaction.user.id);
       }
     }
 
@@ -195,12 +398,27 @@ async function handleSearchOrRequest(
       tmdbId
     );
 
+    const seasonStatuses =
+      mediaType === "tv" && mode === "search"
+        ? await fetchSeasonStatuses(tmdbId)
+        : null;
+    const seasonSummary = seasonStatuses
+      ? buildSeasonSummary(details, seasonStatuses)
+      : "";
+    if (seasonSummary) {
+      embed.addFields({ name: "Seasons", value: seasonSummary });
+    }
+
     const components = buildButtons(
       tmdbId,
       imdbId,
       mode === "request",
       mediaType,
-      details
+      details,
+      {
+        cancelRequest: getCancelButtonOptions(seerrRequest, interaction.user.id),
+        seasonStatuses,
+      }
     );
 
     if (mediaType === "movie" && mode === "search") {
@@ -305,6 +523,42 @@ export function registerInteractions(client) {
 
       // Autocomplete
       if (interaction.isAutocomplete()) {
+        if (interaction.commandName === "cancel") {
+          try {
+            return await handleCancelAutocomplete(interaction);
+          } catch (e) {
+            logger.error("Cancel autocomplete error:", e);
+            return await interaction.respond([]);
+          }
+        }
+        if (interaction.commandName === "library") {
+          try {
+            return await handleLibraryAutocomplete(interaction);
+          } catch (e) {
+            logger.error("Library autocomplete error:", e);
+            return await interaction.respond([]);
+          }
+        }
+        if (interaction.commandName === "person") {
+          try {
+            return await handlePersonAutocomplete(interaction);
+          } catch (e) {
+            logger.error("Person autocomplete error:", e);
+            return await interaction.respond([]);
+          }
+        }
+        if (
+          interaction.commandName === "follow" ||
+          interaction.commandName === "unfollow"
+        ) {
+          try {
+            return await handleFollowAutocomplete(interaction);
+          } catch (e) {
+            logger.error("Follow autocomplete error:", e);
+            return await interaction.respond([]);
+          }
+        }
+
         const focusedOption = interaction.options.getFocused(true);
         const focusedValue = focusedOption.value;
 
@@ -575,10 +829,22 @@ export function registerInteractions(client) {
         if (!focusedValue) return interaction.respond([]);
 
         try {
-          const results = await tmdbApi.tmdbSearch(
-            focusedValue,
-            getTmdbApiKey()
-          );
+          // Links are only parsed here: resolving them can take longer than
+          // Discord waits for choices, so that happens once the command is sent
+          const link = parseMediaLink(focusedValue);
+          if (link) {
+            const value = formatMediaLink(link);
+            const choiceValue =
+              value && value.length <= 100 ? value : focusedValue.trim().slice(0, 100);
+            return await interaction.respond([
+              {
+                name: `🔗 Resolve this link (${choiceValue})`.slice(0, 100),
+                value: choiceValue,
+              },
+            ]);
+          }
+
+          const results = await tmdbApi.tmdbSearch(focusedValue, getTmdbApiKey());
           const filtered = results
             .filter(
               (r) => r.media_type === "movie" || r.media_type === "tv"
@@ -675,6 +941,30 @@ export function registerInteractions(client) {
             flags: 64,
           });
         }
+        if (
+          interaction.isMessageContextMenuCommand() &&
+          interaction.commandName === REQUEST_THIS_COMMAND
+        ) {
+          await interaction.deferReply({ flags: 64 });
+          let query = null;
+          try {
+            query = await findRequestQuery(interaction.targetMessage);
+          } catch (err) {
+            logger.error("[REQUEST THIS] Failed to read message:", err?.message || err);
+            return interaction.editReply({
+              content: "⚠️ Could not search TMDB right now.",
+            });
+          }
+          if (!query) {
+            return interaction.editReply({
+              content: "🔍 I couldn't find a link or a movie/TV title in this message.",
+            });
+          }
+          return handleSearchOrRequest(interaction, query, "search", [], {
+            ephemeral: true,
+          });
+        }
+
         const raw = getOptionStringRobust(interaction);
         if (interaction.commandName === "search")
           return handleSearchOrRequest(interaction, raw, "search");
@@ -693,6 +983,114 @@ export function registerInteractions(client) {
         if (interaction.commandName === "trending") {
           return handleSearchOrRequest(interaction, raw, "search");
         }
+        if (interaction.commandName === "myrequests") {
+          return handleMyRequestsCommand(interaction);
+        }
+        if (interaction.commandName === "quota") {
+          return handleQuotaCommand(interaction);
+        }
+        if (interaction.commandName === "cancel") {
+          return handleCancelCommand(interaction);
+        }
+        if (interaction.commandName === "library") {
+          return handleLibraryCommand(interaction);
+        }
+        if (interaction.commandName === "upcoming") {
+          return handleUpcomingCommand(interaction);
+        }
+        if (interaction.commandName === "nowplaying") {
+          return handleNowPlayingCommand(interaction);
+        }
+        if (interaction.commandName === "recommend") {
+          return handleRecommendCommand(interaction);
+        }
+        if (interaction.commandName === "person") {
+          return handlePersonCommand(interaction);
+        }
+        if (interaction.commandName === "follow") {
+          return handleFollowCommand(interaction);
+        }
+        if (interaction.commandName === "unfollow") {
+          return handleUnfollowCommand(interaction);
+        }
+        if (interaction.commandName === "following") {
+          return handleFollowingCommand(interaction);
+        }
+      }
+
+      // ===== CANCEL REQUEST BUTTON =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("cancel_request|")
+      ) {
+        return handleCancelRequestButton(interaction);
+      }
+
+      // ===== NOTIFY ME TOO BUTTON =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("notify_me|")
+      ) {
+        return handleNotifyMeButton(interaction);
+      }
+
+      // ===== RECOMMENDATION CAROUSEL =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("recommend_page|")
+      ) {
+        return handleRecommendPageButton(interaction);
+      }
+
+      // ===== PERSON FILMOGRAPHY =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("person_page|")
+      ) {
+        return handlePersonPageButton(interaction);
+      }
+      // customId format: person_select|personId, value: tmdbId|mediaType
+      if (
+        interaction.isStringSelectMenu() &&
+        interaction.customId.startsWith("person_select|")
+      ) {
+        return handleSearchOrRequest(interaction, interaction.values[0], "search");
+      }
+
+      // ===== SERIES FOLLOWS =====
+      if (
+        interaction.isStringSelectMenu() &&
+        interaction.customId.startsWith("following_unfollow|")
+      ) {
+        return handleFollowingUnfollowSelect(interaction);
+      }
+
+      // ===== MY REQUESTS BUTTONS =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("myrequests_page|")
+      ) {
+        return handleMyRequestsPageButton(interaction);
+      }
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("myrequests_details|")
+      ) {
+        return handleMyRequestsDetailsButton(interaction);
+      }
+
+      // ===== APPROVAL QUEUE =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("approval_")
+      ) {
+        return handleApprovalButton(interaction);
+      }
+      if (
+        interaction.isModalSubmit() &&
+        interaction.customId.startsWith("approval_reason_modal|")
+      ) {
+        return handleApprovalReasonModal(interaction);
       }
 
       // ===== REQUEST BUTTON HANDLER =====
@@ -722,35 +1120,16 @@ export function registerInteractions(client) {
 
           const selectedSeasons = seasonsParam ? seasonsParam.split(",") : [];
           const selectedTagNames = tagsParam ? tagsParam.split(",") : [];
-          let selectedTagIds = [];
-          if (selectedTagNames.length > 0) {
-            try {
-              const allTags = await seerrApi.fetchTags(
-                getSeerrUrl(),
-                getSeerrApiKey()
-              );
-
-              const filteredTags = Array.isArray(allTags)
-                ? mediaType === "movie"
-                  ? allTags.filter((tag) => tag.type === "radarr")
-                  : allTags.filter((tag) => tag.type === "sonarr")
-                : [];
-
-              selectedTagIds = selectedTagNames
-                .map((tagName) => {
-                  const tag = filteredTags.find(
-                    (t) => (t.label || t.name) === tagName
-                  );
-                  return tag ? tag.id : null;
-                })
-                .filter((id) => id !== null);
-            } catch (err) {
-              logger.debug(
-                "Failed to fetch tags for API call:",
-                err?.message
-              );
-            }
-          }
+          const route = resolveRoute(
+            interaction.member,
+            mediaType,
+            details,
+            selectedTagNames
+          );
+          const tagLabels = [
+            ...new Set([...selectedTagNames, ...(route?.tags || [])]),
+          ];
+          const selectedTagIds = await tagLabelsToIds(tagLabels, mediaType);
 
           const checkSeasons =
             mediaType === "movie"
@@ -775,6 +1154,19 @@ export function registerInteractions(client) {
             return;
           }
 
+          const existingRequest = findExistingRequest(
+            status,
+            mediaType,
+            checkSeasons,
+            details
+          );
+          if (existingRequest) {
+            await interaction.editReply(
+              buildWaitlistReply(existingRequest, details, mediaType, tmdbId)
+            );
+            return;
+          }
+
           let seasonsToRequest =
             mediaType === "movie"
               ? undefined
@@ -789,9 +1181,7 @@ export function registerInteractions(client) {
                 seasonsToRequest[0] === "all"))
           ) {
             if (details.seasons) {
-              const seasonNumbers = details.seasons
-                .filter((s) => s.season_number > 0)
-                .map((s) => s.season_number);
+              const seasonNumbers = getMissingSeasons(details, status);
               if (seasonNumbers.length > 0) {
                 seasonsToRequest = seasonNumbers;
                 logger.info(
@@ -801,35 +1191,53 @@ export function registerInteractions(client) {
             }
           }
 
-          const { profileId, serverId } = parseQualityAndServerOptions(
-            {},
-            mediaType
+          const { profileId, serverId, rootFolder } =
+            parseQualityAndServerOptions({}, mediaType, route);
+
+          const quotaCount =
+            mediaType === "tv" ? seasonsToRequest.length : 1;
+          const quota = checkQuota(
+            interaction.member,
+            interaction.user.id,
+            mediaType,
+            quotaCount
           );
+          if (!quota.allowed) {
+            await interaction.followUp({
+              embeds: [buildQuotaEmbed(quota.status, mediaType)],
+              flags: 64,
+            });
+            return;
+          }
 
-          await seerrApi.sendRequest({
-            tmdbId,
+          const seerrRequest = await submitSeerrRequest(
+            interaction,
+            {
+              tmdbId,
+              mediaType,
+              details,
+              seasons: seasonsToRequest,
+              tags: selectedTagIds.length > 0 ? selectedTagIds : undefined,
+              tagLabels,
+              profileId,
+              serverId,
+              rootFolder,
+            },
+            "button"
+          );
+          recordQuotaUsage(
+            interaction.member,
+            interaction.user.id,
             mediaType,
-            seasons: seasonsToRequest,
-            tags: selectedTagIds.length > 0 ? selectedTagIds : undefined,
-            profileId,
-            serverId,
-            seerrUrl: getSeerrUrl(),
-            apiKey: getSeerrApiKey(),
+            quotaCount
+          );
+          await postPendingApproval(interaction.client, seerrRequest, {
             discordUserId: interaction.user.id,
-            userMappings: getUserMappings(),
-            isAutoApproved: getSeerrAutoApprove(),
+            details,
           });
-          logger.info(
-            `[REQUEST] Discord User ${interaction.user.id} requested ${mediaType} ${tmdbId}. Auto-Approve: ${getSeerrAutoApprove()}`
-          );
 
           if (process.env.NOTIFY_ON_AVAILABLE === "true") {
-            const requestKey = `${tmdbId}-${mediaType}`;
-            if (!pendingRequests.has(requestKey)) {
-              pendingRequests.set(requestKey, new Set());
-            }
-            pendingRequests.get(requestKey).add(interaction.user.id);
-            savePendingRequests();
+            addPendingSubscriber(tmdbId, mediaType, interaction.user.id);
           }
 
           const imdbId = await tmdbApi.tmdbGetExternalImdb(
@@ -854,8 +1262,15 @@ export function registerInteractions(client) {
             true,
             mediaType,
             details,
-            selectedSeasons.length > 0 ? selectedSeasons : ["all"],
-            selectedTagNames
+            {
+              requestedSeasons:
+                selectedSeasons.length > 0 ? selectedSeasons : ["all"],
+              requestedTags: selectedTagNames,
+              cancelRequest: getCancelButtonOptions(
+                seerrRequest,
+                interaction.user.id
+              ),
+            }
           );
 
           await interaction.editReply({ embeds: [embed], components });
@@ -872,6 +1287,121 @@ export function registerInteractions(client) {
         }
       }
 
+      // ===== COLLECTION REQUEST =====
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("collection_view|")
+      ) {
+        return handleCollectionViewButton(interaction);
+      }
+
+      // customId format: collection_confirm|collectionId|tagsParam
+      // One Seerr request per missing movie, each going through the same
+      // routing, quota and approval steps as a single request
+      if (
+        interaction.isButton() &&
+        interaction.customId.startsWith("collection_confirm|")
+      ) {
+        const [, collectionId, tagsParam = ""] = interaction.customId.split("|");
+        const selectedTagNames = tagsParam ? tagsParam.split(",") : [];
+
+        await interaction.deferUpdate();
+
+        try {
+          const { collection, parts } = await getCollectionParts(collectionId);
+          const missing = parts.filter((p) => p.missing);
+          if (missing.length === 0) {
+            await interaction.followUp({
+              content: "✅ Everything in this collection is already available or requested.",
+              flags: 64,
+            });
+            return;
+          }
+
+          const results = [];
+          for (const part of missing) {
+            const quota = checkQuota(
+              interaction.member,
+              interaction.user.id,
+              "movie",
+              1
+            );
+            if (!quota.allowed) {
+              results.push({ part, outcome: "quota" });
+              continue;
+            }
+
+            try {
+              const details = await tmdbApi.tmdbGetDetails(
+                part.id,
+                "movie",
+                getTmdbApiKey()
+              );
+              const route = resolveRoute(
+                interaction.member,
+                "movie",
+                details,
+                selectedTagNames
+              );
+              const tagLabels = [
+                ...new Set([...selectedTagNames, ...(route?.tags || [])]),
+              ];
+              const tagIds = await tagLabelsToIds(tagLabels, "movie");
+              const { profileId, serverId, rootFolder } =
+                parseQualityAndServerOptions({}, "movie", route);
+
+              const seerrRequest = await submitSeerrRequest(
+                interaction,
+                {
+                  tmdbId: part.id,
+                  mediaType: "movie",
+                  details,
+                  tags: tagIds.length > 0 ? tagIds : undefined,
+                  tagLabels,
+                  profileId,
+                  serverId,
+                  rootFolder,
+                },
+                "collection"
+              );
+              recordQuotaUsage(
+                interaction.member,
+                interaction.user.id,
+                "movie",
+                1
+              );
+              await postPendingApproval(interaction.client, seerrRequest, {
+                discordUserId: interaction.user.id,
+                details,
+              });
+
+              if (process.env.NOTIFY_ON_AVAILABLE === "true") {
+                addPendingSubscriber(part.id, "movie", interaction.user.id);
+              }
+
+              results.push({ part, outcome: "requested" });
+            } catch (err) {
+              logger.warn(
+                `[COLLECTION] Request for movie ${part.id} failed: ${err?.response?.data?.message || err.message}`
+              );
+              results.push({ part, outcome: "failed" });
+            }
+          }
+
+          await interaction.editReply({
+            embeds: [buildCollectionSummaryEmbed(collection, results)],
+            components: [],
+          });
+        } catch (err) {
+          logger.error("Collection request error:", err);
+          await interaction.followUp({
+            content: "⚠️ I could not request this collection.",
+            flags: 64,
+          });
+        }
+        return;
+      }
+
       // ===== SELECT SEASONS HANDLER =====
       // customId format: select_seasons|tmdbId|selectedTagsParam|menuIndex
       if (
@@ -957,105 +1487,17 @@ export function registerInteractions(client) {
             false,
             "tv",
             details,
-            [],
-            [],
-            allSelectedSeasons,
-            selectedTags
+            { selectedSeasons: allSelectedSeasons, selectedTags }
           );
 
-          const seenSeasons = new Set();
-          const uniqueSeasons = details.seasons.filter((s) => {
-            if (s.season_number <= 0) return false;
-            if (seenSeasons.has(s.season_number)) return false;
-            seenSeasons.add(s.season_number);
-            return true;
-          });
-
+          const seasonStatuses = await fetchSeasonStatuses(tmdbId);
           const tagsParam =
             selectedTags.length > 0 ? selectedTags.join(",") : "";
           const hasAllSeasons = allSelectedSeasons.includes("all");
 
-          if (uniqueSeasons.length <= 24) {
-            const seasonOptions = [
-              { label: "All Seasons", value: "all" },
-              ...uniqueSeasons.map((s) => ({
-                label: `Season ${s.season_number} (${s.episode_count} episodes)`,
-                value: String(s.season_number),
-              })),
-            ];
-
-            const selectMenu = new StringSelectMenuBuilder()
-              .setCustomId(`select_seasons|${tmdbId}|${tagsParam}`)
-              .setPlaceholder("Select seasons to request...")
-              .setMinValues(1)
-              .setMaxValues(Math.min(25, seasonOptions.length))
-              .addOptions(seasonOptions);
-
-            components.push(new ActionRowBuilder().addComponents(selectMenu));
-          } else {
-            const SEASONS_PER_MENU = 24;
-            const MAX_SEASON_MENUS = 4;
-
-            const firstBatchSeasons = uniqueSeasons.slice(0, SEASONS_PER_MENU);
-            const firstMenuOptions = [
-              { label: "All Seasons", value: "all" },
-              ...firstBatchSeasons.map((s) => ({
-                label: `Season ${s.season_number} (${s.episode_count} episodes)`,
-                value: String(s.season_number),
-              })),
-            ];
-
-            const firstMenu = new StringSelectMenuBuilder()
-              .setCustomId(`select_seasons|${tmdbId}|${tagsParam}|0`)
-              .setPlaceholder(
-                `Seasons 1-${firstBatchSeasons[firstBatchSeasons.length - 1].season_number}`
-              )
-              .setMinValues(0)
-              .setMaxValues(firstMenuOptions.length)
-              .addOptions(firstMenuOptions);
-
-            components.push(
-              new ActionRowBuilder().addComponents(firstMenu)
-            );
-
-            let menuIdx = 1;
-            let offset = SEASONS_PER_MENU;
-
-            while (
-              offset < uniqueSeasons.length &&
-              menuIdx < MAX_SEASON_MENUS
-            ) {
-              const batchSeasons = uniqueSeasons.slice(
-                offset,
-                offset + SEASONS_PER_MENU
-              );
-
-              if (batchSeasons.length > 0) {
-                const batchOptions = batchSeasons.map((s) => ({
-                  label: `Season ${s.season_number} (${s.episode_count} episodes)`,
-                  value: String(s.season_number),
-                }));
-
-                const batchMenu = new StringSelectMenuBuilder()
-                  .setCustomId(
-                    `select_seasons|${tmdbId}|${tagsParam}|${menuIdx}`
-                  )
-                  .setPlaceholder(
-                    `Seasons ${batchSeasons[0].season_number}-${batchSeasons[batchSeasons.length - 1].season_number}`
-                  )
-                  .setMinValues(0)
-                  .setMaxValues(batchOptions.length)
-                  .addOptions(batchOptions);
-
-                components.push(
-                  new ActionRowBuilder().addComponents(batchMenu)
-                );
-              }
-
-              offset += SEASONS_PER_MENU;
-              menuIdx++;
-            }
-          }
+          components.push(
+            ...buildSeasonMenus(tmdbId, details, tagsParam, seasonStatuses)
+          );
 
           if (selectedTags.length === 0 && !hasAllSeasons) {
             try {
@@ -1134,13 +1576,16 @@ export function registerInteractions(client) {
 
       // ===== DAILY RANDOM PICK REQUEST BUTTON HANDLER =====
       // customId format: request_random_tmdbId_mediaType
+      // (request_calendar_ for the weekly release calendar)
       if (
         interaction.isButton() &&
-        interaction.customId.startsWith("request_random_")
+        (interaction.customId.startsWith("request_random_") ||
+          interaction.customId.startsWith("request_calendar_"))
       ) {
         const parts = interaction.customId.split("_");
         const tmdbId = parseInt(parts[2], 10);
         const mediaType = parts[3] || "movie";
+        const source = parts[1] === "calendar" ? "calendar" : "daily_pick";
 
         if (!tmdbId) {
           return interaction.reply({
@@ -1158,31 +1603,92 @@ export function registerInteractions(client) {
             getTmdbApiKey()
           );
 
-          const { profileId, serverId } = parseQualityAndServerOptions(
-            {},
-            mediaType
+          const status = await seerrApi.checkMediaStatus(
+            tmdbId,
+            mediaType,
+            ["all"],
+            getSeerrUrl(),
+            getSeerrApiKey()
           );
 
-          await seerrApi.sendRequest({
-            tmdbId,
+          if (status.exists && status.available) {
+            await interaction.followUp({
+              content:
+                "✅ This content is already available in your library!",
+              flags: 64,
+            });
+            return;
+          }
+
+          // Answered privately, the pick/calendar message stays as it is
+          const existingRequest = findExistingRequest(
+            status,
             mediaType,
-            seasons: mediaType === "tv" ? ["all"] : undefined,
-            profileId,
-            serverId,
-            seerrUrl: getSeerrUrl(),
-            apiKey: getSeerrApiKey(),
+            ["all"],
+            details
+          );
+          if (existingRequest) {
+            await interaction.followUp({
+              ...buildWaitlistReply(existingRequest, details, mediaType, tmdbId),
+              flags: 64,
+            });
+            return;
+          }
+
+          let seasonsToRequest = mediaType === "tv" ? ["all"] : undefined;
+          if (mediaType === "tv" && details.seasons) {
+            const seasonNumbers = getMissingSeasons(details, status);
+            if (seasonNumbers.length > 0) seasonsToRequest = seasonNumbers;
+          }
+
+          const route = resolveRoute(interaction.member, mediaType, details);
+          const routeTagIds = await tagLabelsToIds(route?.tags, mediaType);
+          const { profileId, serverId, rootFolder } =
+            parseQualityAndServerOptions({}, mediaType, route);
+
+          const quotaCount = mediaType === "tv" ? seasonsToRequest.length : 1;
+          const quota = checkQuota(
+            interaction.member,
+            interaction.user.id,
+            mediaType,
+            quotaCount
+          );
+          if (!quota.allowed) {
+            await interaction.followUp({
+              embeds: [buildQuotaEmbed(quota.status, mediaType)],
+              flags: 64,
+            });
+            return;
+          }
+
+          const seerrRequest = await submitSeerrRequest(
+            interaction,
+            {
+              tmdbId,
+              mediaType,
+              details,
+              seasons: seasonsToRequest,
+              tags: routeTagIds,
+              tagLabels: route?.tags || [],
+              profileId,
+              serverId,
+              rootFolder,
+            },
+            source
+          );
+          recordQuotaUsage(
+            interaction.member,
+            interaction.user.id,
+            mediaType,
+            quotaCount
+          );
+          await postPendingApproval(interaction.client, seerrRequest, {
             discordUserId: interaction.user.id,
-            userMappings: getUserMappings(),
-            isAutoApproved: getSeerrAutoApprove(),
+            details,
           });
 
           if (process.env.NOTIFY_ON_AVAILABLE === "true") {
-            const requestKey = `${tmdbId}-${mediaType}`;
-            if (!pendingRequests.has(requestKey)) {
-              pendingRequests.set(requestKey, new Set());
-            }
-            pendingRequests.get(requestKey).add(interaction.user.id);
-            savePendingRequests();
+            addPendingSubscriber(tmdbId, mediaType, interaction.user.id);
           }
 
           await interaction.followUp({
@@ -1269,10 +1775,7 @@ export function registerInteractions(client) {
             false,
             mediaType,
             details,
-            [],
-            [],
-            selectedSeasons,
-            selectedTagNames
+            { selectedSeasons, selectedTags: selectedTagNames }
           );
 
           await interaction.editReply({ components });
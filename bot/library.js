@@ -0,0 +1,237 @@
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} from "discord.js";
+import * as jellyfinApi from "../api/jellyfin.js";
+import { buildJellyfinUrl } from "../jellyfinWebhook.js";
+import { COLORS } from "../lib/constants.js";
+import { isValidUrl } from "../utils/url.js";
+import { truncate } from "../utils/text.js";
+import logger from "../utils/logger.js";
+
+const getJellyfinApiKey = () => process.env.JELLYFIN_API_KEY;
+const getJellyfinBaseUrl = () => process.env.JELLYFIN_BASE_URL;
+
+const JELLYFIN_ID_PATTERN = /^[0-9a-f]{32}$/i;
+const MAX_VERSIONS = 8;
+
+function getResolutionLabel(video) {
+  const width = video.Width || 0;
+  const height = video.Height || 0;
+  if (width >= 3800 || height >= 2100) return "4K";
+  if (width >= 2500 || height >= 1400) return "1440p";
+  if (width >= 1900 || height >= 1000) return "1080p";
+  if (width >= 1250 || height >= 700) return "720p";
+  return height ? `${height}p` : "SD";
+}
+
+function getDynamicRangeLabel(video) {
+  const range = video.VideoRangeType || video.VideoRange;
+  if (!range || range === "SDR" || range === "Unknown") return null;
+  return range === "DOVI" ? "Dolby Vision" : range;
+}
+
+function getAudioLabel(audio) {
+  const codec = (audio.Codec || "").toUpperCase();
+  const channels = audio.ChannelLayout || (audio.Channels ? `${audio.Channels}ch` : "");
+  const language = audio.Language ? `(${audio.Language})` : "";
+  return [codec, channels, language].filter(Boolean).join(" ");
+}
+
+// One line per media source, e.g. "4K · HDR10 · HEVC — EAC3 5.1 (eng)"
+function describeMediaSource(source) {
+  const streams = source.MediaStreams || [];
+  const video = streams.find((s) => s.Type === "Video");
+  const audio =
+    streams.find((s) => s.Type === "Audio" && s.IsDefault) ||
+    streams.find((s) => s.Type === "Audio");
+
+  const videoParts = video
+    ? [getResolutionLabel(video), getDynamicRangeLabel(video), video.Codec?.toUpperCase()]
+    : [];
+  const label = videoParts.filter(Boolean).join(" · ") || "Unknown video";
+  return audio ? `${label} — ${getAudioLabel(audio)}` : label;
+}
+
+function describeVersions(items) {
+  const counts = new Map();
+  for (const item of items) {
+    for (const source of item.MediaSources || []) {
+      const label = describeMediaSource(source);
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+  }
+
+  const lines = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, count]) =>
+      items.length > 1 ? `• ${label} (${count})` : `• ${label}`
+    );
+  if (lines.length > MAX_VERSIONS) {
+    const hidden = lines.length - MAX_VERSIONS;
+    lines.splice(MAX_VERSIONS, hidden, `…and ${hidden} more`);
+  }
+  return lines.join("\n");
+}
+
+// [1,2,3,5] → "E1–3, E5"
+function formatEpisodeRanges(numbers) {
+  const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const n of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) last[1] = n;
+    else ranges.push([n, n]);
+  }
+  return ranges
+    .map(([start, end]) => (start === end ? `E${start}` : `E${start}–${end}`))
+    .join(", ");
+}
+
+function describeSeasons(episodes) {
+  const seasons = new Map();
+  for (const episode of episodes) {
+    const season = episode.ParentIndexNumber ?? 0;
+    if (!seasons.has(season)) seasons.set(season, []);
+    if (episode.IndexNumber != null) seasons.get(season).push(episode.IndexNumber);
+  }
+
+  return [...seasons.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([season, numbers]) => {
+      const name = season === 0 ? "Specials" : `Season ${season}`;
+      const count = `${numbers.length} episode${numbers.length === 1 ? "" : "s"}`;
+      return numbers.length > 0
+        ? `**${name}**: ${count} (${formatEpisodeRanges(numbers)})`
+        : `**${name}**`;
+    })
+    .join("\n");
+}
+
+async function buildLibraryReply(item) {
+  const isSeries = item.Type === "Series";
+  const episodes = isSeries
+    ? await jellyfinApi.fetchSeriesEpisodes(
+      item.Id,
+      getJellyfinApiKey(),
+      getJellyfinBaseUrl()
+    )
+    : [];
+
+  const title = item.ProductionYear
+    ? `${item.Name} (${item.ProductionYear})`
+    : item.Name;
+  const serverId = item.ServerId || process.env.JELLYFIN_SERVER_ID;
+  const watchUrl = buildJellyfinUrl(
+    null,
+    "web/index.html",
+    `!/details?id=${item.Id}&serverId=${serverId}`
+  );
+  const poster = buildJellyfinUrl(null, `Items/${item.Id}/Images/Primary`);
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: "✅ Available on Jellyfin" })
+    .setTitle(truncate(title, 256))
+    .setColor(COLORS.SUCCESS);
+
+  if (isValidUrl(watchUrl)) embed.setURL(watchUrl);
+  if (item.ImageTags?.Primary && isValidUrl(poster)) embed.setThumbnail(poster);
+  if (item.Overview) embed.setDescription(truncate(item.Overview, 400));
+
+  const versions = describeVersions(isSeries ? episodes : [item]);
+  embed.addFields({
+    name: isSeries ? "Versions (episodes)" : "Versions",
+    value: truncate(versions || "No media information available.", 1024),
+  });
+
+  if (isSeries) {
+    embed.addFields({
+      name: `Seasons (${episodes.length} episode${episodes.length === 1 ? "" : "s"})`,
+      value: truncate(describeSeasons(episodes) || "No episodes yet.", 1024),
+    });
+  }
+
+  const components = isValidUrl(watchUrl)
+    ? [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setStyle(ButtonStyle.Link)
+          .setLabel("▶ Watch Now!")
+          .setURL(watchUrl)
+      ),
+    ]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+export async function handleLibraryCommand(interaction) {
+  const isPrivateMode = process.env.PRIVATE_MESSAGE_MODE === "true";
+  const query = interaction.options.getString("title") || "";
+  await interaction.deferReply({ ephemeral: isPrivateMode });
+
+  if (!getJellyfinApiKey() || !getJellyfinBaseUrl()) {
+    return interaction.editReply({ content: "⚠️ Jellyfin is not configured." });
+  }
+
+  try {
+    // Autocomplete picks pass the item ID; typed text falls back to the best match
+    let itemId = JELLYFIN_ID_PATTERN.test(query) ? query : null;
+    if (!itemId) {
+      const [match] = await jellyfinApi.searchItems(
+        query,
+        getJellyfinApiKey(),
+        getJellyfinBaseUrl(),
+        1
+      );
+      itemId = match?.Id || null;
+    }
+
+    const item = itemId
+      ? await jellyfinApi.fetchItemWithMedia(
+        itemId,
+        getJellyfinApiKey(),
+        getJellyfinBaseUrl()
+      )
+      : null;
+
+    if (!item) {
+      return interaction.editReply({
+        content: `🔍 Nothing matching **${truncate(query, 100)}** is on Jellyfin yet. Try \`/request\` to ask for it.`,
+      });
+    }
+
+    await interaction.editReply(await buildLibraryReply(item));
+  } catch (err) {
+    logger.error("[LIBRARY] Failed to load Jellyfin item:", err?.message || err);
+    await interaction.editReply({
+      content: "⚠️ Could not search the Jellyfin library.",
+    });
+  }
+}
+
+export async function handleLibraryAutocomplete(interaction) {
+  const focusedValue = interaction.options.getFocused();
+  if (!focusedValue.trim() || !getJellyfinApiKey() || !getJellyfinBaseUrl()) {
+    return interaction.respond([]);
+  }
+
+  const items = await jellyfinApi.searchItems(
+    focusedValue,
+    getJellyfinApiKey(),
+    getJellyfinBaseUrl()
+  );
+
+  const choices = items.slice(0, 25).map((item) => {
+    const emoji = item.Type === "Movie" ? "🎬" : "📺";
+    const year = item.ProductionYear ? ` (${item.ProductionYear})` : "";
+    return {
+      name: truncate(`${emoji} ${item.Name}${year}`, 100),
+      value: item.Id,
+    };
+  });
+
+  return interaction.respond(choices);
+}
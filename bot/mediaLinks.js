@@ -0,0 +1,131 @@
+import * as tmdbApi from "../api/tmdb.js";
+import { fetchLetterboxdTmdbId } from "../api/letterboxd.js";
+import logger from "../utils/logger.js";
+
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+const IMDB_RAW = /^(?:imdb:)?(tt\d{5,})$/i;
+const IMDB_URL = /imdb\.com\/(?:[a-z]{2}\/)?title\/(tt\d{5,})/i;
+const TMDB_RAW = /^tmdb:(?:(movie|tv)[:/])?(\d+)$/i;
+const TMDB_URL = /themoviedb\.org\/(movie|tv)\/(\d+)/i;
+const TVDB_RAW = /^tvdb:(\d+)$/i;
+const TVDB_URL = /thetvdb\.com\//i;
+const TVDB_URL_ID = /[?&]id=(\d+)|\/series\/(\d+)(?:[/?#]|$)/i;
+// Review pages (letterboxd.com/<user>/film/<slug>/) point at the same film
+const LETTERBOXD_URL = /letterboxd\.com\/(?:[^/\s]+\/)?film\/([a-z0-9-]+)/i;
+const BOXD_URL = /boxd\.it\/([a-z0-9]+)/i;
+
+// What the input refers to, without any network calls; null for plain text.
+// Letterboxd URLs are rebuilt from the slug so only Letterboxd is ever fetched.
+export function parseMediaLink(input) {
+  const value = (input || "").trim();
+  let match;
+
+  if ((match = value.match(IMDB_RAW) || value.match(IMDB_URL))) {
+    return { source: "imdb", id: match[1].toLowerCase() };
+  }
+  if ((match = value.match(TMDB_URL))) {
+    return { source: "tmdb", id: match[2], mediaType: match[1].toLowerCase() };
+  }
+  if ((match = value.match(TMDB_RAW))) {
+    return { source: "tmdb", id: match[2], mediaType: (match[1] || "movie").toLowerCase() };
+  }
+  if ((match = value.match(TVDB_RAW))) {
+    return { source: "tvdb", id: match[1] };
+  }
+  if (TVDB_URL.test(value)) {
+    match = value.match(TVDB_URL_ID);
+    return { source: "tvdb", id: match ? match[1] || match[2] : null };
+  }
+  if ((match = value.match(LETTERBOXD_URL))) {
+    return { source: "letterboxd", url: `https://letterboxd.com/film/${match[1]}/` };
+  }
+  if ((match = value.match(BOXD_URL))) {
+    return { source: "letterboxd", url: `https://boxd.it/${match[1]}` };
+  }
+  return null;
+}
+
+// Short form of a parsed link that parseMediaLink reads back, so it fits in
+// an autocomplete choice value (100 characters)
+export function formatMediaLink(link) {
+  switch (link.source) {
+    case "imdb":
+      return `imdb:${link.id}`;
+    case "tmdb":
+      return `tmdb:${link.mediaType}:${link.id}`;
+    case "tvdb":
+      return link.id ? `tvdb:${link.id}` : null;
+    default:
+      return link.url || null;
+  }
+}
+
+function pickFindResult(found) {
+  if (found.movie_results?.length) {
+    return { tmdbId: found.movie_results[0].id, mediaType: "movie" };
+  }
+  if (found.tv_results?.length) {
+    return { tmdbId: found.tv_results[0].id, mediaType: "tv" };
+  }
+  // Episode links open the show they belong to
+  const episode = found.tv_episode_results?.[0] || found.tv_season_results?.[0];
+  if (episode?.show_id) {
+    return { tmdbId: episode.show_id, mediaType: "tv" };
+  }
+  return null;
+}
+
+// Returns null for plain text, otherwise { success, tmdbId, mediaType } or
+// { success: false, message } with a reason the user can act on
+export async function resolveMediaLink(input) {
+  const link = parseMediaLink(input);
+  if (!link) return null;
+
+  try {
+    let resolved = null;
+
+    if (link.source === "tmdb") {
+      resolved = { tmdbId: parseInt(link.id, 10), mediaType: link.mediaType };
+      await tmdbApi.tmdbGetDetails(resolved.tmdbId, resolved.mediaType, getTmdbApiKey());
+    } else if (link.source === "imdb") {
+      const found = await tmdbApi.tmdbFindByExternalId(link.id, "imdb_id", getTmdbApiKey());
+      resolved = pickFindResult(found);
+      if (!resolved) {
+        return { success: false, message: `⚠️ IMDb ID **${link.id}** is not on TMDB yet.` };
+      }
+    } else if (link.source === "tvdb") {
+      if (!link.id) {
+        return {
+          success: false,
+          message:
+            "⚠️ This TVDB link has no numeric ID. Paste the series ID instead (e.g. `tvdb:81189`), or an IMDb or TMDB link.",
+        };
+      }
+      const found = await tmdbApi.tmdbFindByExternalId(link.id, "tvdb_id", getTmdbApiKey());
+      resolved = pickFindResult(found);
+      if (!resolved) {
+        return { success: false, message: `⚠️ TVDB ID **${link.id}** is not on TMDB yet.` };
+      }
+    } else if (link.source === "letterboxd") {
+      resolved = await fetchLetterboxdTmdbId(link.url);
+      if (!resolved) {
+        return {
+          success: false,
+          message: "⚠️ Could not read that Letterboxd page. Try the IMDb or TMDB link instead.",
+        };
+      }
+    }
+
+    logger.debug(
+      `Resolved ${link.source} link to TMDB ${resolved.mediaType} ${resolved.tmdbId}`
+    );
+    return { success: true, ...resolved };
+  } catch (err) {
+    if (err?.response?.status === 404) {
+      return { success: false, message: "⚠️ This title does not exist on TMDB." };
+    }
+    logger.warn(`Failed to resolve ${link.source} link:`, err?.message || err);
+    return { success: false, message: "⚠️ Could not look up this link on TMDB right now." };
+  }
+}
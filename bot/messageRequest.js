@@ -0,0 +1,95 @@
+import * as tmdbApi from "../api/tmdb.js";
+import { parseMediaLink } from "./mediaLinks.js";
+
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+export const REQUEST_THIS_COMMAND = "Request this";
+
+const URL_PATTERN = /https?:\/\/[^\s<>]+/gi;
+// Quotes and markdown emphasis usually wrap the title itself
+const WRAPPED_PATTERNS = [
+  /"([^"]{2,100})"/g,
+  /“([^”]{2,100})”/g,
+  /\*\*([^*]{2,100})\*\*/g,
+  /__([^_]{2,100})__/g,
+  /\*([^*]{2,100})\*/g,
+];
+const TRIGGER_PATTERN =
+  /\b(?:watch|watched|watching|see|saw|seen|request|check out|add|download|recommend)\s+(.+)/i;
+const FILLER_WORDS = new Set([
+  "tonight", "today", "tomorrow", "later", "sometime", "soon", "together",
+  "again", "next", "this", "weekend", "lol", "haha", "pls", "please", "maybe",
+]);
+// Each dropped trailing word costs one TMDB search
+const MAX_SEARCHES_PER_CANDIDATE = 4;
+
+function getMessageText(message) {
+  const parts = [message.content || ""];
+  for (const embed of message.embeds || []) {
+    parts.push(embed.url || "", embed.title || "");
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+function cleanCandidate(text) {
+  const words = text
+    .replace(URL_PATTERN, " ")
+    .replace(/<[@#:a-z][^>]*>/gi, " ")
+    .replace(/[^\p{L}\p{N}\s'&:-]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (words.length && FILLER_WORDS.has(words[words.length - 1].toLowerCase())) {
+    words.pop();
+  }
+  return words;
+}
+
+function getTitleCandidates(text) {
+  const candidates = [];
+  for (const pattern of WRAPPED_PATTERNS) {
+    for (const match of text.matchAll(pattern)) candidates.push(match[1]);
+  }
+  for (const line of text.split("\n")) {
+    const trigger = line.match(TRIGGER_PATTERN);
+    // Stop at the end of the sentence: "watch Dune Part Two, it's great"
+    if (trigger) candidates.push(trigger[1].split(/[.,!?;]/)[0]);
+  }
+  candidates.push(text.split("\n")[0]);
+
+  return [...new Set(candidates.map((c) => cleanCandidate(c).join(" ")))]
+    .filter(Boolean)
+    .map((c) => c.split(" "));
+}
+
+async function searchTitle(words) {
+  for (
+    let length = words.length;
+    length > 0 && words.length - length < MAX_SEARCHES_PER_CANDIDATE;
+    length--
+  ) {
+    const query = words.slice(0, length).join(" ");
+    const results = await tmdbApi.tmdbSearch(query, getTmdbApiKey());
+    const found = results.find(
+      (r) => r.media_type === "movie" || r.media_type === "tv"
+    );
+    if (found) return `${found.id}|${found.media_type}`;
+  }
+  return null;
+}
+
+// Input for handleSearchOrRequest: the first media link in the message, else
+// the TMDB match for the most likely title, else null
+export async function findRequestQuery(message) {
+  const text = getMessageText(message);
+
+  const tokens = [...(text.match(URL_PATTERN) || []), ...text.split(/\s+/)];
+  const link = tokens.find((token) => parseMediaLink(token));
+  if (link) return link;
+
+  for (const words of getTitleCandidates(text)) {
+    const query = await searchTitle(words);
+    if (query) return query;
+  }
+  return null;
+}
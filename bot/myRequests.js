@@ -0,0 +1,233 @@
+import {
+  EmbedBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ActionRowBuilder,
+} from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import { fetchOMDbData } from "../api/omdb.js";
+import { buildNotificationEmbed } from "./embeds.js";
+import { getMappedSeerrUserId } from "./botUtils.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { COLORS, MEDIA_STATUS, REQUEST_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const PAGE_SIZE = 5;
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+export function getRequestStatusLabel(request) {
+  switch (request.status) {
+    case REQUEST_STATUS.PENDING:
+      return "⏳ Pending";
+    case REQUEST_STATUS.DECLINED:
+      return "❌ Declined";
+    case REQUEST_STATUS.FAILED:
+      return "⚠️ Failed";
+  }
+
+  switch (request.media?.status) {
+    case MEDIA_STATUS.AVAILABLE:
+      return "✅ Available";
+    case MEDIA_STATUS.PARTIALLY_AVAILABLE:
+      return "🟡 Partially available";
+    case MEDIA_STATUS.PROCESSING:
+      return "⚙️ Processing";
+    default:
+      return "👍 Approved";
+  }
+}
+
+async function buildMyRequestsPage(discordUserId, page) {
+  const seerrUserId = getMappedSeerrUserId(discordUserId);
+  if (!seerrUserId) {
+    return {
+      content:
+        "⚠️ Your Discord account is not linked to a Seerr user. Ask an admin to add a user mapping.",
+      embeds: [],
+      components: [],
+    };
+  }
+
+  const { results, pageInfo } = await seerrApi.fetchUserRequests(
+    seerrUserId,
+    { take: PAGE_SIZE, skip: page * PAGE_SIZE },
+    getSeerrUrl(),
+    getSeerrApiKey()
+  );
+
+  const totalResults = pageInfo.results || results.length;
+  const totalPages = Math.max(1, Math.ceil(totalResults / PAGE_SIZE));
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: "📋 My requests" })
+    .setColor(COLORS.INFO);
+
+  if (results.length === 0) {
+    embed.setDescription("You haven't requested anything yet.");
+    return { content: "", embeds: [embed], components: [] };
+  }
+
+  const items = await Promise.all(
+    results.map(async (request) => {
+      const tmdbId = request.media?.tmdbId;
+      const mediaType = request.type || request.media?.mediaType || "movie";
+      let title = `TMDB ${tmdbId}`;
+      try {
+        const details = await tmdbApi.tmdbGetDetails(
+          tmdbId,
+          mediaType,
+          getTmdbApiKey()
+        );
+        const name = details.title || details.name;
+        const date = details.release_date || details.first_air_date || "";
+        if (name) title = date ? `${name} (${date.slice(0, 4)})` : name;
+      } catch (err) {
+        logger.debug(
+          `[MYREQUESTS] Failed to fetch TMDB details for ${tmdbId}:`,
+          err?.message
+        );
+      }
+      return { request, tmdbId, mediaType, title };
+    })
+  );
+
+  const lines = items.map(({ request, mediaType, title }, i) => {
+    const emoji = mediaType === "movie" ? "🎬" : "📺";
+    const requestedAt = request.createdAt
+      ? ` — <t:${Math.floor(new Date(request.createdAt).getTime() / 1000)}:R>`
+      : "";
+    return `**${page * PAGE_SIZE + i + 1}.** ${emoji} ${title}\n${getRequestStatusLabel(request)}${requestedAt}`;
+  });
+
+  embed
+    .setDescription(lines.join("\n\n"))
+    .setFooter({
+      text: `Page ${page + 1} of ${totalPages} • ${totalResults} request${totalResults !== 1 ? "s" : ""}`,
+    });
+
+  // Numbered before filtering so "Details #n" matches line n of the list
+  const detailButtons = items
+    .map(({ tmdbId, mediaType }, i) =>
+      tmdbId
+        ? new ButtonBuilder()
+            .setCustomId(`myrequests_details|${tmdbId}|${mediaType}|${i}`)
+            .setLabel(`Details #${page * PAGE_SIZE + i + 1}`)
+            .setStyle(ButtonStyle.Secondary)
+        : null
+    )
+    .filter(Boolean);
+
+  const components = [];
+  if (detailButtons.length > 0) {
+    components.push(new ActionRowBuilder().addComponents(detailButtons));
+  }
+
+  if (totalPages > 1) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`myrequests_page|${discordUserId}|${page - 1}`)
+          .setLabel("◀ Previous")
+          .setStyle(ButtonStyle.Primary)
+          .setDisabled(page <= 0),
+        new ButtonBuilder()
+          .setCustomId(`myrequests_page|${discordUserId}|${page + 1}`)
+          .setLabel("Next ▶")
+          .setStyle(ButtonStyle.Primary)
+          .setDisabled(page >= totalPages - 1)
+      )
+    );
+  }
+
+  return { content: "", embeds: [embed], components };
+}
+
+export async function handleMyRequestsCommand(interaction) {
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    const payload = await buildMyRequestsPage(interaction.user.id, 0);
+    await interaction.editReply(payload);
+  } catch (err) {
+    logger.error("[MYREQUESTS] Failed to load requests:", err);
+    await interaction.editReply({
+      content: "⚠️ Could not load your requests from Seerr.",
+      embeds: [],
+      components: [],
+    });
+  }
+}
+
+// customId format: myrequests_page|discordUserId|page
+export async function handleMyRequestsPageButton(interaction) {
+  const parts = interaction.customId.split("|");
+  const discordUserId = parts[1];
+  const page = Math.max(0, parseInt(parts[2], 10) || 0);
+
+  if (discordUserId !== interaction.user.id) {
+    return interaction.reply({
+      content: "⚠️ These are not your requests. Use /myrequests instead.",
+      flags: 64,
+    });
+  }
+
+  await interaction.deferUpdate();
+
+  try {
+    const payload = await buildMyRequestsPage(discordUserId, page);
+    await interaction.editReply(payload);
+  } catch (err) {
+    logger.error("[MYREQUESTS] Failed to change page:", err);
+    await interaction.followUp({
+      content: "⚠️ Could not load your requests from Seerr.",
+      flags: 64,
+    });
+  }
+}
+
+// customId format: myrequests_details|tmdbId|mediaType|index
+export async function handleMyRequestsDetailsButton(interaction) {
+  const parts = interaction.customId.split("|");
+  const tmdbId = parseInt(parts[1], 10);
+  const mediaType = parts[2] || "movie";
+
+  if (!tmdbId) {
+    return interaction.reply({ content: "⚠️ ID invalid.", flags: 64 });
+  }
+
+  await interaction.deferReply({ flags: 64 });
+
+  try {
+    const details = await tmdbApi.tmdbGetDetails(
+      tmdbId,
+      mediaType,
+      getTmdbApiKey()
+    );
+    const imdbId = await tmdbApi.tmdbGetExternalImdb(
+      tmdbId,
+      mediaType,
+      getTmdbApiKey()
+    );
+    const omdb = imdbId ? await fetchOMDbData(imdbId) : null;
+
+    const embed = buildNotificationEmbed(
+      details,
+      mediaType,
+      imdbId,
+      "search",
+      omdb,
+      tmdbId
+    );
+
+    await interaction.editReply({ embeds: [embed] });
+  } catch (err) {
+    logger.error("[MYREQUESTS] Failed to load request details:", err);
+    await interaction.editReply({
+      content: "⚠️ Could not load details for this request.",
+    });
+  }
+}
@@ -0,0 +1,310 @@
+import fs from "fs";
+import path from "path";
+import { EmbedBuilder } from "discord.js";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { isValidUrl } from "../utils/url.js";
+import { getZonedDateParts } from "../utils/time.js";
+import { sendChannelMessage } from "./quietHours.js";
+import logger from "../utils/logger.js";
+
+export const DIGEST_SCHEDULES = ["hourly", "daily"];
+
+// Discord allows 10 embeds and 6000 embed characters per message, and 4096
+// characters per description
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_EMBED_CHARS_PER_MESSAGE = 6000;
+const MAX_DESCRIPTION_LENGTH = 4096;
+// Longer lists are split into several embeds of the same group
+const MAX_LINES_PER_EMBED = 20;
+
+const GROUPS = [
+  { key: "movies", title: "🎬 New movies", color: "EMBED_COLOR_MOVIE" },
+  { key: "series", title: "📺 New TV shows", color: "EMBED_COLOR_SERIES" },
+  { key: "episodes", title: "🆕 New seasons & episodes", color: "EMBED_COLOR_EPISODE_MANY" },
+];
+
+// --- NOTIFICATION DIGEST QUEUE ---
+// key = Discord channel ID, value = array of queued items:
+// { itemType, title, year, seriesKey, url, posterUrl, seasons, episodes, queuedAt }
+const digestQueue = new Map();
+
+let digestTimer = null;
+
+export const DIGEST_QUEUE_PATH = path.join(
+  path.dirname(CONFIG_PATH),
+  "notification-digest.json"
+);
+
+function saveDigestQueue() {
+  try {
+    fs.writeFileSync(
+      DIGEST_QUEUE_PATH,
+      JSON.stringify(Object.fromEntries(digestQueue), null, 2),
+      { encoding: "utf-8", mode: 0o600 }
+    );
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist notification digest queue to disk: ${err.message}`);
+  }
+}
+
+export function loadDigestQueue() {
+  if (!fs.existsSync(DIGEST_QUEUE_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(DIGEST_QUEUE_PATH, "utf-8"));
+    digestQueue.clear();
+    for (const [channelId, items] of Object.entries(parsed)) {
+      if (Array.isArray(items) && items.length > 0) digestQueue.set(channelId, items);
+    }
+    logger.info(`✅ Loaded notification digest queue for ${digestQueue.size} channel(s) from disk`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load notification digest queue from disk: ${err.message}`);
+  }
+}
+
+function getDigestChannels() {
+  try {
+    const raw = process.env.NOTIFICATION_DIGEST_CHANNELS;
+    const parsed = typeof raw === "string" ? JSON.parse(raw || "{}") : raw;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// "hourly" or "daily" for digest channels, null for immediate posting
+export function getDigestSchedule(channelId) {
+  const schedule = getDigestChannels()[channelId];
+  return DIGEST_SCHEDULES.includes(schedule) ? schedule : null;
+}
+
+export function queueDigestItem(channelId, item) {
+  if (!digestQueue.has(channelId)) digestQueue.set(channelId, []);
+  digestQueue.get(channelId).push({ ...item, queuedAt: new Date().toISOString() });
+  saveDigestQueue();
+}
+
+// [{ season: 1, episode: 3 }, ...] → "S01E01–E03, E05 · S02E01"
+function formatEpisodeRanges(episodes) {
+  const bySeason = new Map();
+  for (const { season, episode } of episodes) {
+    if (!bySeason.has(season)) bySeason.set(season, new Set());
+    if (episode) bySeason.get(season).add(episode);
+  }
+
+  return [...bySeason.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([season, numbers]) => {
+      const sorted = [...numbers].sort((a, b) => a - b);
+      const ranges = [];
+      for (const n of sorted) {
+        const last = ranges[ranges.length - 1];
+        if (last && n === last[1] + 1) last[1] = n;
+        else ranges.push([n, n]);
+      }
+      const prefix = `S${String(season).padStart(2, "0")}`;
+      return `${prefix}${ranges
+        .map(([from, to]) => {
+          const start = `E${String(from).padStart(2, "0")}`;
+          return from === to ? start : `${start}–E${String(to).padStart(2, "0")}`;
+        })
+        .join(", ")}`;
+    })
+    .join(" · ");
+}
+
+function formatLink(title, year, url) {
+  const label = year ? `${title} (${year})` : title;
+  return isValidUrl(url) ? `[${label}](${url})` : `**${label}**`;
+}
+
+// Episodes and seasons of the same show are merged into one line
+function groupDigestItems(items) {
+  const groups = { movies: [], series: [], episodes: [] };
+  const shows = new Map();
+
+  for (const item of items) {
+    if (item.itemType === "Movie") {
+      groups.movies.push({
+        line: formatLink(item.title, item.year, item.url),
+        posterUrl: item.posterUrl,
+        items: [item],
+      });
+      continue;
+    }
+    if (item.itemType === "Series") {
+      groups.series.push({
+        line: formatLink(item.title, item.year, item.url),
+        posterUrl: item.posterUrl,
+        items: [item],
+      });
+      continue;
+    }
+
+    const key = item.seriesKey || item.title;
+    if (!shows.has(key)) {
+      shows.set(key, { ...item, seasons: new Set(), episodes: [], items: [] });
+    }
+    const show = shows.get(key);
+    show.items.push(item);
+    for (const season of item.seasons || []) show.seasons.add(season);
+    show.episodes.push(...(item.episodes || []));
+  }
+
+  for (const show of shows.values()) {
+    const parts = [];
+    if (show.seasons.size > 0) {
+      const seasons = [...show.seasons].sort((a, b) => a - b);
+      parts.push(`Season${seasons.length > 1 ? "s" : ""} ${seasons.join(", ")}`);
+    }
+    if (show.episodes.length > 0) {
+      const count = new Set(show.episodes.map((e) => `${e.season}-${e.episode}`)).size;
+      parts.push(`${count} episode${count !== 1 ? "s" : ""} (${formatEpisodeRanges(show.episodes)})`);
+    }
+    groups.episodes.push({
+      line: `${formatLink(show.title, null, show.url)} · ${parts.join(" · ")}`,
+      posterUrl: show.posterUrl,
+      items: show.items,
+    });
+  }
+
+  return groups;
+}
+
+// Each embed comes with the queued items it covers
+function buildDigestEmbeds(items, schedule) {
+  const groups = groupDigestItems(items);
+  const embeds = [];
+
+  for (const { key, title, color } of GROUPS) {
+    const entries = groups[key];
+    for (let i = 0; i < entries.length; i += MAX_LINES_PER_EMBED) {
+      const chunk = entries.slice(i, i + MAX_LINES_PER_EMBED);
+      let description = chunk.map((e) => `• ${e.line}`).join("\n");
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        description = `${description.slice(0, MAX_DESCRIPTION_LENGTH - 1)}…`;
+      }
+
+      const embed = new EmbedBuilder()
+        .setAuthor({ name: i === 0 ? title : `${title} (continued)` })
+        .setColor(process.env[color] || "#cba6f7")
+        .setDescription(description);
+
+      // The first poster of each chunk stands in for the group
+      const poster = chunk.find((e) => isValidUrl(e.posterUrl))?.posterUrl;
+      if (poster) embed.setThumbnail(poster);
+      embeds.push({ embed, items: chunk.flatMap((e) => e.items) });
+    }
+  }
+
+  if (embeds.length > 0) {
+    embeds[embeds.length - 1].embed
+      .setFooter({ text: `${schedule === "daily" ? "Daily" : "Hourly"} digest • ${items.length} notification${items.length !== 1 ? "s" : ""}` })
+      .setTimestamp();
+  }
+  return embeds;
+}
+
+function getEmbedLength({ data }) {
+  return (
+    (data.title?.length || 0) +
+    (data.description?.length || 0) +
+    (data.author?.name?.length || 0) +
+    (data.footer?.text?.length || 0) +
+    (data.fields || []).reduce((sum, f) => sum + f.name.length + f.value.length, 0)
+  );
+}
+
+// Packs embeds into as few messages as Discord's per-message limits allow
+function splitIntoMessages(digestEmbeds) {
+  const messages = [];
+  let current = null;
+  for (const digestEmbed of digestEmbeds) {
+    const length = getEmbedLength(digestEmbed.embed);
+    if (
+      !current ||
+      current.embeds.length >= MAX_EMBEDS_PER_MESSAGE ||
+      current.length + length > MAX_EMBED_CHARS_PER_MESSAGE
+    ) {
+      current = { embeds: [], items: [], length: 0 };
+      messages.push(current);
+    }
+    current.embeds.push(digestEmbed.embed);
+    current.items.push(...digestEmbed.items);
+    current.length += length;
+  }
+  return messages;
+}
+
+export async function sendDigest(client, channelId) {
+  const items = digestQueue.get(channelId);
+  if (!items?.length) return;
+
+  try {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      logger.warn(`[DIGEST] Digest channel not found: ${channelId}`);
+      return;
+    }
+
+    const messages = splitIntoMessages(
+      buildDigestEmbeds(items, getDigestSchedule(channelId))
+    );
+    for (const message of messages) {
+      await sendChannelMessage(channel, { embeds: message.embeds });
+
+      // Drop what was posted right away, so a later failure doesn't post it
+      // twice; items queued meanwhile go in the next digest
+      const sent = new Set(message.items);
+      const remaining = digestQueue.get(channelId).filter((item) => !sent.has(item));
+      if (remaining.length > 0) digestQueue.set(channelId, remaining);
+      else digestQueue.delete(channelId);
+      saveDigestQueue();
+    }
+    logger.info(`📰 Posted digest of ${items.length} notification(s) to channel ${channelId}`);
+  } catch (err) {
+    // The queue is kept, so the next run tries again
+    logger.error(`[DIGEST] Failed to post digest to channel ${channelId}:`, err?.message || err);
+  }
+}
+
+async function sendDueDigests(client) {
+  const { hour } = getZonedDateParts(new Date(), process.env.TIMEZONE);
+  const dailyHour = parseInt(process.env.NOTIFICATION_DIGEST_HOUR || "9", 10);
+
+  for (const channelId of [...digestQueue.keys()]) {
+    const schedule = getDigestSchedule(channelId);
+    // A channel switched back to immediate still gets what was queued for it
+    if (!schedule || schedule === "hourly" || hour === dailyHour) {
+      await sendDigest(client, channelId);
+    }
+  }
+}
+
+// Runs at the top of every hour; daily digests go out at NOTIFICATION_DIGEST_HOUR
+export function stopNotificationDigests() {
+  if (digestTimer) {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+  }
+}
+
+export function scheduleNotificationDigests(client) {
+  stopNotificationDigests();
+
+  const scheduleNext = () => {
+    const next = new Date();
+    next.setHours(next.getHours() + 1, 0, 0, 0);
+    const timer = setTimeout(async () => {
+      await sendDueDigests(client);
+      // Not when stopped or rescheduled while posting
+      if (digestTimer === timer) scheduleNext();
+    }, next - Date.now());
+    digestTimer = timer;
+  };
+
+  const channels = Object.keys(getDigestChannels()).filter(getDigestSchedule);
+  if (channels.length > 0) {
+    logger.info(`📰 Notification digest enabled for ${channels.length} channel(s)`);
+  }
+  scheduleNext();
+}
@@ -0,0 +1,187 @@
+import { truncate } from "../utils/text.js";
+
+export const TEMPLATE_TYPES = ["Movie", "Series", "Season", "Episode", "DM"];
+
+// Shown in the dashboard editor next to the template fields
+export const TEMPLATE_PLACEHOLDERS = {
+  title: "Movie or series title",
+  year: "Release year",
+  name: "Jellyfin item name (episode or season name, or the title)",
+  headline: "Title of the channel notification, e.g. Show - S01E05",
+  season: "Season number",
+  episode: "Episode code, e.g. S01E05",
+  count: "Number of seasons or episodes in a batch",
+  quality: "Video and audio quality, e.g. 1080p HEVC HDR • EAC3 5.1",
+  genres: "Genres",
+  overview: "Plot summary (empty for batches of episodes)",
+  credits: "\"Directed by …\", \"Created by …\" or \"Summary\"",
+  runtime: "Runtime",
+  rating: "IMDb rating",
+  seasons: "List of seasons in a batch",
+  episodes: "List of episodes in a batch",
+  url: "Jellyfin link",
+};
+
+// Discord embed limits
+const LIMITS = {
+  author: 256,
+  title: 256,
+  description: 4096,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+};
+const MAX_FIELDS = 25;
+
+const isShown = (key) => process.env[key] !== "false";
+
+// Built from the EMBED_SHOW_* toggles, so these keep working until a
+// template is customized in the dashboard
+export function getDefaultTemplates() {
+  const buttons = {
+    letterboxd: isShown("EMBED_SHOW_BUTTON_LETTERBOXD"),
+    imdb: isShown("EMBED_SHOW_BUTTON_IMDB"),
+    watch: isShown("EMBED_SHOW_BUTTON_WATCH"),
+  };
+  const backdrop = isShown("EMBED_SHOW_BACKDROP");
+
+  const summaryFields = [];
+  if (isShown("EMBED_SHOW_OVERVIEW")) {
+    summaryFields.push({ name: "{credits}", value: "{overview}", inline: false });
+  }
+  if (isShown("EMBED_SHOW_GENRE")) {
+    summaryFields.push({ name: "Genre", value: "{genres}", inline: true });
+  }
+  if (isShown("EMBED_SHOW_RUNTIME")) {
+    summaryFields.push({ name: "Runtime", value: "{runtime}", inline: true });
+  }
+  if (isShown("EMBED_SHOW_RATING")) {
+    summaryFields.push({ name: "Rating", value: "{rating}", inline: true });
+  }
+
+  const episodeFields = [{ name: "Episodes Added", value: "{episodes}", inline: false }];
+  if (isShown("EMBED_SHOW_OVERVIEW")) {
+    episodeFields.unshift({ name: "Episode Summary", value: "{overview}", inline: false });
+  }
+
+  return {
+    Movie: {
+      author: "🎬 New movie added!",
+      title: "{title} ({year})",
+      description: "",
+      fields: summaryFields,
+      footer: "",
+      backdrop,
+      buttons,
+    },
+    Series: {
+      author: "📺 New TV show added!",
+      title: "{title} ({year})",
+      description: "",
+      fields: summaryFields,
+      footer: "",
+      backdrop,
+      buttons,
+    },
+    Season: {
+      author: "📺 New season added!",
+      title: "{title} - Season {season}",
+      batchAuthor: "📺 {count} new seasons added!",
+      batchTitle: "{title} ({year})",
+      description: "",
+      fields: [{ name: "Seasons Added", value: "{seasons}", inline: false }],
+      footer: "",
+      backdrop,
+      buttons,
+    },
+    Episode: {
+      author: "📺 New episode added!",
+      title: "{title} - {episode}",
+      batchAuthor: "📺 {count} new episodes added!",
+      batchTitle: "{title} ({year})",
+      description: "",
+      fields: episodeFields,
+      footer: "",
+      backdrop,
+      buttons,
+    },
+    DM: {
+      author: "✅ Your request is now available!",
+      title: "{headline}",
+      description: "{name} is now available on Jellyfin!",
+      fields: [
+        { name: "Genre", value: "{genres}", inline: true },
+        { name: "Runtime", value: "{runtime}", inline: true },
+        { name: "Rating", value: "{rating}", inline: true },
+      ],
+      footer: "",
+      backdrop: true,
+      buttons: { letterboxd: false, imdb: false, watch: true },
+    },
+  };
+}
+
+function getSavedTemplates() {
+  try {
+    const raw = process.env.NOTIFICATION_TEMPLATES;
+    const parsed = typeof raw === "string" ? JSON.parse(raw || "{}") : raw;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// Saved templates only hold the types that were customized
+export function getNotificationTemplates() {
+  const defaults = getDefaultTemplates();
+  const saved = getSavedTemplates();
+  const templates = {};
+  for (const type of TEMPLATE_TYPES) {
+    const custom = saved[type];
+    templates[type] =
+      custom && typeof custom === "object"
+        ? {
+            ...defaults[type],
+            ...custom,
+            buttons: { ...defaults[type].buttons, ...custom.buttons },
+            fields: Array.isArray(custom.fields) ? custom.fields : defaults[type].fields,
+          }
+        : defaults[type];
+  }
+  return templates;
+}
+
+// Item types without a template of their own (e.g. music) use the movie layout
+export function getNotificationTemplate(type) {
+  const templates = getNotificationTemplates();
+  if (templates[type]) return templates[type];
+  return { ...templates.Movie, author: "✨ New item added", title: "{name}" };
+}
+
+// Unknown placeholders are left as typed so mistakes show up in the preview
+export function renderTemplate(text, values) {
+  return String(text || "").replace(/\{(\w+)\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? "") : match
+  );
+}
+
+// Renders the text parts of a template. Fields that come out empty are left
+// out, so e.g. {episodes} only shows up for batches.
+export function renderEmbedTemplate(template, values, { batch = false } = {}) {
+  const render = (text, max) => truncate(renderTemplate(text, values).trim(), max);
+
+  return {
+    author: render(batch && template.batchAuthor ? template.batchAuthor : template.author, LIMITS.author),
+    title: render(batch && template.batchTitle ? template.batchTitle : template.title, LIMITS.title),
+    description: render(template.description, LIMITS.description),
+    fields: (Array.isArray(template.fields) ? template.fields : [])
+      .map((field) => ({
+        name: render(field.name, LIMITS.fieldName),
+        value: render(field.value, LIMITS.fieldValue),
+        inline: field.inline === true,
+      }))
+      .filter((field) => field.name && field.value)
+      .slice(0, MAX_FIELDS),
+    footer: render(template.footer, LIMITS.footer),
+  };
+}
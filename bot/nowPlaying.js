@@ -0,0 +1,269 @@
+import { EmbedBuilder } from "discord.js";
+import * as jellyfinApi from "../api/jellyfin.js";
+import { JellyfinWebSocketClient } from "../jellyfinWebSocket.js";
+import { botState, pendingRequests } from "./botState.js";
+import { COLORS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getJellyfinApiKey = () => process.env.JELLYFIN_API_KEY;
+const getJellyfinBaseUrl = () => process.env.JELLYFIN_BASE_URL;
+
+const TICKS_PER_SECOND = 10_000_000;
+const PROGRESS_BAR_LENGTH = 12;
+const ACTIVITY_AUTHOR = "📺 Now playing on Jellyfin";
+// Sessions arrive every second; Discord allows roughly 5 edits per 5 seconds
+// per channel, so stay well below that
+const ACTIVITY_MIN_INTERVAL_MS = 15 * 1000;
+const MAX_SESSION_FIELDS = 25;
+
+const PLAY_METHOD_LABELS = {
+  Transcode: "🔄 Transcoding",
+  DirectStream: "📡 Direct Stream",
+  DirectPlay: "⚡ Direct Play",
+};
+
+function formatTicks(ticks) {
+  const totalSeconds = Math.floor((ticks || 0) / TICKS_PER_SECOND);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`
+    : `${minutes}:${seconds}`;
+}
+
+function formatItemTitle(item) {
+  if (item.Type === "Episode") {
+    const season = String(item.ParentIndexNumber ?? 0).padStart(2, "0");
+    const episode = String(item.IndexNumber ?? 0).padStart(2, "0");
+    return `${item.SeriesName || "Unknown series"} S${season}E${episode} · ${item.Name}`;
+  }
+  if (item.Type === "Audio" && Array.isArray(item.Artists) && item.Artists.length > 0) {
+    return `${item.Artists.join(", ")} — ${item.Name}`;
+  }
+  return item.ProductionYear ? `${item.Name} (${item.ProductionYear})` : item.Name;
+}
+
+function formatProgress(session) {
+  const position = session.PlayState?.PositionTicks || 0;
+  const runtime = session.NowPlayingItem?.RunTimeTicks || 0;
+  const icon = session.PlayState?.IsPaused ? "⏸️" : "▶️";
+
+  if (!runtime) return `${icon} ${formatTicks(position)}`;
+
+  const ratio = Math.min(position / runtime, 1);
+  const filled = Math.round(ratio * PROGRESS_BAR_LENGTH);
+  const bar = "▰".repeat(filled) + "▱".repeat(PROGRESS_BAR_LENGTH - filled);
+  return `${icon} ${bar} ${formatTicks(position)} / ${formatTicks(runtime)} (${Math.round(ratio * 100)}%)`;
+}
+
+function formatPlayMethod(session) {
+  const method = session.PlayState?.PlayMethod;
+  const label = PLAY_METHOD_LABELS[method] || "❔ Unknown playback";
+  if (method !== "Transcode") return label;
+
+  const info = session.TranscodingInfo;
+  const codec = info?.VideoCodec || info?.AudioCodec;
+  const reasons = Array.isArray(info?.TranscodeReasons)
+    ? info.TranscodeReasons.slice(0, 2).join(", ")
+    : "";
+  const detail = [codec?.toUpperCase(), reasons].filter(Boolean).join(" · ");
+  return detail ? `${label} (${detail})` : label;
+}
+
+export function getActiveSessions(sessions) {
+  return (sessions || []).filter((s) => s.NowPlayingItem);
+}
+
+export function buildNowPlayingEmbed(sessions) {
+  const active = getActiveSessions(sessions);
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: ACTIVITY_AUTHOR })
+    .setColor(COLORS.INFO)
+    .setTimestamp();
+
+  if (active.length === 0) {
+    embed.setDescription("Nothing is playing right now.");
+    return embed;
+  }
+
+  embed.setDescription(
+    `${active.length} active stream${active.length === 1 ? "" : "s"}`
+  );
+
+  for (const session of active.slice(0, MAX_SESSION_FIELDS)) {
+    const device = [session.DeviceName, session.Client].filter(Boolean).join(" · ");
+    embed.addFields({
+      name: `👤 ${session.UserName || "Unknown user"}`.slice(0, 256),
+      value: [
+        `**${formatItemTitle(session.NowPlayingItem)}**`,
+        formatProgress(session),
+        formatPlayMethod(session),
+        device ? `📱 ${device}` : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+        .slice(0, 1024),
+    });
+  }
+
+  return embed;
+}
+
+export async function handleNowPlayingCommand(interaction) {
+  const isPrivateMode = process.env.PRIVATE_MESSAGE_MODE === "true";
+  await interaction.deferReply({ ephemeral: isPrivateMode });
+
+  if (!getJellyfinApiKey() || !getJellyfinBaseUrl()) {
+    return interaction.editReply({
+      content: "⚠️ Jellyfin is not configured.",
+    });
+  }
+
+  try {
+    const sessions = await jellyfinApi.fetchSessions(
+      getJellyfinApiKey(),
+      getJellyfinBaseUrl()
+    );
+    await interaction.editReply({ embeds: [buildNowPlayingEmbed(sessions)] });
+  } catch (err) {
+    logger.error("[NOWPLAYING] Failed to fetch Jellyfin sessions:", err?.message || err);
+    await interaction.editReply({
+      content: "⚠️ Could not load the active sessions from Jellyfin.",
+    });
+  }
+}
+
+// --- ACTIVITY CHANNEL ---
+// A single pinned embed in JELLYFIN_ACTIVITY_CHANNEL_ID, kept up to date from
+// the websocket's Sessions messages
+const activity = {
+  message: null,
+  lastUpdate: 0,
+  lastSignature: null,
+  queuedSessions: null,
+  timer: null,
+};
+
+// Progress moves every second, so only the parts worth an edit go in here
+function getActivitySignature(sessions) {
+  return JSON.stringify(
+    getActiveSessions(sessions).map((s) => [
+      s.Id,
+      s.NowPlayingItem.Id,
+      s.PlayState?.IsPaused,
+      s.PlayState?.PlayMethod,
+      Math.floor((s.PlayState?.PositionTicks || 0) / (60 * TICKS_PER_SECOND)),
+    ])
+  );
+}
+
+async function findActivityMessage(client, channel) {
+  if (activity.message?.channelId === channel.id) return activity.message;
+
+  const pinned = await channel.messages.fetchPinned().catch(() => null);
+  const existing = pinned?.find(
+    (m) =>
+      m.author.id === client.user.id &&
+      m.embeds[0]?.author?.name === ACTIVITY_AUTHOR
+  );
+  if (existing) {
+    activity.message = existing;
+    return existing;
+  }
+  return null;
+}
+
+async function publishActivity(client, sessions) {
+  const channelId = process.env.JELLYFIN_ACTIVITY_CHANNEL_ID;
+  if (!channelId) return;
+
+  activity.lastUpdate = Date.now();
+  activity.lastSignature = getActivitySignature(sessions);
+
+  try {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      logger.warn(`[ACTIVITY] Activity channel not found: ${channelId}`);
+      return;
+    }
+
+    const embed = buildNowPlayingEmbed(sessions);
+    const message = await findActivityMessage(client, channel);
+
+    if (message) {
+      await message.edit({ embeds: [embed] });
+      return;
+    }
+
+    activity.message = await channel.send({ embeds: [embed] });
+    await activity.message.pin().catch((err) => {
+      logger.warn(
+        `[ACTIVITY] Could not pin the activity message (missing Manage Messages?): ${err.message}`
+      );
+    });
+  } catch (err) {
+    // The message may have been deleted by hand; post a fresh one next time
+    activity.message = null;
+    activity.lastSignature = null;
+    logger.warn(`[ACTIVITY] Failed to update the activity channel: ${err.message}`);
+  }
+}
+
+function handleSessionsUpdate(client, sessions) {
+  activity.queuedSessions = sessions;
+  if (activity.timer) return;
+  if (getActivitySignature(sessions) === activity.lastSignature) return;
+
+  const wait = Math.max(
+    0,
+    activity.lastUpdate + ACTIVITY_MIN_INTERVAL_MS - Date.now()
+  );
+  activity.timer = setTimeout(() => {
+    activity.timer = null;
+    const queued = activity.queuedSessions;
+    activity.queuedSessions = null;
+    if (getActivitySignature(queued) !== activity.lastSignature) {
+      publishActivity(client, queued);
+    }
+  }, wait);
+}
+
+// The websocket itself is botState.jellyfinWebSocketClient, stopped by the caller
+export function stopActivityChannel() {
+  if (activity.timer) {
+    clearTimeout(activity.timer);
+    activity.timer = null;
+  }
+  activity.message = null;
+  activity.lastSignature = null;
+}
+
+export function startActivityChannel(client) {
+  if (botState.jellyfinWebSocketClient) {
+    botState.jellyfinWebSocketClient.stop();
+    botState.jellyfinWebSocketClient = null;
+  }
+  stopActivityChannel();
+
+  if (!process.env.JELLYFIN_ACTIVITY_CHANNEL_ID) return;
+
+  if (!getJellyfinApiKey() || !getJellyfinBaseUrl()) {
+    logger.warn(
+      "Jellyfin activity channel is set but Jellyfin is not configured. Skipping."
+    );
+    return;
+  }
+
+  logger.info("📺 Starting Jellyfin activity channel");
+
+  // Library notifications keep coming from the webhook, so the socket is
+  // only used for sessions here
+  const wsClient = new JellyfinWebSocketClient();
+  wsClient.start(client, pendingRequests, {
+    onSessions: (sessions) => handleSessionsUpdate(client, sessions),
+    notifyLibraryChanges: false,
+  });
+  botState.jellyfinWebSocketClient = wsClient;
+}
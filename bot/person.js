@@ -0,0 +1,232 @@
+import {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+} from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import { getTitleStatusLabel } from "./embeds.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { isValidUrl } from "../utils/url.js";
+import { COLORS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+import { truncate } from "../utils/text.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+const PAGE_SIZE = 10;
+// Talk shows and news: a guest appearance is not part of anyone's filmography
+const EXCLUDED_GENRE_IDS = [10763, 10767];
+
+function getCreditYear(credit) {
+  return (credit.release_date || credit.first_air_date || "").slice(0, 4);
+}
+
+// One entry per title, with every role the person had on it
+function buildFilmography(person, sort) {
+  const credits = new Map();
+  const cast = person.combined_credits?.cast || [];
+  const crew = person.combined_credits?.crew || [];
+
+  for (const credit of [...cast, ...crew]) {
+    if (credit.media_type !== "movie" && credit.media_type !== "tv") continue;
+    if ((credit.genre_ids || []).some((id) => EXCLUDED_GENRE_IDS.includes(id))) {
+      continue;
+    }
+
+    const key = `${credit.id}-${credit.media_type}`;
+    if (!credits.has(key)) {
+      credits.set(key, {
+        tmdbId: credit.id,
+        mediaType: credit.media_type,
+        title: credit.title || credit.name || `TMDB ${credit.id}`,
+        year: getCreditYear(credit),
+        popularity: credit.popularity || 0,
+        roles: [],
+      });
+    }
+    const role = credit.character ? `as ${credit.character}` : credit.job;
+    if (role && !credits.get(key).roles.includes(role)) {
+      credits.get(key).roles.push(role);
+    }
+  }
+
+  const entries = [...credits.values()];
+  if (sort === "year") {
+    // Newest first; undated (usually announced) titles go on top
+    return entries.sort((a, b) => (b.year || "9999").localeCompare(a.year || "9999"));
+  }
+  return entries.sort((a, b) => b.popularity - a.popularity);
+}
+
+async function getCreditStatus(credit) {
+  const status = await seerrApi.checkMediaStatus(
+    credit.tmdbId,
+    credit.mediaType,
+    [],
+    getSeerrUrl(),
+    getSeerrApiKey()
+  );
+  return getTitleStatusLabel(status.data?.mediaInfo?.status);
+}
+
+async function buildPersonPage(personId, sort, page) {
+  const person = await tmdbApi.tmdbGetPerson(personId, getTmdbApiKey());
+  const filmography = buildFilmography(person, sort);
+  const totalPages = Math.max(1, Math.ceil(filmography.length / PAGE_SIZE));
+  const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+  const credits = filmography.slice(
+    currentPage * PAGE_SIZE,
+    (currentPage + 1) * PAGE_SIZE
+  );
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: `🎭 ${person.known_for_department || "Filmography"}` })
+    .setTitle(truncate(person.name || `TMDB person ${personId}`, 256))
+    .setColor(COLORS.SEARCH)
+    .setFooter({
+      text: `Page ${currentPage + 1} of ${totalPages} • ${filmography.length} title${filmography.length !== 1 ? "s" : ""} • sorted by ${sort === "year" ? "year" : "popularity"}`,
+    });
+
+  const profileUrl = `https://www.themoviedb.org/person/${personId}`;
+  if (isValidUrl(profileUrl)) embed.setURL(profileUrl);
+  const photo = person.profile_path
+    ? `https://image.tmdb.org/t/p/w185${person.profile_path}`
+    : null;
+  if (photo && isValidUrl(photo)) embed.setThumbnail(photo);
+
+  if (credits.length === 0) {
+    embed.setDescription("No movie or TV credits found.");
+    return { embeds: [embed], components: [] };
+  }
+
+  const statuses = await Promise.all(credits.map(getCreditStatus));
+  const lines = credits.map((credit, i) => {
+    const emoji = credit.mediaType === "movie" ? "🎬" : "📺";
+    const year = credit.year ? ` (${credit.year})` : "";
+    const roles = credit.roles.length
+      ? ` · ${truncate(credit.roles.slice(0, 2).join(", "), 60)}`
+      : "";
+    return `**${currentPage * PAGE_SIZE + i + 1}.** ${emoji} ${credit.title}${year}${roles}\n${statuses[i]}`;
+  });
+  embed.setDescription(truncate(lines.join("\n"), 4096));
+
+  // Picking a credit opens the regular /search embed for it
+  const creditMenu = new StringSelectMenuBuilder()
+    .setCustomId(`person_select|${personId}`)
+    .setPlaceholder("Open a title to request it")
+    .addOptions(
+      credits.map((credit, i) => ({
+        label: truncate(
+          `${currentPage * PAGE_SIZE + i + 1}. ${credit.title}${credit.year ? ` (${credit.year})` : ""}`,
+          100
+        ),
+        description: statuses[i].replace(/^\S+\s/, ""),
+        value: `${credit.tmdbId}|${credit.mediaType}`,
+        emoji: credit.mediaType === "movie" ? "🎬" : "📺",
+      }))
+    );
+
+  const components = [new ActionRowBuilder().addComponents(creditMenu)];
+  if (totalPages > 1) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`person_page|${personId}|${sort}|${currentPage - 1}`)
+          .setLabel("◀ Previous")
+          .setStyle(ButtonStyle.Primary)
+          .setDisabled(currentPage <= 0),
+        new ButtonBuilder()
+          .setCustomId(`person_page|${personId}|${sort}|${currentPage + 1}`)
+          .setLabel("Next ▶")
+          .setStyle(ButtonStyle.Primary)
+          .setDisabled(currentPage >= totalPages - 1)
+      )
+    );
+  }
+
+  return { embeds: [embed], components };
+}
+
+// Autocomplete picks arrive as "personId|person", anything else is searched
+// by name
+async function resolvePersonId(input) {
+  if (input.includes("|")) return input.split("|")[0];
+
+  const person = await tmdbApi.tmdbFindBestMatch(input, "person", getTmdbApiKey());
+  return person ? String(person.id) : null;
+}
+
+export async function handlePersonCommand(interaction) {
+  const isPrivateMode = process.env.PRIVATE_MESSAGE_MODE === "true";
+  const input = (interaction.options.getString("name") || "").trim();
+  const sort = interaction.options.getString("sort") === "year" ? "year" : "popularity";
+  await interaction.deferReply({ ephemeral: isPrivateMode });
+
+  try {
+    const personId = input ? await resolvePersonId(input) : null;
+    if (!personId) {
+      return interaction.editReply({
+        content: `🔍 No person found matching **${truncate(input, 100)}**.`,
+      });
+    }
+
+    await interaction.editReply(await buildPersonPage(personId, sort, 0));
+  } catch (err) {
+    logger.error("[PERSON] Failed to load filmography:", err?.message || err);
+    await interaction.editReply({
+      content: "⚠️ Could not load this filmography from TMDB.",
+    });
+  }
+}
+
+// customId format: person_page|personId|sort|page
+export async function handlePersonPageButton(interaction) {
+  const [, personId, sort, rawPage] = interaction.customId.split("|");
+  await interaction.deferUpdate();
+
+  try {
+    await interaction.editReply(
+      await buildPersonPage(personId, sort, parseInt(rawPage, 10) || 0)
+    );
+  } catch (err) {
+    logger.error("[PERSON] Failed to change page:", err?.message || err);
+    await interaction.followUp({
+      content: "⚠️ Could not load this filmography from TMDB.",
+      flags: 64,
+    });
+  }
+}
+
+export async function handlePersonAutocomplete(interaction) {
+  const focusedValue = interaction.options.getFocused();
+  if (!focusedValue.trim()) return interaction.respond([]);
+
+  const results = await tmdbApi.tmdbSearch(focusedValue, getTmdbApiKey());
+  const choices = results
+    .filter((r) => r.media_type === "person")
+    .slice(0, 25)
+    .map((person) => {
+      const knownFor = (person.known_for || [])
+        .map((k) => k.title || k.name)
+        .filter(Boolean)
+        .slice(0, 2)
+        .join(", ");
+      const department = person.known_for_department
+        ? ` (${person.known_for_department})`
+        : "";
+      return {
+        name: truncate(
+          `👤 ${person.name}${department}${knownFor ? ` — ${knownFor}` : ""}`,
+          100
+        ),
+        value: `${person.id}|person`,
+      };
+    });
+
+  return interaction.respond(choices);
+}
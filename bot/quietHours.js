@@ -0,0 +1,235 @@
+import fs from "fs";
+import path from "path";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { getMinutesOfDay, parseTimeOfDay, isWithinTimeWindow } from "../utils/time.js";
+import logger from "../utils/logger.js";
+
+const OUTBOX_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Discord limits for a single merged message
+const MAX_EMBEDS_PER_MESSAGE = 10;
+const MAX_ROWS_PER_MESSAGE = 5;
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_EMBED_CHARS_PER_MESSAGE = 6000;
+
+// Discord errors that retrying won't fix: Unknown Channel, Unknown User and
+// Cannot send messages to this user drop everything held for the target;
+// Invalid Form Body drops only the message it was returned for
+const UNREACHABLE_TARGET_CODES = new Set([10003, 10013, 50007]);
+const INVALID_MESSAGE_CODE = 50035;
+
+// Each kind has its own window: QUIET_HOURS_CHANNEL_START/END and QUIET_HOURS_DM_START/END
+const QUIET_HOURS_KINDS = {
+  channel: "CHANNEL",
+  dm: "DM",
+};
+
+// --- QUIET HOURS OUTBOX ---
+// Messages held back during quiet hours, in the order they were produced:
+// { kind: "channel" | "dm", targetId, message, queuedAt }
+let outbox = [];
+
+let outboxTimer = null;
+let delivering = false;
+
+export const OUTBOX_PATH = path.join(path.dirname(CONFIG_PATH), "quiet-outbox.json");
+
+function saveOutbox() {
+  try {
+    fs.writeFileSync(OUTBOX_PATH, JSON.stringify(outbox, null, 2), {
+      encoding: "utf-8",
+      mode: 0o600,
+    });
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist quiet hours outbox to disk: ${err.message}`);
+  }
+}
+
+export function loadOutbox() {
+  if (!fs.existsSync(OUTBOX_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(OUTBOX_PATH, "utf-8"));
+    outbox = Array.isArray(parsed)
+      ? parsed.filter((entry) => QUIET_HOURS_KINDS[entry?.kind] && entry.targetId && entry.message)
+      : [];
+    logger.info(`✅ Loaded ${outbox.length} held notification(s) from the quiet hours outbox`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load quiet hours outbox from disk: ${err.message}`);
+  }
+}
+
+export function isQuietHours(kind, date = new Date()) {
+  const prefix = QUIET_HOURS_KINDS[kind];
+  if (!prefix) return false;
+
+  const start = parseTimeOfDay(process.env[`QUIET_HOURS_${prefix}_START`]);
+  const end = parseTimeOfDay(process.env[`QUIET_HOURS_${prefix}_END`]);
+  if (start === null || end === null) return false;
+
+  const now = getMinutesOfDay(date, process.env.TIMEZONE);
+  return isWithinTimeWindow(now, start, end);
+}
+
+function holdMessage(kind, targetId, message) {
+  // Builders serialize through toJSON, so the outbox only holds plain API data
+  outbox.push({
+    kind,
+    targetId,
+    message: JSON.parse(JSON.stringify(message)),
+    queuedAt: new Date().toISOString(),
+  });
+  saveOutbox();
+  logger.info(`🌙 Quiet hours: held ${kind} message for ${targetId} until quiet hours end`);
+}
+
+// Sends right away outside quiet hours. Returns the sent message, or null when
+// it was held in the outbox.
+export async function sendChannelMessage(channel, message) {
+  if (isQuietHours("channel")) {
+    holdMessage("channel", channel.id, message);
+    return null;
+  }
+  return channel.send(message);
+}
+
+export async function sendDirectMessage(user, message) {
+  if (isQuietHours("dm")) {
+    holdMessage("dm", user.id, message);
+    return null;
+  }
+  return user.send(message);
+}
+
+function getEmbedsLength(embeds = []) {
+  return embeds.reduce(
+    (sum, embed) =>
+      sum +
+      (embed.title?.length || 0) +
+      (embed.description?.length || 0) +
+      (embed.author?.name?.length || 0) +
+      (embed.footer?.text?.length || 0) +
+      (embed.fields || []).reduce((n, f) => n + f.name.length + f.value.length, 0),
+    0
+  );
+}
+
+// Consecutive entries for the same target are combined while they fit in one
+// Discord message. Messages with different mention settings are never merged.
+// Returns [{ message, entries }] so each send knows which entries it covers.
+function mergeEntries(entries) {
+  const merged = [];
+  for (const entry of entries) {
+    const { message } = entry;
+    const last = merged[merged.length - 1]?.message;
+    const embeds = message.embeds || [];
+    const components = message.components || [];
+    const content = message.content || "";
+
+    const fits =
+      last &&
+      JSON.stringify(last.allowedMentions) === JSON.stringify(message.allowedMentions) &&
+      (last.embeds || []).length + embeds.length <= MAX_EMBEDS_PER_MESSAGE &&
+      getEmbedsLength(last.embeds) + getEmbedsLength(embeds) <= MAX_EMBED_CHARS_PER_MESSAGE &&
+      (last.components || []).length + components.length <= MAX_ROWS_PER_MESSAGE &&
+      (last.content || "").length + content.length + 1 <= MAX_CONTENT_LENGTH;
+
+    if (!fits) {
+      merged.push({ message: { ...message }, entries: [entry] });
+      continue;
+    }
+    if (content) last.content = last.content ? `${last.content}\n${content}` : content;
+    if (embeds.length) last.embeds = [...(last.embeds || []), ...embeds];
+    if (components.length) last.components = [...(last.components || []), ...components];
+    merged[merged.length - 1].entries.push(entry);
+  }
+  return merged;
+}
+
+// Returns the entries that are done with: sent, or never going to be sendable.
+// Anything else (network errors, a stopped bot) stays in the outbox.
+async function deliverTo(client, kind, targetId, entries) {
+  const done = [];
+  let sent = 0;
+  try {
+    const target =
+      kind === "channel"
+        ? await client.channels.fetch(targetId)
+        : await client.users.fetch(targetId);
+
+    const batches =
+      process.env.QUIET_HOURS_MERGE === "false"
+        ? entries.map((entry) => ({ message: entry.message, entries: [entry] }))
+        : mergeEntries(entries);
+    for (const batch of batches) {
+      try {
+        await target.send(batch.message);
+        sent += batch.entries.length;
+      } catch (err) {
+        if (err?.code !== INVALID_MESSAGE_CODE) throw err;
+        logger.error(
+          `[QUIET HOURS] Dropped ${batch.entries.length} held ${kind} message(s) for ${targetId} that Discord rejected: ${err.message}`
+        );
+      }
+      done.push(...batch.entries);
+    }
+  } catch (err) {
+    if (UNREACHABLE_TARGET_CODES.has(err?.code)) {
+      logger.error(
+        `[QUIET HOURS] Dropped held ${kind} message(s) for ${targetId}: ${err.message}`
+      );
+      return entries;
+    }
+    logger.warn(
+      `[QUIET HOURS] Failed to deliver held ${kind} message(s) to ${targetId}, will retry: ${err?.message || err}`
+    );
+  }
+  if (sent > 0) {
+    logger.info(`🌅 Delivered ${sent} held ${kind} message(s) to ${targetId}`);
+  }
+  return done;
+}
+
+async function deliverOutbox(client) {
+  if (delivering || outbox.length === 0) return;
+  delivering = true;
+
+  try {
+    for (const kind of Object.keys(QUIET_HOURS_KINDS)) {
+      if (isQuietHours(kind)) continue;
+
+      const byTarget = new Map();
+      for (const entry of outbox.filter((e) => e.kind === kind)) {
+        if (!byTarget.has(entry.targetId)) byTarget.set(entry.targetId, []);
+        byTarget.get(entry.targetId).push(entry);
+      }
+
+      for (const [targetId, entries] of byTarget) {
+        const done = new Set(await deliverTo(client, kind, targetId, entries));
+        if (done.size === 0) continue;
+
+        outbox = outbox.filter((entry) => !done.has(entry));
+        saveOutbox();
+      }
+    }
+  } finally {
+    delivering = false;
+  }
+}
+
+// Held messages stay on disk until the bot is started again
+export function stopOutboxDelivery() {
+  if (outboxTimer) {
+    clearInterval(outboxTimer);
+    outboxTimer = null;
+  }
+}
+
+export function scheduleOutboxDelivery(client) {
+  stopOutboxDelivery();
+
+  if (outbox.length > 0) {
+    logger.info(`🌙 ${outbox.length} notification(s) waiting for quiet hours to end`);
+  }
+  deliverOutbox(client);
+  outboxTimer = setInterval(() => deliverOutbox(client), OUTBOX_CHECK_INTERVAL_MS);
+}
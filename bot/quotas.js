@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { EmbedBuilder } from "discord.js";
+import { parseEnvList } from "./botUtils.js";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { COLORS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- QUOTA USAGE TRACKING ---
+// key = Discord user ID, value = array of { timestamp, mediaType, count }
+// Movies count 1 per request, TV requests count 1 per requested season.
+const quotaUsage = new Map();
+
+export const QUOTA_USAGE_PATH = path.join(
+  path.dirname(CONFIG_PATH),
+  "request-quotas.json"
+);
+
+function saveQuotaUsage() {
+  try {
+    fs.writeFileSync(
+      QUOTA_USAGE_PATH,
+      JSON.stringify(Object.fromEntries(quotaUsage), null, 2),
+      { encoding: "utf-8", mode: 0o600 }
+    );
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist request quotas to disk: ${err.message}`);
+  }
+}
+
+export function loadQuotaUsage() {
+  if (!fs.existsSync(QUOTA_USAGE_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(QUOTA_USAGE_PATH, "utf-8"));
+    quotaUsage.clear();
+    for (const [userId, entries] of Object.entries(parsed)) {
+      if (Array.isArray(entries) && entries.length > 0) {
+        quotaUsage.set(userId, entries);
+      }
+    }
+    logger.info(`✅ Loaded request quota usage for ${quotaUsage.size} user(s)`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load request quotas from disk: ${err.message}`);
+  }
+}
+
+function parseLimit(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const limit = parseInt(value, 10);
+  return isNaN(limit) || limit < 0 ? null : limit;
+}
+
+// Rules are ordered: the first rule whose role the member has wins.
+// Members without any matching rule are not limited.
+export function getQuotaRule(member) {
+  if (!member || !member.roles) return null;
+
+  const memberRoles = member.roles.cache.map((r) => r.id);
+  const rule = parseEnvList("REQUEST_QUOTAS").find((r) =>
+    memberRoles.includes(r.roleId)
+  );
+  if (!rule) return null;
+
+  return {
+    roleId: rule.roleId,
+    movies: parseLimit(rule.movies),
+    seasons: parseLimit(rule.seasons),
+    days: Math.max(1, parseInt(rule.days, 10) || 7),
+  };
+}
+
+export function getQuotaStatus(member, userId) {
+  const rule = getQuotaRule(member);
+  if (!rule) return null;
+
+  const since = Date.now() - rule.days * DAY_MS;
+  const entries = (quotaUsage.get(userId) || []).filter(
+    (e) => e.timestamp > since
+  );
+
+  const used = { movie: 0, tv: 0 };
+  for (const entry of entries) {
+    used[entry.mediaType === "tv" ? "tv" : "movie"] += entry.count;
+  }
+
+  const buildBucket = (limit, usedCount) => ({
+    limit,
+    used: usedCount,
+    remaining: limit === null ? null : Math.max(0, limit - usedCount),
+  });
+
+  // The window is rolling, so the next slot frees up when the oldest
+  // request in it expires
+  const oldest = entries.reduce(
+    (min, e) => (min === null || e.timestamp < min ? e.timestamp : min),
+    null
+  );
+
+  return {
+    rule,
+    movies: buildBucket(rule.movies, used.movie),
+    seasons: buildBucket(rule.seasons, used.tv),
+    resetAt: oldest ? new Date(oldest + rule.days * DAY_MS) : null,
+  };
+}
+
+export function checkQuota(member, userId, mediaType, count = 1) {
+  const status = getQuotaStatus(member, userId);
+  if (!status) return { allowed: true, status: null };
+
+  const bucket = mediaType === "tv" ? status.seasons : status.movies;
+  const allowed = bucket.remaining === null || bucket.remaining >= count;
+
+  if (!allowed) {
+    logger.info(
+      `[QUOTA] Discord User ${userId} blocked: ${mediaType} quota ${bucket.used}/${bucket.limit} (wanted ${count})`
+    );
+  }
+
+  return { allowed, status };
+}
+
+export function recordQuotaUsage(member, userId, mediaType, count = 1) {
+  const rule = getQuotaRule(member);
+  if (!rule) return;
+
+  // Drop entries that fell out of the member's current window
+  const since = Date.now() - rule.days * DAY_MS;
+  const entries = (quotaUsage.get(userId) || []).filter(
+    (e) => e.timestamp > since
+  );
+  entries.push({ timestamp: Date.now(), mediaType, count });
+  quotaUsage.set(userId, entries);
+  saveQuotaUsage();
+}
+
+// Gives back the quota of a withdrawn request, newest usage first
+export function refundQuotaUsage(userId, mediaType, count = 1) {
+  const entries = quotaUsage.get(userId);
+  if (!entries) return;
+
+  const isTv = mediaType === "tv";
+  let remaining = count;
+  for (let i = entries.length - 1; i >= 0 && remaining > 0; i--) {
+    if ((entries[i].mediaType === "tv") !== isTv) continue;
+    const refunded = Math.min(entries[i].count, remaining);
+    entries[i].count -= refunded;
+    remaining -= refunded;
+    if (entries[i].count <= 0) entries.splice(i, 1);
+  }
+
+  if (entries.length === 0) quotaUsage.delete(userId);
+  saveQuotaUsage();
+}
+
+function formatBucket(bucket, noun) {
+  if (bucket.limit === null) return "Unlimited";
+  return `${bucket.remaining} of ${bucket.limit} ${noun} left`;
+}
+
+export function buildQuotaEmbed(status, exceededMediaType = null) {
+  const embed = new EmbedBuilder();
+
+  if (!status) {
+    return embed
+      .setAuthor({ name: "📊 Request quota" })
+      .setDescription("You have no request limits. Request away!")
+      .setColor(COLORS.INFO);
+  }
+
+  if (exceededMediaType) {
+    const what = exceededMediaType === "tv" ? "season" : "movie";
+    embed
+      .setAuthor({ name: "⛔ Request limit reached" })
+      .setDescription(
+        `You don't have enough ${what} requests left for this. Your quota refills as older requests expire.`
+      )
+      .setColor(COLORS.ERROR);
+  } else {
+    embed.setAuthor({ name: "📊 Request quota" }).setColor(COLORS.INFO);
+  }
+
+  embed.addFields(
+    {
+      name: "🎬 Movies",
+      value: formatBucket(status.movies, "movies"),
+      inline: true,
+    },
+    {
+      name: "📺 Seasons",
+      value: formatBucket(status.seasons, "seasons"),
+      inline: true,
+    },
+    {
+      name: "Period",
+      value: `${status.rule.days} day${status.rule.days !== 1 ? "s" : ""}`,
+      inline: true,
+    }
+  );
+
+  if (status.resetAt) {
+    const ts = Math.floor(status.resetAt.getTime() / 1000);
+    embed.addFields({ name: "Next reset", value: `<t:${ts}:R>`, inline: true });
+  }
+
+  return embed;
+}
+
+export async function handleQuotaCommand(interaction) {
+  const status = getQuotaStatus(interaction.member, interaction.user.id);
+  return interaction.reply({
+    embeds: [buildQuotaEmbed(status)],
+    flags: 64,
+  });
+}
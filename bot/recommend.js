@@ -0,0 +1,319 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import * as jellyfinApi from "../api/jellyfin.js";
+import { fetchOMDbData } from "../api/omdb.js";
+import { buildNotificationEmbed, buildButtons, getSeasonStatuses } from "./embeds.js";
+import { getMappedSeerrUserId } from "./botUtils.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import { MEDIA_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+const getJellyfinApiKey = () => process.env.JELLYFIN_API_KEY;
+const getJellyfinBaseUrl = () => process.env.JELLYFIN_BASE_URL;
+
+const MAX_SEEDS = 10;
+const MAX_RECOMMENDATIONS = 10;
+const FAVORITE_WEIGHT = 2;
+const PLAYED_WEIGHT = 1;
+// Every candidate costs a Seerr lookup before it's shown
+const MAX_CANDIDATES_CHECKED = 30;
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+// key = Discord user ID, value = { items, createdAt }
+// Kept in memory only; the carousel just asks to run /recommend again after a restart
+const recommendationSessions = new Map();
+
+function toSeed(item, weight) {
+  const tmdbId = parseInt(item.ProviderIds?.Tmdb, 10);
+  if (!tmdbId) return null;
+  return {
+    tmdbId,
+    mediaType: item.Type === "Movie" ? "movie" : "tv",
+    name: item.Name,
+    weight,
+  };
+}
+
+// Favorites first, then the most recently watched titles
+async function getWatchSeeds(jellyfinUserId) {
+  const apiKey = getJellyfinApiKey();
+  const baseUrl = getJellyfinBaseUrl();
+
+  const [favorites, played] = await Promise.all([
+    jellyfinApi.fetchUserItems(
+      jellyfinUserId,
+      { filters: "IsFavorite", includeItemTypes: "Movie,Series", limit: 20 },
+      apiKey,
+      baseUrl
+    ),
+    jellyfinApi.fetchUserItems(
+      jellyfinUserId,
+      {
+        filters: "IsPlayed",
+        includeItemTypes: "Movie,Episode",
+        sortBy: "DatePlayed",
+        limit: 50,
+      },
+      apiKey,
+      baseUrl
+    ),
+  ]);
+
+  // Episodes carry no TMDB ID of their own; their series does
+  const seriesIds = [
+    ...new Set(played.filter((i) => i.Type === "Episode" && i.SeriesId).map((i) => i.SeriesId)),
+  ];
+  const series = seriesIds.length
+    ? await jellyfinApi.fetchUserItems(
+      jellyfinUserId,
+      { includeItemTypes: "Series", ids: seriesIds.join(","), limit: seriesIds.length },
+      apiKey,
+      baseUrl
+    )
+    : [];
+  const seriesById = new Map(series.map((s) => [s.Id, s]));
+
+  const playedTitles = played
+    .map((i) => (i.Type === "Episode" ? seriesById.get(i.SeriesId) : i))
+    .filter(Boolean);
+
+  const seeds = new Map();
+  for (const seed of [
+    ...favorites.map((i) => toSeed(i, FAVORITE_WEIGHT)),
+    ...playedTitles.map((i) => toSeed(i, PLAYED_WEIGHT)),
+  ]) {
+    if (!seed) continue;
+    const key = `${seed.tmdbId}-${seed.mediaType}`;
+    if (!seeds.has(key)) seeds.set(key, seed);
+  }
+  return seeds;
+}
+
+// Candidates suggested by several watched titles rank higher; TMDB's vote
+// count breaks ties so obscure one-offs don't float to the top
+async function rankCandidates(seeds) {
+  const candidates = new Map();
+  const seedList = [...seeds.values()].slice(0, MAX_SEEDS);
+
+  await Promise.all(
+    seedList.map(async (seed) => {
+      const lists = await Promise.all(
+        ["recommendations", "similar"].map((kind) =>
+          tmdbApi
+            .tmdbGetRelated(seed.tmdbId, seed.mediaType, kind, getTmdbApiKey())
+            .catch(() => [])
+        )
+      );
+
+      // A seed counts once, even if both lists contain the same title
+      const related = new Map();
+      for (const result of lists.flat()) {
+        related.set(`${result.id}-${seed.mediaType}`, result);
+      }
+
+      for (const [key, result] of related) {
+        if (seeds.has(key)) continue;
+        if (!candidates.has(key)) {
+          candidates.set(key, {
+            tmdbId: result.id,
+            mediaType: seed.mediaType,
+            score: 0,
+            votes: result.vote_count || 0,
+            because: [],
+          });
+        }
+        const candidate = candidates.get(key);
+        candidate.score += seed.weight;
+        candidate.because.push(seed.name);
+      }
+    })
+  );
+
+  return [...candidates.values()].sort(
+    (a, b) => b.score - a.score || b.votes - a.votes
+  );
+}
+
+// Drops whatever Seerr already knows as (partly) available in the library
+async function filterOutLibrary(candidates) {
+  const kept = [];
+  for (const candidate of candidates.slice(0, MAX_CANDIDATES_CHECKED)) {
+    const status = await seerrApi.checkMediaStatus(
+      candidate.tmdbId,
+      candidate.mediaType,
+      [],
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+    const mediaInfo = status.data?.mediaInfo;
+    if ((mediaInfo?.status || 0) >= MEDIA_STATUS.PARTIALLY_AVAILABLE) continue;
+
+    kept.push({ ...candidate, mediaInfo: mediaInfo || null });
+    if (kept.length >= MAX_RECOMMENDATIONS) break;
+  }
+  return kept;
+}
+
+function formatBecause(names) {
+  const unique = [...new Set(names)];
+  if (unique.length <= 2) return unique.join(" and ");
+  return `${unique.slice(0, 2).join(", ")} and ${unique.length - 2} more`;
+}
+
+async function buildRecommendationPage(discordUserId, items, index) {
+  const item = items[index];
+  const details = await tmdbApi.tmdbGetDetails(
+    item.tmdbId,
+    item.mediaType,
+    getTmdbApiKey()
+  );
+  const imdbId = details.external_ids?.imdb_id || null;
+  const omdb = imdbId ? await fetchOMDbData(imdbId) : null;
+
+  const embed = buildNotificationEmbed(
+    details,
+    item.mediaType,
+    imdbId,
+    "search",
+    omdb,
+    item.tmdbId
+  )
+    .setAuthor({ name: "✨ Recommended for you" })
+    .setFooter({
+      text: `Because you watched ${formatBecause(item.because)} • ${index + 1} of ${items.length}`.slice(0, 2048),
+    });
+
+  const seasonStatuses =
+    item.mediaType === "tv" && item.mediaInfo
+      ? getSeasonStatuses(item.mediaInfo)
+      : null;
+
+  // Discord allows 5 rows; the last one is reserved for the carousel
+  const rows = buildButtons(
+    item.tmdbId,
+    imdbId,
+    false,
+    item.mediaType,
+    details,
+    { seasonStatuses }
+  ).slice(0, 4);
+
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`recommend_page|${discordUserId}|${index - 1}`)
+        .setLabel("◀ Previous")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(index <= 0),
+      new ButtonBuilder()
+        .setCustomId(`recommend_page|${discordUserId}|${index + 1}`)
+        .setLabel("Next ▶")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(index >= items.length - 1)
+    )
+  );
+
+  return { content: "", embeds: [embed], components: rows };
+}
+
+export async function handleRecommendCommand(interaction) {
+  await interaction.deferReply({ flags: 64 });
+
+  if (!getJellyfinApiKey() || !getJellyfinBaseUrl()) {
+    return interaction.editReply({ content: "⚠️ Jellyfin is not configured." });
+  }
+
+  const seerrUserId = getMappedSeerrUserId(interaction.user.id);
+  if (!seerrUserId) {
+    return interaction.editReply({
+      content:
+        "⚠️ Your Discord account is not linked to a Seerr user. Ask an admin to add a user mapping.",
+    });
+  }
+
+  try {
+    const seerrUser = await seerrApi.fetchUser(
+      seerrUserId,
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+    if (!seerrUser?.jellyfinUserId) {
+      return interaction.editReply({
+        content: "⚠️ Your Seerr account is not linked to a Jellyfin user.",
+      });
+    }
+
+    const seeds = await getWatchSeeds(seerrUser.jellyfinUserId);
+    if (seeds.size === 0) {
+      return interaction.editReply({
+        content:
+          "🍿 Watch or favorite a few titles on Jellyfin first, then I can suggest something.",
+      });
+    }
+
+    const items = await filterOutLibrary(await rankCandidates(seeds));
+    if (items.length === 0) {
+      return interaction.editReply({
+        content: "🤷 No new recommendations right now. It looks like you already have them all!",
+      });
+    }
+
+    recommendationSessions.set(interaction.user.id, { items, createdAt: Date.now() });
+    logger.info(
+      `[RECOMMEND] ${items.length} recommendation(s) for Discord User ${interaction.user.id} from ${seeds.size} watched title(s)`
+    );
+
+    await interaction.editReply(
+      await buildRecommendationPage(interaction.user.id, items, 0)
+    );
+  } catch (err) {
+    logger.error("[RECOMMEND] Failed to build recommendations:", err?.message || err);
+    await interaction.editReply({
+      content: "⚠️ Could not build recommendations right now.",
+    });
+  }
+}
+
+// customId format: recommend_page|discordUserId|index
+export async function handleRecommendPageButton(interaction) {
+  const [, discordUserId, rawIndex] = interaction.customId.split("|");
+
+  if (discordUserId !== interaction.user.id) {
+    return interaction.reply({
+      content: "⚠️ These are not your recommendations. Use /recommend instead.",
+      flags: 64,
+    });
+  }
+
+  const session = recommendationSessions.get(discordUserId);
+  if (!session || Date.now() - session.createdAt > SESSION_TTL_MS) {
+    recommendationSessions.delete(discordUserId);
+    return interaction.reply({
+      content: "⌛ These recommendations have expired. Run /recommend again.",
+      flags: 64,
+    });
+  }
+
+  const index = Math.min(
+    Math.max(parseInt(rawIndex, 10) || 0, 0),
+    session.items.length - 1
+  );
+
+  await interaction.deferUpdate();
+
+  try {
+    await interaction.editReply(
+      await buildRecommendationPage(discordUserId, session.items, index)
+    );
+  } catch (err) {
+    logger.error("[RECOMMEND] Failed to change page:", err?.message || err);
+    await interaction.followUp({
+      content: "⚠️ Could not load this recommendation.",
+      flags: 64,
+    });
+  }
+}
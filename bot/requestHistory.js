@@ -0,0 +1,118 @@
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { REQUEST_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+// Oldest entries are dropped past this, so the file stays small enough to
+// rewrite on every request
+const MAX_ENTRIES = 5000;
+
+export const REQUEST_OUTCOMES = [
+  "pending",
+  "approved",
+  "declined",
+  "available",
+  "failed",
+  "cancelled",
+];
+
+// --- REQUEST HISTORY ---
+// Ordered oldest → newest. Each entry:
+// { id, source, discordUserId, discordUsername, seerrUserId, seerrRequestId,
+//   tmdbId, mediaType, title, seasons, tags, serverId, profileId, rootFolder,
+//   autoApprove, autoApproveReason, outcome, error, createdAt, updatedAt }
+const requestHistory = [];
+let historyLoaded = false;
+
+export const REQUEST_HISTORY_PATH = path.join(
+  path.dirname(CONFIG_PATH),
+  "request-history.json"
+);
+
+function saveRequestHistory() {
+  try {
+    fs.writeFileSync(
+      REQUEST_HISTORY_PATH,
+      JSON.stringify(requestHistory, null, 2),
+      { encoding: "utf-8", mode: 0o600 }
+    );
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist request history to disk: ${err.message}`);
+  }
+}
+
+export function loadRequestHistory() {
+  historyLoaded = true;
+  if (!fs.existsSync(REQUEST_HISTORY_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(REQUEST_HISTORY_PATH, "utf-8"));
+    requestHistory.length = 0;
+    if (Array.isArray(parsed)) {
+      requestHistory.push(...parsed.slice(-MAX_ENTRIES));
+    }
+    logger.info(`✅ Loaded ${requestHistory.length} request history entries from disk`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load request history from disk: ${err.message}`);
+  }
+}
+
+// The dashboard can read history while the bot is stopped
+export function getRequestHistory() {
+  if (!historyLoaded) loadRequestHistory();
+  return requestHistory;
+}
+
+export function getOutcomeForStatus(status) {
+  switch (status) {
+    case REQUEST_STATUS.PENDING:
+      return "pending";
+    case REQUEST_STATUS.DECLINED:
+      return "declined";
+    case REQUEST_STATUS.FAILED:
+      return "failed";
+    case REQUEST_STATUS.COMPLETED:
+      return "available";
+    default:
+      return "approved";
+  }
+}
+
+export function recordRequest(entry) {
+  if (!historyLoaded) loadRequestHistory();
+
+  const now = new Date().toISOString();
+  const record = {
+    id: randomUUID(),
+    ...entry,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  requestHistory.push(record);
+  if (requestHistory.length > MAX_ENTRIES) {
+    requestHistory.splice(0, requestHistory.length - MAX_ENTRIES);
+  }
+  saveRequestHistory();
+  return record;
+}
+
+export function updateRequestOutcome(seerrRequestId, outcome) {
+  if (seerrRequestId === null || seerrRequestId === undefined) return;
+  if (!historyLoaded) loadRequestHistory();
+
+  let updated = false;
+  for (const record of requestHistory) {
+    if (
+      String(record.seerrRequestId) === String(seerrRequestId) &&
+      record.outcome !== outcome
+    ) {
+      record.outcome = outcome;
+      record.updatedAt = new Date().toISOString();
+      updated = true;
+    }
+  }
+
+  if (updated) saveRequestHistory();
+}
@@ -0,0 +1,79 @@
+import { parseEnvList } from "./botUtils.js";
+import logger from "../utils/logger.js";
+
+// --- REQUEST ROUTING RULES ---
+// ROUTING_RULES is an ordered list; the first rule whose conditions all match
+// decides where a request goes. Empty conditions match anything.
+// {
+//   name, mediaType: "any" | "movie" | "tv",
+//   roles: [roleId], genres: [genre name], languages: [ISO 639-1], tags: [tag label],
+//   profile: "profileId|serverId|type", server: "serverId|type",
+//   rootFolder: "/path", applyTags: [tag label]
+// }
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+function matchesAny(ruleValues, actualValues) {
+  if (!Array.isArray(ruleValues) || ruleValues.length === 0) return true;
+  const actual = actualValues.map(normalize);
+  return ruleValues.some((value) => actual.includes(normalize(value)));
+}
+
+export function getRoutingRules() {
+  return parseEnvList("ROUTING_RULES").filter(
+    (rule) => rule && typeof rule === "object"
+  );
+}
+
+export function findRoutingRule(
+  { roleIds = [], mediaType, details = null, tags = [] },
+  rules = getRoutingRules()
+) {
+  const genres = (details?.genres || []).map((g) => g.name);
+  const languages = details?.original_language
+    ? [details.original_language]
+    : [];
+
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+
+    if (rule.mediaType && rule.mediaType !== "any" && rule.mediaType !== mediaType) {
+      continue;
+    }
+    if (!matchesAny(rule.roles, roleIds)) continue;
+    if (!matchesAny(rule.genres, genres)) continue;
+    if (!matchesAny(rule.languages, languages)) continue;
+    if (!matchesAny(rule.tags, tags)) continue;
+
+    return { rule, index };
+  }
+
+  return null;
+}
+
+// Turns a matched rule into the shape parseQualityAndServerOptions expects
+export function buildRoute({ rule, index }) {
+  return {
+    index,
+    name: rule.name || `Rule ${index + 1}`,
+    quality: typeof rule.profile === "string" && rule.profile ? rule.profile : null,
+    server: typeof rule.server === "string" && rule.server ? rule.server : null,
+    rootFolder: typeof rule.rootFolder === "string" && rule.rootFolder ? rule.rootFolder : null,
+    tags: Array.isArray(rule.applyTags) ? rule.applyTags : [],
+  };
+}
+
+export function resolveRoute(member, mediaType, details, tags = []) {
+  const roleIds = member?.roles?.cache
+    ? member.roles.cache.map((r) => r.id)
+    : [];
+
+  const match = findRoutingRule({ roleIds, mediaType, details, tags });
+  if (!match) return null;
+
+  const route = buildRoute(match);
+  logger.info(
+    `[ROUTING] ${mediaType} ${details?.id ?? ""} matched routing rule #${route.index + 1} "${route.name}"`
+  );
+  return route;
+}
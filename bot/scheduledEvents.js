@@ -0,0 +1,324 @@
+import fs from "fs";
+import path from "path";
+import {
+  ChannelType,
+  GuildScheduledEventEntityType,
+  GuildScheduledEventPrivacyLevel,
+  GuildScheduledEventStatus,
+} from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import { pendingRequests } from "./botState.js";
+import { getFollowedSeriesKeys } from "./follows.js";
+import { CONFIG_PATH } from "../utils/configFile.js";
+import { normalizeSeerrUrl } from "../utils/seerrUrl.js";
+import { isValidUrl } from "../utils/url.js";
+import { truncate } from "../utils/text.js";
+import { zonedTimeToDate } from "../utils/time.js";
+import logger from "../utils/logger.js";
+
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+
+const SYNC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Discord allows 100 scheduled events per guild; leave room for the admins' own
+const MAX_EVENTS = 50;
+// TMDB only has dates, so premieres are scheduled for the evening in
+// TIMEZONE (server time when unset)
+const EVENT_START_HOUR = 20;
+const EVENT_DURATION_MS = 2 * 60 * 60 * 1000;
+const DIGITAL_RELEASE_TYPE = 4;
+const UNKNOWN_SCHEDULED_EVENT_CODE = 10070;
+
+let syncTimer = null;
+let syncing = false;
+
+// --- SCHEDULED EVENT TRACKING ---
+// key = "tmdbId-mediaType", value = { eventId, start, dismissed }
+// dismissed = the event was deleted by an admin, so it isn't recreated
+const scheduledEvents = new Map();
+
+export const SCHEDULED_EVENTS_PATH = path.join(
+  path.dirname(CONFIG_PATH),
+  "scheduled-events.json"
+);
+
+function saveScheduledEvents() {
+  try {
+    fs.writeFileSync(
+      SCHEDULED_EVENTS_PATH,
+      JSON.stringify(Object.fromEntries(scheduledEvents), null, 2),
+      { encoding: "utf-8", mode: 0o600 }
+    );
+  } catch (err) {
+    logger.warn(`⚠️ Failed to persist scheduled events to disk: ${err.message}`);
+  }
+}
+
+export function loadScheduledEvents() {
+  if (!fs.existsSync(SCHEDULED_EVENTS_PATH)) return;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SCHEDULED_EVENTS_PATH, "utf-8"));
+    scheduledEvents.clear();
+    for (const [key, entry] of Object.entries(parsed)) {
+      scheduledEvents.set(key, entry);
+    }
+    logger.info(`✅ Loaded ${scheduledEvents.size} scheduled event(s) from disk`);
+  } catch (err) {
+    logger.warn(`⚠️ Failed to load scheduled events from disk: ${err.message}`);
+  }
+}
+
+// "2025-03-14" or "2025-03-14T00:00:00.000Z" → that day at EVENT_START_HOUR
+function toEventStart(dateString) {
+  const [year, month, day] = dateString.slice(0, 10).split("-").map(Number);
+  if (!year || !month || !day) return null;
+  return zonedTimeToDate(
+    year,
+    month,
+    day,
+    EVENT_START_HOUR,
+    0,
+    process.env.TIMEZONE
+  );
+}
+
+async function getDigitalReleaseDate(tmdbId) {
+  const countries = await tmdbApi.tmdbGetReleaseDates(tmdbId, getTmdbApiKey());
+  const dates = countries
+    .flatMap((c) => c.release_dates || [])
+    .filter((r) => r.type === DIGITAL_RELEASE_TYPE && r.release_date)
+    .map((r) => r.release_date)
+    .sort();
+  return dates[0] || null;
+}
+
+function getMediaUrl(tmdbId, mediaType) {
+  const seerrUrl = normalizeSeerrUrl(process.env.SEERR_URL || "");
+  const url = seerrUrl
+    ? `${seerrUrl}/${mediaType}/${tmdbId}`
+    : `https://www.themoviedb.org/${mediaType}/${tmdbId}`;
+  return isValidUrl(url) ? url : null;
+}
+
+// Resolves what should be on the calendar for a tracked title, or null
+async function getPremiere(tmdbId, mediaType) {
+  const details = await tmdbApi.tmdbGetDetails(tmdbId, mediaType, getTmdbApiKey());
+
+  let date;
+  let name;
+  if (mediaType === "movie") {
+    date = await getDigitalReleaseDate(tmdbId);
+    name = `🎬 ${details.title} — digital release`;
+  } else {
+    // Only season premieres, not every weekly episode
+    const next = details.next_episode_to_air;
+    if (!next || next.episode_number !== 1 || next.season_number < 1) return null;
+    date = next.air_date;
+    name = `📺 ${details.name} — Season ${next.season_number} premiere`;
+  }
+
+  const start = date ? toEventStart(date) : null;
+  if (!start) return null;
+
+  const url = getMediaUrl(tmdbId, mediaType);
+  const backdropPath = tmdbApi.findBestBackdrop(details);
+  const image = backdropPath
+    ? `https://image.tmdb.org/t/p/w1280${backdropPath}`
+    : null;
+
+  return {
+    start,
+    name: truncate(name, 100),
+    description: truncate(
+      [details.overview, url].filter(Boolean).join("\n\n"),
+      1000
+    ),
+    url,
+    image,
+  };
+}
+
+async function resolveEventChannel(guild) {
+  const channelId = process.env.SCHEDULED_EVENTS_CHANNEL_ID;
+  if (!channelId) return null;
+
+  const channel = await guild.channels.fetch(channelId).catch(() => null);
+  if (
+    channel?.type !== ChannelType.GuildVoice &&
+    channel?.type !== ChannelType.GuildStageVoice
+  ) {
+    logger.warn(
+      `[EVENTS] Event channel ${channelId} is not a voice or stage channel. Using external events.`
+    );
+    return null;
+  }
+  return channel;
+}
+
+function buildEventOptions(premiere, channel) {
+  const options = {
+    name: premiere.name,
+    description: premiere.description,
+    scheduledStartTime: premiere.start,
+    scheduledEndTime: new Date(premiere.start.getTime() + EVENT_DURATION_MS),
+    privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+  };
+
+  if (channel) {
+    options.entityType =
+      channel.type === ChannelType.GuildStageVoice
+        ? GuildScheduledEventEntityType.StageInstance
+        : GuildScheduledEventEntityType.Voice;
+    options.channel = channel;
+  } else {
+    // External events need a location; the media page is the natural one
+    options.entityType = GuildScheduledEventEntityType.External;
+    options.entityMetadata = { location: truncate(premiere.url || "Jellyfin", 100) };
+  }
+  return options;
+}
+
+async function cancelEvent(guild, key) {
+  const entry = scheduledEvents.get(key);
+  scheduledEvents.delete(key);
+  if (!entry) return;
+
+  // Events that already started are left for Discord to wrap up
+  if (entry.dismissed || Date.parse(entry.start) <= Date.now()) return;
+
+  try {
+    const event = await guild.scheduledEvents.fetch(entry.eventId);
+    if (event.status === GuildScheduledEventStatus.Scheduled) {
+      await event.setStatus(GuildScheduledEventStatus.Canceled);
+      logger.info(`📅 Cancelled scheduled event "${event.name}"`);
+    }
+  } catch (err) {
+    // Already deleted by hand
+  }
+}
+
+async function upsertEvent(guild, key, premiere, channel) {
+  const entry = scheduledEvents.get(key);
+  const options = buildEventOptions(premiere, channel);
+
+  if (entry?.dismissed) return;
+
+  if (entry) {
+    const event = await guild.scheduledEvents.fetch(entry.eventId).catch((err) => {
+      if (err?.code !== UNKNOWN_SCHEDULED_EVENT_CODE) throw err;
+      return null;
+    });
+    if (!event) {
+      scheduledEvents.set(key, { ...entry, dismissed: true });
+      logger.info(`📅 Scheduled event "${premiere.name}" was deleted, not recreating it`);
+      return;
+    }
+    if (event.status === GuildScheduledEventStatus.Scheduled) {
+      if (entry.start !== premiere.start.toISOString() || event.name !== premiere.name) {
+        await event.edit({
+          name: options.name,
+          description: options.description,
+          scheduledStartTime: options.scheduledStartTime,
+          scheduledEndTime: options.scheduledEndTime,
+        });
+        scheduledEvents.set(key, { eventId: event.id, start: premiere.start.toISOString() });
+        logger.info(`📅 Moved scheduled event "${premiere.name}" to ${premiere.start.toISOString()}`);
+      }
+      return;
+    }
+    // Running, or cancelled by an admin: leave it alone
+    return;
+  }
+
+  const withImage = premiere.image ? { ...options, image: premiere.image } : options;
+  const event = await guild.scheduledEvents.create(withImage).catch(async (err) => {
+    if (!premiere.image) throw err;
+    // The cover is nice to have; retry without it if TMDB's image can't be used
+    logger.debug(`[EVENTS] Creating "${premiere.name}" with a cover failed: ${err.message}`);
+    return guild.scheduledEvents.create(options);
+  });
+  scheduledEvents.set(key, { eventId: event.id, start: premiere.start.toISOString() });
+  logger.info(`📅 Created scheduled event "${premiere.name}"`);
+}
+
+export async function syncScheduledEvents(client) {
+  if (syncing) return;
+  syncing = true;
+
+  try {
+    const guild = await client.guilds.fetch(process.env.GUILD_ID).catch(() => null);
+    if (!guild) {
+      logger.warn("[EVENTS] Guild not found. Skipping scheduled events sync.");
+      return;
+    }
+    const channel = await resolveEventChannel(guild);
+
+    const trackedKeys = new Set([
+      ...pendingRequests.keys(),
+      ...getFollowedSeriesKeys(),
+    ]);
+
+    // Titles nobody is waiting for anymore (cancelled, available or unfollowed)
+    for (const key of [...scheduledEvents.keys()]) {
+      if (!trackedKeys.has(key)) await cancelEvent(guild, key);
+    }
+
+    let created = scheduledEvents.size;
+    for (const key of trackedKeys) {
+      const [tmdbId, mediaType] = key.split("-");
+      if (!tmdbId || (mediaType !== "movie" && mediaType !== "tv")) continue;
+
+      try {
+        const premiere = await getPremiere(tmdbId, mediaType);
+        if (!premiere || premiere.start <= Date.now()) {
+          await cancelEvent(guild, key);
+          continue;
+        }
+
+        if (!scheduledEvents.has(key)) {
+          if (created >= MAX_EVENTS) continue;
+          created++;
+        }
+        await upsertEvent(guild, key, premiere, channel);
+      } catch (err) {
+        logger.warn(`[EVENTS] Failed to sync scheduled event for ${key}: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logger.error("[EVENTS] Scheduled events sync failed:", err?.message || err);
+  } finally {
+    saveScheduledEvents();
+    syncing = false;
+  }
+}
+
+export function stopEventSync() {
+  if (syncTimer) {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+}
+
+export function scheduleEventSync(client) {
+  stopEventSync();
+
+  if (process.env.SCHEDULED_EVENTS_ENABLED !== "true") return;
+
+  if (!getTmdbApiKey()) {
+    logger.warn("Scheduled events are enabled but TMDB is not configured. Skipping.");
+    return;
+  }
+
+  // Requested titles are only tracked for their availability DMs
+  if (process.env.NOTIFY_ON_AVAILABLE !== "true") {
+    logger.warn(
+      "Scheduled events are enabled but \"Notify on available\" is off, so only followed series are tracked."
+    );
+  }
+
+  logger.info("📅 Creating Discord events for premieres of requested and followed titles");
+
+  syncScheduledEvents(client);
+  syncTimer = setInterval(() => {
+    syncScheduledEvents(client);
+  }, SYNC_INTERVAL_MS);
+}
@@ -0,0 +1,349 @@
+import {
+  EmbedBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ActionRowBuilder,
+} from "discord.js";
+import * as tmdbApi from "../api/tmdb.js";
+import * as seerrApi from "../api/seerr.js";
+import { getSeerrApiUrl } from "../utils/seerrUrl.js";
+import {
+  getZonedDateKey,
+  getZonedDateParts,
+  zonedTimeToDate,
+} from "../utils/time.js";
+import { COLORS, MEDIA_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const getSeerrUrl = () => getSeerrApiUrl(process.env.SEERR_URL || "");
+const getSeerrApiKey = () => process.env.SEERR_API_KEY;
+const getTmdbApiKey = () => process.env.TMDB_API_KEY;
+// Days, "Today" and the weekly post all follow TIMEZONE (server time when unset)
+const getTimeZone = () => process.env.TIMEZONE;
+
+const MAX_DAYS = 30;
+const CALENDAR_DAYS = 7;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+// Seerr media is paged newest-modified first; very large libraries are cut off
+const MAX_TRACKED_TITLES = 500;
+const MEDIA_PAGE_SIZE = 100;
+const DETAILS_CONCURRENCY = 5;
+const MAX_CALENDAR_SUGGESTIONS = 5;
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Built from every tracked title's TMDB details, so it is shared between
+// /upcoming and the weekly post and rebuilt at most once an hour
+const upcomingCache = { builtAt: 0, entries: [], knownKeys: new Set(), building: null };
+
+let calendarTimer = null;
+
+// YYYY-MM-DD of today plus some days, comparable with TMDB's date strings
+function getDayKey(daysFromToday = 0) {
+  return getZonedDateKey(new Date(), getTimeZone(), daysFromToday);
+}
+
+function formatDayHeading(dateKey) {
+  if (dateKey === getDayKey(0)) return "Today";
+  if (dateKey === getDayKey(1)) return "Tomorrow";
+
+  // A date key is a calendar day, not a point in time
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function fetchTrackedMedia() {
+  const media = [];
+  for (let skip = 0; skip < MAX_TRACKED_TITLES; skip += MEDIA_PAGE_SIZE) {
+    const { results, pageInfo } = await seerrApi.fetchMedia(
+      { take: MEDIA_PAGE_SIZE, skip },
+      getSeerrUrl(),
+      getSeerrApiKey()
+    );
+    media.push(...results);
+    if (results.length < MEDIA_PAGE_SIZE || skip + MEDIA_PAGE_SIZE >= (pageInfo.results || 0)) {
+      break;
+    }
+  }
+  return media.filter((m) => m.tmdbId && m.status > MEDIA_STATUS.UNKNOWN);
+}
+
+function toUpcomingEntry(media, details) {
+  if (media.mediaType === "movie") {
+    return {
+      date: details.release_date,
+      tmdbId: media.tmdbId,
+      mediaType: "movie",
+      line: `🎬 **${details.title}** · requested`,
+    };
+  }
+
+  const next = details.next_episode_to_air;
+  if (!next) return null;
+  const season = String(next.season_number).padStart(2, "0");
+  const episode = String(next.episode_number).padStart(2, "0");
+  return {
+    date: next.air_date,
+    tmdbId: media.tmdbId,
+    mediaType: "tv",
+    line: `📺 **${details.name}** S${season}E${episode}${next.name ? ` · ${next.name}` : ""}`,
+  };
+}
+
+async function buildUpcomingCache() {
+  const tracked = await fetchTrackedMedia();
+  const knownKeys = new Set(tracked.map((m) => `${m.tmdbId}-${m.mediaType}`));
+
+  // Movies already in the library have been released
+  const candidates = tracked.filter(
+    (m) => m.mediaType === "tv" || m.status < MEDIA_STATUS.PARTIALLY_AVAILABLE
+  );
+
+  const todayKey = getDayKey(0);
+  const horizonKey = getDayKey(MAX_DAYS);
+
+  const entries = await mapWithConcurrency(candidates, DETAILS_CONCURRENCY, async (media) => {
+    try {
+      const details = await tmdbApi.tmdbGetDetails(
+        media.tmdbId,
+        media.mediaType,
+        getTmdbApiKey()
+      );
+      const entry = toUpcomingEntry(media, details);
+      return entry?.date && entry.date >= todayKey && entry.date <= horizonKey
+        ? entry
+        : null;
+    } catch (err) {
+      return null;
+    }
+  });
+
+  upcomingCache.entries = entries.filter(Boolean);
+  upcomingCache.knownKeys = knownKeys;
+  upcomingCache.builtAt = Date.now();
+  logger.info(
+    `📅 Checked ${candidates.length} tracked titles, ${upcomingCache.entries.length} upcoming in the next ${MAX_DAYS} days`
+  );
+}
+
+async function ensureUpcomingCache() {
+  if (Date.now() - upcomingCache.builtAt < CACHE_TTL_MS) return;
+  if (!upcomingCache.building) {
+    upcomingCache.building = buildUpcomingCache().finally(() => {
+      upcomingCache.building = null;
+    });
+  }
+  await upcomingCache.building;
+}
+
+async function getUpcomingEntries(days) {
+  await ensureUpcomingCache();
+  const todayKey = getDayKey(0);
+  const endKey = getDayKey(days);
+  return upcomingCache.entries.filter(
+    (e) => e.date >= todayKey && e.date < endKey
+  );
+}
+
+// Upcoming theatrical releases nobody has requested yet, for the weekly post
+async function getUnrequestedMovies(days) {
+  const todayKey = getDayKey(0);
+  const endKey = getDayKey(days);
+
+  try {
+    const movies = await tmdbApi.tmdbGetUpcomingMovies(getTmdbApiKey());
+    return movies
+      .filter(
+        (m) =>
+          m.release_date >= todayKey &&
+          m.release_date < endKey &&
+          !upcomingCache.knownKeys.has(`${m.id}-movie`)
+      )
+      .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+      .slice(0, MAX_CALENDAR_SUGGESTIONS)
+      .map((m) => ({
+        date: m.release_date,
+        tmdbId: m.id,
+        mediaType: "movie",
+        title: m.title,
+        line: `🆕 **${m.title}** · not requested yet`,
+      }));
+  } catch (err) {
+    return [];
+  }
+}
+
+function buildUpcomingEmbed(entries, days, authorName) {
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: authorName })
+    .setColor(COLORS.INFO)
+    .setFooter({ text: `Next ${days} day${days === 1 ? "" : "s"}` });
+
+  if (entries.length === 0) {
+    embed.setDescription(
+      `Nothing from the library or requests is scheduled in the next ${days} day${days === 1 ? "" : "s"}.`
+    );
+    return embed;
+  }
+
+  const byDay = new Map();
+  for (const entry of [...entries].sort((a, b) => a.date.localeCompare(b.date))) {
+    if (!byDay.has(entry.date)) byDay.set(entry.date, []);
+    byDay.get(entry.date).push(entry.line);
+  }
+
+  // Discord caps a whole embed at 6000 characters
+  let budget = 5500;
+  for (const [dateKey, lines] of [...byDay.entries()].slice(0, 25)) {
+    let value = "";
+    for (let i = 0; i < lines.length; i++) {
+      const more = `\n…and ${lines.length - i} more`;
+      const next = value ? `${value}\n${lines[i]}` : lines[i];
+      if (next.length + more.length > 1024) {
+        value += more;
+        break;
+      }
+      value = next;
+    }
+    const name = formatDayHeading(dateKey);
+    budget -= name.length + value.length;
+    if (budget < 0) break;
+    embed.addFields({ name, value });
+  }
+
+  return embed;
+}
+
+export async function handleUpcomingCommand(interaction) {
+  const isPrivateMode = process.env.PRIVATE_MESSAGE_MODE === "true";
+  const days = Math.min(
+    Math.max(interaction.options.getInteger("days") || CALENDAR_DAYS, 1),
+    MAX_DAYS
+  );
+  await interaction.deferReply({ ephemeral: isPrivateMode });
+
+  try {
+    const entries = await getUpcomingEntries(days);
+    await interaction.editReply({
+      embeds: [buildUpcomingEmbed(entries, days, "📅 Coming up")],
+    });
+  } catch (err) {
+    logger.error("[UPCOMING] Failed to build upcoming releases:", err?.message || err);
+    await interaction.editReply({
+      content: "⚠️ Could not load upcoming releases from Seerr.",
+    });
+  }
+}
+
+export async function sendUpcomingCalendar(client) {
+  const channelId = process.env.UPCOMING_CALENDAR_CHANNEL_ID;
+  if (!channelId || !getTmdbApiKey() || !getSeerrApiKey()) return;
+
+  try {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      logger.warn(`[UPCOMING] Release calendar channel not found: ${channelId}`);
+      return;
+    }
+
+    const entries = await getUpcomingEntries(CALENDAR_DAYS);
+    const suggestions = await getUnrequestedMovies(CALENDAR_DAYS);
+
+    const embed = buildUpcomingEmbed(
+      [...entries, ...suggestions],
+      CALENDAR_DAYS,
+      "📅 This week's releases"
+    );
+
+    // Same handler as the daily pick: requests privately, leaves the post as is
+    const components = suggestions.length
+      ? [
+        new ActionRowBuilder().addComponents(
+          suggestions.map((m) =>
+            new ButtonBuilder()
+              .setCustomId(`request_calendar_${m.tmdbId}_movie`)
+              .setLabel(
+                m.title.length > 70 ? `Request ${m.title.slice(0, 67)}...` : `Request ${m.title}`
+              )
+              .setStyle(ButtonStyle.Primary)
+          )
+        ),
+      ]
+      : [];
+
+    await channel.send({ embeds: [embed], components });
+    logger.info(`📅 Posted release calendar to channel ${channelId}`);
+  } catch (err) {
+    logger.error("[UPCOMING] Failed to post release calendar:", err?.message || err);
+  }
+}
+
+function getNextCalendarTime(weekday, hour) {
+  const timeZone = getTimeZone();
+  const now = new Date();
+  const today = getZonedDateParts(now, timeZone);
+  const daysAhead = (weekday - today.weekday + 7) % 7;
+  const next = zonedTimeToDate(today.year, today.month, today.day + daysAhead, hour, 0, timeZone);
+  return next <= now
+    ? zonedTimeToDate(today.year, today.month, today.day + daysAhead + 7, hour, 0, timeZone)
+    : next;
+}
+
+export function stopUpcomingCalendar() {
+  if (calendarTimer) {
+    clearTimeout(calendarTimer);
+    calendarTimer = null;
+  }
+}
+
+export function scheduleUpcomingCalendar(client) {
+  stopUpcomingCalendar();
+
+  if (!process.env.UPCOMING_CALENDAR_CHANNEL_ID) return;
+
+  const weekday = parseInt(process.env.UPCOMING_CALENDAR_DAY || "1", 10);
+  const hour = parseInt(process.env.UPCOMING_CALENDAR_HOUR || "9", 10);
+  if (!(weekday >= 0 && weekday <= 6) || !(hour >= 0 && hour <= 23)) {
+    logger.warn("Release calendar day or hour is invalid. Skipping.");
+    return;
+  }
+
+  const scheduleNext = () => {
+    const next = getNextCalendarTime(weekday, hour);
+    const timer = setTimeout(async () => {
+      await sendUpcomingCalendar(client);
+      // Not when stopped or rescheduled while posting
+      if (calendarTimer === timer) scheduleNext();
+    }, next - Date.now());
+    calendarTimer = timer;
+  };
+
+  logger.info(
+    `📅 Release calendar scheduled every ${WEEKDAYS[weekday]} at ${String(hour).padStart(2, "0")}:00`
+  );
+  scheduleNext();
+}
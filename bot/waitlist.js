@@ -0,0 +1,118 @@
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle } from "discord.js";
+import { buildNotificationEmbed } from "./embeds.js";
+import { getRequestStatusLabel } from "./myRequests.js";
+import { getMappedDiscordUserId } from "./botUtils.js";
+import { pendingRequests, addPendingSubscriber } from "./botState.js";
+import { getRequestHistory } from "./requestHistory.js";
+import { COLORS, MEDIA_STATUS, REQUEST_STATUS } from "../lib/constants.js";
+import logger from "../utils/logger.js";
+
+const OPEN_MEDIA_STATUSES = [MEDIA_STATUS.PENDING, MEDIA_STATUS.PROCESSING];
+const OPEN_REQUEST_STATUSES = [REQUEST_STATUS.PENDING, REQUEST_STATUS.APPROVED];
+
+function resolveSeasonNumbers(seasons, details) {
+  if (seasons.includes("all")) {
+    return (details?.seasons || [])
+      .filter((s) => s.season_number > 0)
+      .map((s) => s.season_number);
+  }
+  return seasons.map((s) => parseInt(s, 10)).filter((n) => !isNaN(n));
+}
+
+// Returns the oldest open Seerr request that already covers what the caller
+// asked for, or null when a new request should be sent
+export function findExistingRequest(status, mediaType, seasons = ["all"], details = null) {
+  const mediaInfo = status?.data?.mediaInfo;
+  if (!status?.exists || status.available) return null;
+  if (!OPEN_MEDIA_STATUSES.includes(mediaInfo?.status)) return null;
+
+  const openRequests = (mediaInfo.requests || [])
+    .filter((r) => OPEN_REQUEST_STATUSES.includes(r.status))
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  if (openRequests.length === 0) return null;
+
+  if (mediaType === "tv") {
+    const wanted = resolveSeasonNumbers(seasons, details);
+    const covered = new Set(
+      openRequests.flatMap((r) => (r.seasons || []).map((s) => s.seasonNumber))
+    );
+    if (wanted.length === 0 || !wanted.every((n) => covered.has(n))) {
+      return null;
+    }
+  }
+
+  // Requests nested in mediaInfo don't carry their media back-reference
+  return { ...openRequests[0], media: { status: mediaInfo.status } };
+}
+
+function resolveRequester(request) {
+  const historyEntry = getRequestHistory().find(
+    (e) => String(e.seerrRequestId) === String(request.id) && e.discordUserId
+  );
+  const discordUserId =
+    historyEntry?.discordUserId ||
+    getMappedDiscordUserId(request.requestedBy?.id) ||
+    request.requestedBy?.settings?.discordId;
+
+  return discordUserId
+    ? `<@${discordUserId}>`
+    : `**${request.requestedBy?.displayName || "someone"}**`;
+}
+
+export function buildWaitlistReply(existingRequest, details, mediaType, tmdbId) {
+  const requestedAt = Math.floor(Date.parse(existingRequest.createdAt) / 1000);
+  const when = isNaN(requestedAt) ? "" : ` <t:${requestedAt}:R>`;
+  const statusLabel = getRequestStatusLabel(existingRequest);
+
+  const embed = buildNotificationEmbed(
+    details,
+    mediaType,
+    details.external_ids?.imdb_id || null,
+    "search",
+    null,
+    tmdbId
+  )
+    .setAuthor({ name: "📬 Already requested" })
+    .setColor(COLORS.INFO)
+    .setDescription(
+      `Requested by ${resolveRequester(existingRequest)}${when}, status: ${statusLabel}`
+    );
+
+  const components = [];
+  // Waitlisted users are DM'd by the same availability notification
+  if (process.env.NOTIFY_ON_AVAILABLE === "true") {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`notify_me|${tmdbId}|${mediaType}`)
+          .setLabel("Notify me too")
+          .setEmoji("🔔")
+          .setStyle(ButtonStyle.Primary)
+      )
+    );
+  }
+
+  return { embeds: [embed], components };
+}
+
+// customId format: notify_me|tmdbId|mediaType
+// Replies privately because the message can be shared with the whole channel
+export async function handleNotifyMeButton(interaction) {
+  const [, tmdbId, mediaType] = interaction.customId.split("|");
+  if (!addPendingSubscriber(tmdbId, mediaType, interaction.user.id)) {
+    return interaction.reply({
+      content: "🔔 You're already on the list for this title.",
+      flags: 64,
+    });
+  }
+
+  const waiting = pendingRequests.get(`${tmdbId}-${mediaType}`).size;
+  logger.info(
+    `[WAITLIST] Discord User ${interaction.user.id} subscribed to ${mediaType} ${tmdbId} (${waiting} waiting)`
+  );
+
+  return interaction.reply({
+    content: "🔔 Got it! I'll DM you when this title is available.",
+    flags: 64,
+  });
+}
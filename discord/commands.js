@@ -3,7 +3,12 @@
  * Defines all slash commands for the Discord bot
  */
 
-import { SlashCommandBuilder } from "discord.js";
+import {
+  SlashCommandBuilder,
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+} from "discord.js";
+import { REQUEST_THIS_COMMAND } from "../bot/messageRequest.js";
 
 /**
  * Get all command definitions
@@ -17,7 +22,7 @@ export function getCommands() {
       .addStringOption((opt) =>
         opt
           .setName("title")
-          .setDescription("Title")
+          .setDescription("Title, or an IMDb/TMDB/TVDB/Letterboxd link or ID")
           .setRequired(true)
           .setAutocomplete(true)
       ),
@@ -27,7 +32,7 @@ export function getCommands() {
       .addStringOption((opt) =>
         opt
           .setName("title")
-          .setDescription("Title")
+          .setDescription("Title, or an IMDb/TMDB/TVDB/Letterboxd link or ID")
           .setRequired(true)
           .setAutocomplete(true)
       )
@@ -68,6 +73,96 @@ export function getCommands() {
           .setRequired(true)
           .setAutocomplete(true)
       ),
+    new SlashCommandBuilder()
+      .setName("myrequests")
+      .setDescription("Show your Seerr requests and their current status"),
+    new SlashCommandBuilder()
+      .setName("quota")
+      .setDescription("Check how many requests you have left"),
+    new SlashCommandBuilder()
+      .setName("cancel")
+      .setDescription("Cancel one of your pending requests")
+      .addStringOption((opt) =>
+        opt
+          .setName("request")
+          .setDescription("The request to cancel")
+          .setRequired(true)
+          .setAutocomplete(true)
+      ),
+    new SlashCommandBuilder()
+      .setName("library")
+      .setDescription("Check whether a movie/TV show is already on Jellyfin")
+      .addStringOption((opt) =>
+        opt
+          .setName("title")
+          .setDescription("Title")
+          .setRequired(true)
+          .setAutocomplete(true)
+      ),
+    new SlashCommandBuilder()
+      .setName("upcoming")
+      .setDescription("Upcoming releases for titles in the library or requested")
+      .addIntegerOption((opt) =>
+        opt
+          .setName("days")
+          .setDescription("How many days ahead to look (default 7)")
+          .setMinValue(1)
+          .setMaxValue(30)
+          .setRequired(false)
+      ),
+    new SlashCommandBuilder()
+      .setName("nowplaying")
+      .setDescription("Show what is currently playing on Jellyfin"),
+    new SlashCommandBuilder()
+      .setName("recommend")
+      .setDescription("Get suggestions based on what you watch on Jellyfin"),
+    new SlashCommandBuilder()
+      .setName("person")
+      .setDescription("Browse an actor's or director's filmography")
+      .addStringOption((opt) =>
+        opt
+          .setName("name")
+          .setDescription("Person to look up")
+          .setRequired(true)
+          .setAutocomplete(true)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("sort")
+          .setDescription("Order of the filmography (default: popularity)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Popularity", value: "popularity" },
+            { name: "Year", value: "year" }
+          )
+      ),
+    new SlashCommandBuilder()
+      .setName("follow")
+      .setDescription("Get a DM for every new season or episode of a TV series")
+      .addStringOption((opt) =>
+        opt
+          .setName("series")
+          .setDescription("The TV series to follow")
+          .setRequired(true)
+          .setAutocomplete(true)
+      ),
+    new SlashCommandBuilder()
+      .setName("unfollow")
+      .setDescription("Stop getting DMs for a TV series")
+      .addStringOption((opt) =>
+        opt
+          .setName("series")
+          .setDescription("A series you follow")
+          .setRequired(true)
+          .setAutocomplete(true)
+      ),
+    new SlashCommandBuilder()
+      .setName("following")
+      .setDescription("List and manage the TV series you follow"),
+    // Right-click a message → Apps → Request this
+    new ContextMenuCommandBuilder()
+      .setName(REQUEST_THIS_COMMAND)
+      .setType(ApplicationCommandType.Message),
   ].map((c) => c.toJSON());
 }
 
@@ -46,7 +46,8 @@ export function resolveConfigLibraryId(libraryId, libraryIdMap) {
 
 /**
  * Parses JELLYFIN_NOTIFICATION_LIBRARIES from env.
- * Returns an object mapping libraryId → channelId, or {} if not configured.
+ * Returns an object mapping libraryId → channelId (or a library settings
+ * object, see normalizeLibraryConfig), or {} if not configured.
  */
 export function getLibraryChannels() {
   try {
@@ -60,6 +61,53 @@ export function getLibraryChannels() {
   }
 }
 
+/**
+ * Normalizes a JELLYFIN_NOTIFICATION_LIBRARIES entry. Older configs map a
+ * library straight to a channel ID (empty = default channel); newer ones use
+ * { channelId, channels: { Movie, Series, Episode }, mentions: [rule] } where
+ * a rule is { roleId, itemTypes: [], quality: "any" | "4k" }.
+ */
+export function normalizeLibraryConfig(entry) {
+  if (entry && typeof entry === "object" && !Array.isArray(entry)) {
+    return {
+      channelId: entry.channelId || "",
+      channels: entry.channels && typeof entry.channels === "object" ? entry.channels : {},
+      mentions: Array.isArray(entry.mentions) ? entry.mentions : [],
+    };
+  }
+  return { channelId: typeof entry === "string" ? entry : "", channels: {}, mentions: [] };
+}
+
+/**
+ * Returns the library's own channel for a content type, or null.
+ * Seasons are posted to the library's episode channel.
+ */
+export function getLibraryTypeChannel(libraryConfig, itemType) {
+  if (!libraryConfig) return null;
+  const key = itemType === "Season" ? "Episode" : itemType;
+  return libraryConfig.channels[key] || null;
+}
+
+/**
+ * Returns the role IDs to mention for an item. A rule matches when its
+ * itemTypes include the item type (an empty list matches every type) and,
+ * for "4k" rules, when the video is at least 2160 pixels high.
+ */
+export function getLibraryMentions(libraryConfig, itemType, videoHeight) {
+  if (!libraryConfig) return [];
+  const roleIds = libraryConfig.mentions
+    .filter((rule) => rule?.roleId)
+    .filter(
+      (rule) =>
+        !Array.isArray(rule.itemTypes) ||
+        rule.itemTypes.length === 0 ||
+        rule.itemTypes.includes(itemType)
+    )
+    .filter((rule) => rule.quality !== "4k" || Number(videoHeight) >= 2160)
+    .map((rule) => rule.roleId);
+  return [...new Set(roleIds)];
+}
+
 /**
  * Resolves the target Discord channel for a given configLibraryId.
  * Returns null if the library is not in the notification list.
@@ -71,7 +119,7 @@ export function resolveTargetChannel(configLibraryId, libraryChannels) {
     logger.info(`   Available libraries: ${Object.keys(libraryChannels).join(", ")}`);
     return null;
   }
-  return libraryChannels[configLibraryId] || defaultChannelId || null;
+  return normalizeLibraryConfig(libraryChannels[configLibraryId]).channelId || defaultChannelId || null;
 }
 
 /**
@@ -6,6 +6,7 @@ import {
   resolveConfigLibraryId,
   getLibraryChannels,
   resolveTargetChannel,
+  normalizeLibraryConfig,
   deduplicator,
 } from "./jellyfin/libraryResolver.js";
 
@@ -197,7 +198,12 @@ class JellyfinPoller {
             webhookData,
             this.client,
             this.pendingRequests,
-            targetChannelId
+            targetChannelId,
+            {
+              libraryConfig: normalizeLibraryConfig(
+                libraryChannels[configLibraryId]
+              ),
+            }
           );
           logger.info(`✅ Sent notification for ${itemType}: ${item.Name}`);
         } catch (err) {
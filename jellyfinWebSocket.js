@@ -7,12 +7,14 @@ import {
   resolveConfigLibraryId,
   getLibraryChannels,
   resolveTargetChannel,
+  normalizeLibraryConfig,
   deduplicator,
 } from "./jellyfin/libraryResolver.js";
 
 /**
  * Jellyfin WebSocket Client for real-time notifications
- * Listens for LibraryChanged events and sends Discord notifications instantly
+ * Listens for LibraryChanged events and sends Discord notifications instantly,
+ * and forwards Sessions updates to an optional handler
  */
 export class JellyfinWebSocketClient {
   constructor() {
@@ -27,15 +29,24 @@ export class JellyfinWebSocketClient {
     this.pendingRequests = null;
     this.libraryIdMap = new Map(); // Collection ID → Virtual Folder ID mapping
     this.keepAliveCount = 0; // Count keep-alive messages for logging
+    this.onSessions = null; // Called with the session list on each Sessions message
+    this.notifyLibraryChanges = true;
   }
 
   /**
    * Start WebSocket connection
+   * @param {Object} discordClient - Discord client
+   * @param {Map} pendingRequests - Map of pending user requests
+   * @param {Object} [options]
+   * @param {Function} [options.onSessions] - Receives the session list from Sessions messages
+   * @param {boolean} [options.notifyLibraryChanges=true] - Send notifications for LibraryChanged events
    */
-  async start(discordClient, pendingRequests) {
+  async start(discordClient, pendingRequests, options = {}) {
     try {
       this.client = discordClient;
       this.pendingRequests = pendingRequests;
+      this.onSessions = options.onSessions || null;
+      this.notifyLibraryChanges = options.notifyLibraryChanges !== false;
       this.isRunning = true;
 
       await this.connect();
@@ -191,7 +202,11 @@ export class JellyfinWebSocketClient {
 
       const message = JSON.parse(messageStr);
 
-      if (message.MessageType !== "KeepAlive") {
+      // Sessions arrive every second while subscribed, so keep them out of the log
+      const isQuiet =
+        message.MessageType === "KeepAlive" || message.MessageType === "Sessions";
+
+      if (!isQuiet) {
         logger.info(`📡 WebSocket message: ${message.MessageType}`);
         if (message.Data) {
           const dataPreview =
@@ -200,7 +215,7 @@ export class JellyfinWebSocketClient {
               : message.Data;
           logger.debug(`   Data: ${dataPreview}`);
         }
-      } else {
+      } else if (message.MessageType === "KeepAlive") {
         if (!this.keepAliveCount) this.keepAliveCount = 0;
         this.keepAliveCount++;
         if (this.keepAliveCount % 100 === 0) {
@@ -209,7 +224,13 @@ export class JellyfinWebSocketClient {
       }
 
       if (message.MessageType === "LibraryChanged") {
-        await this.handleLibraryChanged(message);
+        if (this.notifyLibraryChanges) {
+          await this.handleLibraryChanged(message);
+        }
+      } else if (message.MessageType === "Sessions") {
+        if (this.onSessions) {
+          this.onSessions(Array.isArray(message.Data) ? message.Data : []);
+        }
       } else if (message.MessageType === "KeepAlive") {
         // Ignore keepalive messages silently
       } else {
@@ -331,7 +352,12 @@ export class JellyfinWebSocketClient {
         webhookData,
         this.client,
         this.pendingRequests,
-        targetChannelId
+        targetChannelId,
+        {
+          libraryConfig: normalizeLibraryConfig(
+            libraryChannels[configLibraryId]
+          ),
+        }
       );
 
       logger.info(`📤 Notification sent for "${item.Name}"`);
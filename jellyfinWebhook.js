@@ -11,6 +11,15 @@ import logger from "./utils/logger.js";
 import { fetchOMDbData } from "./api/omdb.js";
 import { findBestBackdrop } from "./api/tmdb.js";
 import { isValidUrl } from "./utils/url.js";
+import { getSeriesFollowers } from "./bot/follows.js";
+import { getDigestSchedule, queueDigestItem } from "./bot/notificationDigest.js";
+import { sendChannelMessage, sendDirectMessage } from "./bot/quietHours.js";
+import { getNotificationTemplate, renderEmbedTemplate } from "./bot/notificationTemplates.js";
+import {
+  normalizeLibraryConfig,
+  getLibraryTypeChannel,
+  getLibraryMentions,
+} from "./jellyfin/libraryResolver.js";
 
 const debouncedSenders = new Map();
 const sentNotifications = new Map();
@@ -96,7 +105,7 @@ function getItemLevel(itemType) {
 // and appends the provided path and optional hash fragment safely.
 // Always uses the configured JELLYFIN_BASE_URL — the webhook-provided ServerUrl
 // is not trusted as it could be poisoned via Jellyfin metadata.
-function buildJellyfinUrl(_baseUrl, appendPath, hash) {
+export function buildJellyfinUrl(_baseUrl, appendPath, hash) {
   const effectiveBaseUrl = process.env.JELLYFIN_BASE_URL;
 
   try {
@@ -143,12 +152,15 @@ async function processAndSendNotification(
   client,
   pendingRequests,
   targetChannelId = null,
-  episodeCount = 0,
-  episodeDetails = null,
-  seasonCount = 0,
-  seasonDetails = null,
-  isTestNotif = false,
-  onPendingRequestsChanged = null
+  {
+    episodeCount = 0,
+    episodeDetails = null,
+    seasonCount = 0,
+    seasonDetails = null,
+    isTestNotif = false,
+    onPendingRequestsChanged = null,
+    libraryConfig = null,
+  } = {}
 ) {
   const {
     ItemType,
@@ -184,16 +196,6 @@ async function processAndSendNotification(
     `${testPrefix}Webhook received: ItemType=${ItemType}, Name=${Name}, tmdbId=${tmdbId}, Provider_imdb=${data.Provider_imdb}`
   );
 
-  // Get embed customization settings from environment
-  const showBackdrop = process.env.EMBED_SHOW_BACKDROP !== "false";
-  const showOverview = process.env.EMBED_SHOW_OVERVIEW !== "false";
-  const showGenre = process.env.EMBED_SHOW_GENRE !== "false";
-  const showRuntime = process.env.EMBED_SHOW_RUNTIME !== "false";
-  const showRating = process.env.EMBED_SHOW_RATING !== "false";
-  const showButtonLetterboxd = process.env.EMBED_SHOW_BUTTON_LETTERBOXD !== "false";
-  const showButtonImdb = process.env.EMBED_SHOW_BUTTON_IMDB !== "false";
-  const showButtonWatch = process.env.EMBED_SHOW_BUTTON_WATCH !== "false";
-
   // Check if anyone requested this content
   const notifyEnabled = process.env.NOTIFY_ON_AVAILABLE === "true";
   let usersToNotify = [];
@@ -234,6 +236,15 @@ async function processAndSendNotification(
       `Notification check skipped: notifyEnabled=${notifyEnabled}, tmdbId=${tmdbId}, hasPendingRequests=${!!pendingRequests}`
     );
   }
+
+  // Series followers are kept after notifying, unlike pending requests.
+  // Requesters already get their own DM for this item.
+  const followersToNotify = isTestNotif
+    ? []
+    : (await getSeriesFollowers(data)).filter((id) => !usersToNotify.includes(id));
+  if (followersToNotify.length > 0) {
+    logger.info(`Found ${followersToNotify.length} follower(s) to notify for ${SeriesName || Name}`);
+  }
   let details = null;
   if (tmdbId) {
     // Check cache first
@@ -346,53 +357,86 @@ async function processAndSendNotification(
     }
   }
 
-  let embedTitle = "";
-  let authorName = "";
-
   // Clean names from Jellyfin metadata
   const cleanedName = cleanTitle(Name);
   // For Series items, SeriesName might be undefined, so fallback to Name
   const cleanedSeriesName = cleanTitle(SeriesName || Name);
 
-  switch (ItemType) {
-    case "Movie":
-      authorName = "🎬 New movie added!";
-      embedTitle = `${cleanedName || "Unknown Title"} (${Year || "?"})`;
-      break;
-    case "Series":
-      authorName = "📺 New TV show added!";
-      embedTitle = `${cleanedSeriesName || "Unknown Series"} (${Year || "?"})`;
-      break;
-    case "Season":
-      if (seasonCount > 1 && seasonDetails) {
-        authorName = `📺 ${seasonCount} new seasons added!`;
-        embedTitle = `${cleanedSeriesName || "Unknown Series"} (${Year || "?"})`;
-      } else {
-        authorName = "📺 New season added!";
-        embedTitle = `${cleanedSeriesName || "Unknown Series"} - Season ${SeasonNumber || IndexNumber || "?"}`;
-      }
-      break;
-    case "Episode":
-      if (episodeCount > 1 && episodeDetails) {
-        authorName = `📺 ${episodeCount} new episodes added!`;
-        embedTitle = `${cleanedSeriesName || "Unknown Series"} (${Year || "?"})`;
-      } else {
-        authorName = "📺 New episode added!";
-        const season = String(SeasonNumber || 1).padStart(2, "0");
-        const episode = String(EpisodeNumber || IndexNumber || 1).padStart(
-          2,
-          "0"
-        );
-        embedTitle = `${
-          cleanedSeriesName || "Unknown Series"
-        } - S${season}E${episode}`;
-      }
-      break;
-    default:
-      authorName = "✨ New item added";
-      embedTitle = cleanedName || "Unknown Title";
+  const isSeasonBatch = ItemType === "Season" && seasonCount > 1 && seasonDetails;
+  const isEpisodeBatch = ItemType === "Episode" && episodeCount > 1 && episodeDetails;
+
+  // Season list for multiple seasons
+  let seasonList = "";
+  if (isSeasonBatch && seasonDetails.seasons.length <= 10) {
+    seasonList = seasonDetails.seasons
+      .sort(
+        (a, b) =>
+          (a.SeasonNumber || a.IndexNumber || 0) -
+          (b.SeasonNumber || b.IndexNumber || 0)
+      )
+      .map((s) => {
+        const seasonNum = s.SeasonNumber || s.IndexNumber || "?";
+        return `**Season ${seasonNum}**: ${s.Name || `Season ${seasonNum}`}`;
+      })
+      .join("\n");
+  } else if (ItemType === "Season" && seasonCount > 10) {
+    seasonList = `${seasonCount} seasons (too many to list individually)`;
   }
 
+  // Episode list for multiple episodes
+  let episodeList = "";
+  if (isEpisodeBatch && episodeDetails.episodes.length <= 10) {
+    episodeList = episodeDetails.episodes
+      .sort((a, b) => (a.EpisodeNumber || 0) - (b.EpisodeNumber || 0))
+      .map((ep) => {
+        const seasonNum = String(ep.SeasonNumber || 1).padStart(2, "0");
+        const epNum = String(ep.EpisodeNumber || 0).padStart(2, "0");
+        return `**S${seasonNum}E${epNum}**: ${ep.Name || "Unknown Episode"}`;
+      })
+      .join("\n");
+  } else if (ItemType === "Episode" && episodeCount > 10) {
+    episodeList = `${episodeCount} episodes (too many to list individually)`;
+  }
+
+  const jellyfinUrl = buildJellyfinUrl(
+    ServerUrl,
+    "web/index.html",
+    `!/details?id=${ItemId}&serverId=${ServerId}`
+  );
+
+  const isTvItem = ["Series", "Season", "Episode"].includes(ItemType);
+  const seasonNumber =
+    ItemType === "Episode" ? SeasonNumber || 1 : SeasonNumber || IndexNumber || "?";
+  const templateValues = {
+    title: isTvItem
+      ? cleanedSeriesName || "Unknown Series"
+      : cleanedName || "Unknown Title",
+    year: Year || "?",
+    name: cleanedName || "Unknown Title",
+    season: seasonNumber,
+    episode: `S${String(seasonNumber).padStart(2, "0")}E${String(
+      EpisodeNumber || IndexNumber || 1
+    ).padStart(2, "0")}`,
+    count: ItemType === "Season" ? seasonCount : episodeCount,
+    quality: qualityInfo,
+    genres: genreList,
+    // A batch of episodes has no single summary to show
+    overview: isEpisodeBatch ? "" : overviewText,
+    credits: headerLine,
+    runtime,
+    rating,
+    seasons: seasonList,
+    episodes: episodeList,
+    url: isValidUrl(jellyfinUrl) ? jellyfinUrl : "",
+  };
+
+  const template = getNotificationTemplate(ItemType);
+  const rendered = renderEmbedTemplate(template, templateValues, {
+    batch: Boolean(isSeasonBatch || isEpisodeBatch),
+  });
+  const embedTitle = rendered.title;
+  templateValues.headline = embedTitle;
+
   // Smart color coding based on content type and count
   // Use custom colors from config or fallback to defaults
   let embedColor = process.env.EMBED_COLOR_EPISODE_SINGLE || "#89b4fa"; // Default blue for episodes
@@ -412,118 +456,14 @@ async function processAndSendNotification(
     }
   }
 
-  const embed = new EmbedBuilder()
-    .setAuthor({ name: authorName })
-    .setTitle(embedTitle);
-
-  // Only set URL if ServerUrl is valid
-  const jellyfinUrl = buildJellyfinUrl(
-    ServerUrl,
-    "web/index.html",
-    `!/details?id=${ItemId}&serverId=${ServerId}`
-  );
-  if (isValidUrl(jellyfinUrl)) {
-    embed.setURL(jellyfinUrl);
-  }
-
-  embed.setColor(embedColor);
-
-  // Add fields based on ItemType
-  if (ItemType === "Episode" && episodeCount <= 1) {
-    // Single episode: show overview
-    if (showOverview && overviewText) {
-      embed.addFields({ name: "Episode Summary", value: overviewText });
-    }
-  } else if (ItemType === "Season") {
-    // Seasons: no fields
-  } else {
-    // Movies and Series: Summary, Genre, Runtime, Rating
-    const fields = [];
-    
-    if (showOverview) {
-      fields.push({ name: headerLine, value: overviewText || "No description available." });
-    }
-    
-    if (showGenre) {
-      fields.push({ name: "Genre", value: genreList || "Unknown", inline: true });
-    }
-    
-    if (showRuntime) {
-      fields.push({ name: "Runtime", value: runtime || "Unknown", inline: true });
-    }
-    
-    if (showRating) {
-      fields.push({ name: "Rating", value: rating || "N/A", inline: true });
-    }
-    
-    if (fields.length > 0) {
-      embed.addFields(...fields);
-    }
-  }
-
-  // Add season list for multiple seasons
-  if (ItemType === "Season" && seasonCount > 1 && seasonDetails && seasonDetails.seasons.length <= 10) {
-    const seasonList = seasonDetails.seasons
-      .sort(
-        (a, b) =>
-          (a.SeasonNumber || a.IndexNumber || 0) -
-          (b.SeasonNumber || b.IndexNumber || 0)
-      )
-      .map((s) => {
-        const seasonNum = s.SeasonNumber || s.IndexNumber || "?";
-        return `**Season ${seasonNum}**: ${s.Name || `Season ${seasonNum}`}`;
-      })
-      .join("\n");
-
-    embed.addFields({
-      name: "Seasons Added",
-      value: seasonList,
-      inline: false,
-    });
-  } else if (ItemType === "Season" && seasonCount > 10) {
-    embed.addFields({
-      name: "Seasons Added",
-      value: `${seasonCount} seasons (too many to list individually)`,
-      inline: false,
-    });
-  }
-
-  // Add episode list for multiple episodes
-  if (ItemType === "Episode") {
-    if (
-      episodeCount > 1 &&
-      episodeDetails &&
-      episodeDetails.episodes.length <= 10
-    ) {
-      const episodeList = episodeDetails.episodes
-        .sort((a, b) => (a.EpisodeNumber || 0) - (b.EpisodeNumber || 0))
-        .map((ep) => {
-          const seasonNum = String(ep.SeasonNumber || 1).padStart(2, "0");
-          const epNum = String(ep.EpisodeNumber || 0).padStart(2, "0");
-          return `**S${seasonNum}E${epNum}**: ${ep.Name || "Unknown Episode"}`;
-        })
-        .join("\n");
-
-      embed.addFields({
-        name: "Episodes Added",
-        value: episodeList,
-        inline: false,
-      });
-    } else if (episodeCount > 10) {
-      embed.addFields({
-        name: "Episodes Added",
-        value: `${episodeCount} episodes (too many to list individually)`,
-        inline: false,
-      });
-    }
-  }
+  const embed = buildTemplateEmbed(rendered, embedColor, jellyfinUrl);
 
   const backdropPath = details ? findBestBackdrop(details) : null;
   const backdrop = backdropPath
     ? `https://image.tmdb.org/t/p/w1280${backdropPath}`
     : buildJellyfinUrl(ServerUrl, `Items/${ItemId}/Images/Backdrop`);
   
-  if (showBackdrop && isValidUrl(backdrop)) {
+  if (template.backdrop && isValidUrl(backdrop)) {
     embed.setImage(backdrop);
   }
 
@@ -533,58 +473,35 @@ async function processAndSendNotification(
     if (isValidUrl(posterUrl)) embed.setThumbnail(posterUrl);
   }
 
-  const buttonComponents = [];
+  const buttons = buildLinkButtons(template.buttons, imdbId, jellyfinUrl);
 
-  if (imdbId) {
-    if (showButtonLetterboxd) {
-      const letterboxdUrl = `https://letterboxd.com/imdb/${imdbId}`;
-      if (isValidUrl(letterboxdUrl)) {
-        buttonComponents.push(
-          new ButtonBuilder()
-            .setStyle(ButtonStyle.Link)
-            .setLabel("Letterboxd")
-            .setURL(letterboxdUrl)
-        );
-      }
-    }
-    
-    if (showButtonImdb) {
-      const imdbUrl = `https://www.imdb.com/title/${imdbId}/`;
-      if (isValidUrl(imdbUrl)) {
-        buttonComponents.push(
-          new ButtonBuilder()
-            .setStyle(ButtonStyle.Link)
-            .setLabel("IMDb")
-            .setURL(imdbUrl)
-        );
+  // Followers get the same grouped embed as the channel, sent before the
+  // channel checks so they still hear about item types the channel skips
+  for (const userId of followersToNotify) {
+    try {
+      const user = await client.users.fetch(userId);
+      const followerEmbed = EmbedBuilder.from(embed.toJSON()).setFooter({
+        text: "You follow this series • /following to manage",
+      });
+      const messageOptions = { embeds: [followerEmbed] };
+      if (buttons) {
+        messageOptions.components = [buttons];
       }
-    }
-  }
-
-  if (showButtonWatch) {
-    const watchUrl = buildJellyfinUrl(
-      ServerUrl,
-      "web/index.html",
-      `!/details?id=${ItemId}&serverId=${ServerId}`
-    );
-    if (isValidUrl(watchUrl)) {
-      buttonComponents.push(
-        new ButtonBuilder()
-          .setStyle(ButtonStyle.Link)
-          .setLabel("▶ Watch Now!")
-          .setURL(watchUrl)
+      await sendDirectMessage(user, messageOptions);
+      logger.info(`Sent follower DM to user ${userId} for ${embedTitle}`);
+    } catch (err) {
+      logger.error(
+        `Failed to send follower DM to user ${userId}:`,
+        err?.message || err
       );
-    } else {
-      logger.warn(`Invalid watch URL generated: ${watchUrl}. Skipping watch button.`);
     }
   }
 
-  const buttons = buttonComponents.length > 0 ? new ActionRowBuilder().addComponents(buttonComponents) : null;
-
   // Select channel with priority hierarchy:
-  // 1. Episode/Season specific channel (if enabled and configured)
-  // 2. Library-specific channel (targetChannelId)
-  // 3. Default Jellyfin channel
+  // 1. Library channel for this content type (if configured)
+  // 2. Episode/Season specific channel (if enabled and configured)
+  // 3. Library-specific channel (targetChannelId)
+  // 4. Default Jellyfin channel
   let channelId;
   
   if (ItemType === "Episode") {
@@ -626,11 +543,53 @@ async function processAndSendNotification(
     channelId = targetChannelId || process.env.JELLYFIN_CHANNEL_ID;
   }
 
+  const libraryTypeChannelId = getLibraryTypeChannel(libraryConfig, ItemType);
+  if (libraryTypeChannelId) {
+    channelId = libraryTypeChannelId;
+    logger.debug(`Using library ${ItemType} channel: ${channelId}`);
+  }
+
   if (!channelId) {
     logger.error(`❌ No Discord channel configured for ${ItemType} "${data.Name}" — set JELLYFIN_CHANNEL_ID or configure a library channel in the dashboard`);
     return;
   }
 
+  // Digest channels get a periodic summary instead of one post per item.
+  // Requesters are still notified right away.
+  const digestSchedule = isTestNotif ? null : getDigestSchedule(channelId);
+  if (digestSchedule) {
+    queueDigestItem(channelId, {
+      itemType: ItemType,
+      title: ItemType === "Movie" ? cleanedName : cleanedSeriesName,
+      year: Year,
+      seriesKey: SeriesId || null,
+      url: jellyfinUrl,
+      posterUrl: details?.poster_path
+        ? `https://image.tmdb.org/t/p/w342${details.poster_path}`
+        : null,
+      seasons:
+        ItemType === "Season"
+          ? (seasonDetails?.seasons || [data]).map((s) => s.SeasonNumber || s.IndexNumber)
+          : [],
+      episodes:
+        ItemType === "Episode"
+          ? (episodeDetails?.episodes || [data]).map((ep) => ({
+              season: ep.SeasonNumber || ep.ParentIndexNumber || 1,
+              episode: ep.EpisodeNumber || ep.IndexNumber,
+            }))
+          : [],
+    });
+    logger.info(`📰 Queued "${embedTitle}" for the ${digestSchedule} digest in channel ${channelId}`);
+
+    await sendRequesterDMs(client, usersToNotify, {
+      values: templateValues,
+      jellyfinUrl,
+      imdbId,
+      backdropPath,
+    });
+    return;
+  }
+
   let channel;
   try {
     channel = await client.channels.fetch(channelId);
@@ -669,22 +628,36 @@ async function processAndSendNotification(
 
   let sentMessage;
   try {
+    // Only the library's mention roles can be pinged by this message
+    const mentionRoleIds = isTestNotif
+      ? []
+      : getLibraryMentions(libraryConfig, ItemType, Video_0_Height);
     const messageOptions = {
       embeds: [embed],
+      allowedMentions: { parse: [], roles: mentionRoleIds },
     };
+
+    if (mentionRoleIds.length > 0) {
+      messageOptions.content = mentionRoleIds.map((roleId) => `<@&${roleId}>`).join(" ");
+    }
     
     if (buttons) {
       messageOptions.components = [buttons];
     }
     
-    sentMessage = await channel.send(messageOptions);
+    // Test notifications skip quiet hours so the setup can be checked at any time
+    sentMessage = isTestNotif
+      ? await channel.send(messageOptions)
+      : await sendChannelMessage(channel, messageOptions);
   } catch (error) {
     logger.error(`Failed to send Discord message:`, error);
     throw new Error(`Failed to send Discord notification: ${error.message}`);
   }
 
-  // Store message reference for future edits (batched episodes only)
+  // Store message reference for future edits (batched episodes only).
+  // Messages held for quiet hours have nothing to edit yet.
   if (
+    sentMessage &&
     ItemType === "Episode" &&
     episodeCount > 1 &&
     episodeDetails &&
@@ -702,66 +675,118 @@ async function processAndSendNotification(
     }, 6 * 60 * 60 * 1000); // 6 hours
   }
   
-  logger.info(`${testPrefix}Sent notification for: ${embedTitle}`);
+  logger.info(
+    `${testPrefix}${sentMessage ? "Sent" : "Held"} notification for: ${embedTitle}`
+  );
 
   // Send DMs to users who requested this content
-  if (usersToNotify.length > 0) {
-    for (const userId of usersToNotify) {
-      try {
-        const user = await client.users.fetch(userId);
-        const dmEmbed = new EmbedBuilder()
-          .setAuthor({ name: "✅ Your request is now available!" })
-          .setTitle(embedTitle);
-
-        const dmJellyfinUrl = buildJellyfinUrl(
-          ServerUrl,
-          "web/index.html",
-          `!/details?id=${ItemId}&serverId=${ServerId}`
-        );
-        if (isValidUrl(dmJellyfinUrl)) {
-          dmEmbed.setURL(dmJellyfinUrl);
-        }
-        dmEmbed
-          .setColor(process.env.EMBED_COLOR_SUCCESS || "#a6e3a1")
-          .setDescription(
-            `${
-              Name || SeriesName || "Your requested content"
-            } is now available on Jellyfin!`
-          )
-          .addFields(
-            { name: "Genre", value: genreList, inline: true },
-            { name: "Runtime", value: runtime, inline: true },
-            { name: "Rating", value: rating, inline: true }
-          );
+  await sendRequesterDMs(client, usersToNotify, {
+    values: templateValues,
+    jellyfinUrl,
+    imdbId,
+    backdropPath,
+  });
+}
 
-        if (backdropPath) {
-          const backdropUrl = `https://image.tmdb.org/t/p/w1280${backdropPath}`;
-          if (isValidUrl(backdropUrl)) {
-            dmEmbed.setImage(backdropUrl);
-          }
-        }
+// Author, title, description, fields and footer of a rendered template.
+// Discord rejects empty embed parts, so those are left unset.
+function buildTemplateEmbed(rendered, color, url) {
+  const embed = new EmbedBuilder().setColor(color);
+  if (rendered.author) embed.setAuthor({ name: rendered.author });
+  if (rendered.title) embed.setTitle(rendered.title);
+  if (isValidUrl(url)) embed.setURL(url);
+  if (rendered.description) embed.setDescription(rendered.description);
+  if (rendered.fields.length > 0) embed.addFields(...rendered.fields);
+  if (rendered.footer) embed.setFooter({ text: rendered.footer });
+  return embed;
+}
+
+function buildLinkButtons(buttons, imdbId, watchUrl) {
+  const buttonComponents = [];
 
-        const dmButtons = isValidUrl(dmJellyfinUrl) ? new ActionRowBuilder().addComponents(
+  if (imdbId) {
+    if (buttons.letterboxd) {
+      const letterboxdUrl = `https://letterboxd.com/imdb/${imdbId}`;
+      if (isValidUrl(letterboxdUrl)) {
+        buttonComponents.push(
           new ButtonBuilder()
             .setStyle(ButtonStyle.Link)
-            .setLabel("▶ Watch Now!")
-            .setURL(dmJellyfinUrl)
-        ) : null;
+            .setLabel("Letterboxd")
+            .setURL(letterboxdUrl)
+        );
+      }
+    }
 
-        const messageOptions = { embeds: [dmEmbed] };
-        if (dmButtons) {
-          messageOptions.components = [dmButtons];
-        }
-        await user.send(messageOptions);
-        logger.info(`Sent DM notification to user ${userId} for ${embedTitle}`);
-      } catch (err) {
-        logger.error(
-          `Failed to send DM to user ${userId}:`,
-          err?.message || err
+    if (buttons.imdb) {
+      const imdbUrl = `https://www.imdb.com/title/${imdbId}/`;
+      if (isValidUrl(imdbUrl)) {
+        buttonComponents.push(
+          new ButtonBuilder()
+            .setStyle(ButtonStyle.Link)
+            .setLabel("IMDb")
+            .setURL(imdbUrl)
         );
       }
     }
   }
+
+  if (buttons.watch) {
+    if (isValidUrl(watchUrl)) {
+      buttonComponents.push(
+        new ButtonBuilder()
+          .setStyle(ButtonStyle.Link)
+          .setLabel("▶ Watch Now!")
+          .setURL(watchUrl)
+      );
+    } else {
+      logger.warn(`Invalid watch URL generated: ${watchUrl}. Skipping watch button.`);
+    }
+  }
+
+  return buttonComponents.length > 0
+    ? new ActionRowBuilder().addComponents(buttonComponents)
+    : null;
+}
+
+async function sendRequesterDMs(
+  client,
+  usersToNotify,
+  { values, jellyfinUrl, imdbId, backdropPath }
+) {
+  if (usersToNotify.length === 0) return;
+
+  const template = getNotificationTemplate("DM");
+  const dmEmbed = buildTemplateEmbed(
+    renderEmbedTemplate(template, values),
+    process.env.EMBED_COLOR_SUCCESS || "#a6e3a1",
+    jellyfinUrl
+  );
+
+  if (template.backdrop && backdropPath) {
+    const backdropUrl = `https://image.tmdb.org/t/p/w1280${backdropPath}`;
+    if (isValidUrl(backdropUrl)) {
+      dmEmbed.setImage(backdropUrl);
+    }
+  }
+
+  const dmButtons = buildLinkButtons(template.buttons, imdbId, jellyfinUrl);
+
+  for (const userId of usersToNotify) {
+    try {
+      const user = await client.users.fetch(userId);
+      const messageOptions = { embeds: [dmEmbed] };
+      if (dmButtons) {
+        messageOptions.components = [dmButtons];
+      }
+      await sendDirectMessage(user, messageOptions);
+      logger.info(`Sent DM notification to user ${userId} for ${values.headline}`);
+    } catch (err) {
+      logger.error(
+        `Failed to send DM to user ${userId}:`,
+        err?.message || err
+      );
+    }
+  }
 }
 
 export { processAndSendNotification, libraryCache };
@@ -880,6 +905,7 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
     // Parse notification libraries from config (supports both array and object format)
     let notificationLibraries = {};
     let libraryChannelId = null;
+    let libraryConfig = null;
 
     // Check if this is a test notification - if so, use default channel
     if (isTestNotification) {
@@ -918,8 +944,9 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
         libraryId in notificationLibraries
       ) {
         // Library found in configuration - use its specific channel or default if empty
+        libraryConfig = normalizeLibraryConfig(notificationLibraries[libraryId]);
         libraryChannelId =
-          notificationLibraries[libraryId] || process.env.JELLYFIN_CHANNEL_ID;
+          libraryConfig.channelId || process.env.JELLYFIN_CHANNEL_ID;
         logger.info(
           `✅ Using channel: ${libraryChannelId} for configured library: ${libraryId}`
       );
@@ -974,12 +1001,11 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
         client,
         pendingRequests,
         libraryChannelId,
-        0,
-        null,
-        0,
-        null,
-        isTestMovie,
-        onPendingRequestsChanged
+        {
+          isTestNotif: isTestMovie,
+          onPendingRequestsChanged,
+          libraryConfig,
+        }
       );
 
       // Mark this movie as notified
@@ -1098,12 +1124,11 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
           client,
           pendingRequests,
           libraryChannelId,
-          0,
-          null,
-          0,
-          null,
-          isTestNotification,
-          onPendingRequestsChanged
+          {
+            isTestNotif: isTestNotification,
+            onPendingRequestsChanged,
+            libraryConfig,
+          }
         );
         if (res)
           return res
@@ -1120,12 +1145,11 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
           client,
           pendingRequests,
           libraryChannelId,
-          0,
-          null,
-          0,
-          null,
-          isTestNotification,
-          onPendingRequestsChanged
+          {
+            isTestNotif: isTestNotification,
+            onPendingRequestsChanged,
+            libraryConfig,
+          }
         );
         if (res)
           return res
@@ -1195,12 +1219,15 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
                 client,
                 pendingRequests,
                 libraryChannelId,
-                episodeCount,
-                episodeDetails,
-                seasonCount,
-                seasonDetails,
-                isBatchTestNotif,
-                onPendingRequestsChanged
+                {
+                  episodeCount,
+                  episodeDetails,
+                  seasonCount,
+                  seasonDetails,
+                  isTestNotif: isBatchTestNotif,
+                  onPendingRequestsChanged,
+                  libraryConfig,
+                }
               );
 
               const levelSent = getItemLevel(latestData.ItemType);
@@ -1482,12 +1509,11 @@ export async function handleJellyfinWebhook(req, res, client, pendingRequests, o
       client,
       pendingRequests,
       libraryChannelId,
-      0,
-      null,
-      0,
-      null,
-      isUnknownTest,
-      onPendingRequestsChanged
+      {
+        isTestNotif: isUnknownTest,
+        onPendingRequestsChanged,
+        libraryConfig,
+      }
     );
     if (res) return res.status(200).send("OK: Notification sent.");
   } catch (err) {
@@ -1,5 +1,6 @@
 export const configTemplate = {
   LANGUAGE: "en",
+  TIMEZONE: "",
   DISCORD_TOKEN: "",
   BOT_ID: "",
   GUILD_ID: "",
@@ -13,7 +14,15 @@ export const configTemplate = {
   JELLYFIN_CHANNEL_ID: "",
   JELLYFIN_EPISODE_CHANNEL_ID: "",
   JELLYFIN_SEASON_CHANNEL_ID: "",
+  JELLYFIN_ACTIVITY_CHANNEL_ID: "",
   JELLYFIN_NOTIFICATION_LIBRARIES: {},
+  NOTIFICATION_DIGEST_CHANNELS: {},
+  NOTIFICATION_DIGEST_HOUR: "9",
+  QUIET_HOURS_CHANNEL_START: "",
+  QUIET_HOURS_CHANNEL_END: "",
+  QUIET_HOURS_DM_START: "",
+  QUIET_HOURS_DM_END: "",
+  QUIET_HOURS_MERGE: "true",
   JELLYFIN_NOTIFY_MOVIES: "true",
   JELLYFIN_NOTIFY_SERIES: "true",
   JELLYFIN_NOTIFY_SEASONS: "false",
@@ -41,6 +50,7 @@ export const configTemplate = {
   EMBED_SHOW_BUTTON_LETTERBOXD: "true",
   EMBED_SHOW_BUTTON_IMDB: "true",
   EMBED_SHOW_BUTTON_WATCH: "true",
+  NOTIFICATION_TEMPLATES: {},
   EMBED_COLOR_MOVIE: "#cba6f7",
   EMBED_COLOR_SERIES: "#cba6f7",
   EMBED_COLOR_SEASON: "#89b4fa",
@@ -52,5 +62,28 @@ export const configTemplate = {
   DAILY_RANDOM_PICK_ENABLED: "false",
   DAILY_RANDOM_PICK_CHANNEL_ID: "",
   DAILY_RANDOM_PICK_INTERVAL: "1440",
+  UPCOMING_CALENDAR_CHANNEL_ID: "",
+  UPCOMING_CALENDAR_DAY: "1",
+  UPCOMING_CALENDAR_HOUR: "9",
+  SCHEDULED_EVENTS_ENABLED: "false",
+  SCHEDULED_EVENTS_CHANNEL_ID: "",
   SEERR_AUTO_APPROVE: "true",
+  APPROVALS_CHANNEL_ID: "",
+  APPROVALS_INCLUDE_ALL_PENDING: "false",
+  APPROVAL_ADMIN_ROLES: [],
+  AUTO_APPROVE_ROLES: [],
+  REQUEST_QUOTAS: [],
+  ROUTING_RULES: [],
+  SEERR_WEBHOOK_CHANNEL_ID: "",
+  SEERR_WEBHOOK_DM_REQUESTER: "true",
+  SEERR_NOTIFY_MEDIA_PENDING: "false",
+  SEERR_NOTIFY_MEDIA_APPROVED: "true",
+  SEERR_NOTIFY_MEDIA_AUTO_APPROVED: "false",
+  SEERR_NOTIFY_MEDIA_DECLINED: "true",
+  SEERR_NOTIFY_MEDIA_AVAILABLE: "false",
+  SEERR_NOTIFY_MEDIA_FAILED: "true",
+  SEERR_NOTIFY_ISSUE_CREATED: "true",
+  SEERR_NOTIFY_ISSUE_COMMENT: "false",
+  SEERR_NOTIFY_ISSUE_RESOLVED: "true",
+  SEERR_NOTIFY_ISSUE_REOPENED: "false",
 };
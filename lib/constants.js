@@ -25,6 +25,7 @@ export const TIMEOUTS = {
   SEERR_API: 8000, // Seerr API calls (GET)
   SEERR_POST: 10000, // Seerr API calls (POST - longer for requests)
   JELLYFIN_API: 5000, // Jellyfin API calls
+  LETTERBOXD: 5000, // Letterboxd film pages (link resolving)
   DEFAULT: 8000, // Default timeout for other operations
 };
 
@@ -83,3 +84,21 @@ export const DEFAULTS = {
   PRIVATE_MESSAGE_MODE: false,
   DEBUG: false,
 };
+
+// Seerr Media Status (mediaInfo.status)
+export const MEDIA_STATUS = {
+  UNKNOWN: 1,
+  PENDING: 2,
+  PROCESSING: 3,
+  PARTIALLY_AVAILABLE: 4,
+  AVAILABLE: 5,
+};
+
+// Seerr Request Status (request.status)
+export const REQUEST_STATUS = {
+  PENDING: 1,
+  APPROVED: 2,
+  DECLINED: 3,
+  FAILED: 4,
+  COMPLETED: 5,
+};
@@ -3,6 +3,12 @@ import rateLimit from "express-rate-limit";
 import { createRequire } from "module";
 import { authenticateToken } from "../utils/auth.js";
 import { botState } from "../bot/botState.js";
+import { stopApprovalSync } from "../bot/approvals.js";
+import { stopActivityChannel } from "../bot/nowPlaying.js";
+import { stopUpcomingCalendar } from "../bot/upcoming.js";
+import { stopEventSync } from "../bot/scheduledEvents.js";
+import { stopNotificationDigests } from "../bot/notificationDigest.js";
+import { stopOutboxDelivery } from "../bot/quietHours.js";
 import cache from "../utils/cache.js";
 import logger from "../utils/logger.js";
 
@@ -106,6 +112,14 @@ export function createBotRoutes({ startBot, jellyfinPoller }) {
       logger.error("Error stopping Jellyfin poller:", error);
     }
 
+    // Timers would otherwise keep running against the destroyed client
+    stopApprovalSync();
+    stopActivityChannel();
+    stopUpcomingCalendar();
+    stopEventSync();
+    stopNotificationDigests();
+    stopOutboxDelivery();
+
     await botState.discordClient.destroy();
     botState.isBotRunning = false;
     botState.discordClient = null;
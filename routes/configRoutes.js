@@ -6,6 +6,11 @@ import { readConfig } from "../utils/configFile.js";
 import { sanitizeConfigForClient } from "../utils/configSanitize.js";
 import { WEBHOOK_SECRET } from "../utils/auth.js";
 import { configTemplate } from "../lib/config.js";
+import {
+  getDefaultTemplates,
+  getNotificationTemplates,
+  TEMPLATE_PLACEHOLDERS,
+} from "../bot/notificationTemplates.js";
 import logger from "../utils/logger.js";
 
 const router = Router();
@@ -28,6 +33,17 @@ router.get("/webhook-secret", authenticateToken, (req, res) => {
   res.json({ secret: WEBHOOK_SECRET || null });
 });
 
+// Defaults follow the saved EMBED_SHOW_* toggles; the editor only saves
+// templates that differ from them
+router.get("/notification-templates", authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    templates: getNotificationTemplates(),
+    defaults: getDefaultTemplates(),
+    placeholders: TEMPLATE_PLACEHOLDERS,
+  });
+});
+
 router.get("/languages", async (req, res) => {
   try {
     const localesDir = path.join(process.cwd(), "locales");
@@ -0,0 +1,84 @@
+import express, { Router } from "express";
+import rateLimit from "express-rate-limit";
+import { authenticateToken } from "../utils/auth.js";
+import { toCsv } from "../utils/csv.js";
+import {
+  createImportJob,
+  getImportJob,
+  submitImportJob,
+  getImportReport,
+  REPORT_COLUMNS,
+} from "../bot/bulkImport.js";
+
+const router = Router();
+
+// The dashboard polls import progress every couple of seconds, which would
+// use up the general API limit during a long import
+const importLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { success: false, error: "Too many requests, please try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// The file is sent as raw text so large lists aren't capped by the JSON body limit
+router.post(
+  "/import",
+  importLimiter,
+  authenticateToken,
+  express.text({ type: "*/*", limit: "2mb" }),
+  (req, res) => {
+    if (!process.env.SEERR_URL || !process.env.SEERR_API_KEY || !process.env.TMDB_API_KEY) {
+      return res.status(400).json({
+        success: false,
+        message: "Seerr and TMDB must be configured before importing.",
+      });
+    }
+
+    const result = createImportJob(typeof req.body === "string" ? req.body : "");
+    if (!result.success) return res.status(400).json(result);
+    res.json(result);
+  }
+);
+
+router.get("/import/:jobId", importLimiter, authenticateToken, (req, res) => {
+  const job = getImportJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: "This import has expired. Upload the file again.",
+    });
+  }
+  res.json({ success: true, job });
+});
+
+router.post("/import/:jobId/submit", importLimiter, authenticateToken, (req, res) => {
+  const { rows, discordUserId, autoApprove } = req.body || {};
+  const result = submitImportJob(req.params.jobId, Array.isArray(rows) ? rows : [], {
+    discordUserId: typeof discordUserId === "string" ? discordUserId : null,
+    autoApprove: autoApprove === true,
+  });
+  if (!result.success) return res.status(400).json(result);
+  res.json(result);
+});
+
+router.get("/import/:jobId/report", importLimiter, authenticateToken, (req, res) => {
+  const report = getImportReport(req.params.jobId);
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: "This import has expired. Upload the file again.",
+    });
+  }
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="anchorr-import-${date}.csv"`
+  );
+  res.send(toCsv(REPORT_COLUMNS, report));
+});
+
+export default router;
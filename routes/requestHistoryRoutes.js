@@ -0,0 +1,98 @@
+import { Router } from "express";
+import { authenticateToken } from "../utils/auth.js";
+import { getRequestHistory } from "../bot/requestHistory.js";
+import { toCsv } from "../utils/csv.js";
+
+const router = Router();
+
+const SORT_FIELDS = ["createdAt", "updatedAt", "title", "discordUsername", "outcome"];
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "updatedAt",
+  "discordUserId",
+  "discordUsername",
+  "seerrUserId",
+  "seerrRequestId",
+  "tmdbId",
+  "mediaType",
+  "title",
+  "seasons",
+  "tags",
+  "serverId",
+  "profileId",
+  "rootFolder",
+  "autoApprove",
+  "autoApproveReason",
+  "source",
+  "outcome",
+  "error",
+];
+
+// Shared by the list and CSV routes so the export matches what is on screen
+function queryHistory(query) {
+  const { search, mediaType, outcome, discordUserId, from, to } = query;
+  const sort = SORT_FIELDS.includes(query.sort) ? query.sort : "createdAt";
+  const order = query.order === "asc" ? 1 : -1;
+  const term = typeof search === "string" ? search.trim().toLowerCase() : "";
+  const fromTime = from ? Date.parse(from) : NaN;
+  // "to" is a date, so include the whole day
+  const toTime = to ? Date.parse(to) + 24 * 60 * 60 * 1000 : NaN;
+
+  return getRequestHistory()
+    .filter((entry) => {
+      if (mediaType && entry.mediaType !== mediaType) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      if (discordUserId && entry.discordUserId !== discordUserId) return false;
+
+      const createdAt = Date.parse(entry.createdAt);
+      if (!isNaN(fromTime) && createdAt < fromTime) return false;
+      if (!isNaN(toTime) && createdAt >= toTime) return false;
+
+      if (term) {
+        const haystack = [
+          entry.title,
+          entry.discordUsername,
+          entry.discordUserId,
+          entry.tmdbId,
+          ...(entry.tags || []),
+        ]
+          .filter((v) => v !== null && v !== undefined)
+          .join(" ")
+          .toLowerCase();
+        if (!haystack.includes(term)) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => {
+      const left = String(a[sort] ?? "").toLowerCase();
+      const right = String(b[sort] ?? "").toLowerCase();
+      return left < right ? -order : left > right ? order : 0;
+    });
+}
+
+router.get("/request-history", authenticateToken, (req, res) => {
+  const results = queryHistory(req.query);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  res.json({
+    success: true,
+    total: results.length,
+    results: results.slice(offset, offset + limit),
+  });
+});
+
+router.get("/request-history/export", authenticateToken, (req, res) => {
+  const results = queryHistory(req.query);
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="anchorr-requests-${date}.csv"`
+  );
+  res.send(toCsv(CSV_COLUMNS, results));
+});
+
+export default router;
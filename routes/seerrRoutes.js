@@ -5,6 +5,9 @@ import { isMaskedValue } from "../utils/configSanitize.js";
 import { TIMEOUTS } from "../lib/constants.js";
 import { getSeerrApiUrl, normalizeSeerrUrl } from "../utils/seerrUrl.js";
 import * as seerrApi from "../api/seerr.js";
+import * as tmdbApi from "../api/tmdb.js";
+import { findRoutingRule, buildRoute, getRoutingRules } from "../bot/routing.js";
+import { parseQualityAndServerOptions } from "../bot/botUtils.js";
 import { getUserMappings } from "../utils/configFile.js";
 import { botState } from "../bot/botState.js";
 import logger from "../utils/logger.js";
@@ -329,4 +332,80 @@ router.get("/seerr/sync-preview", authenticateToken, async (_req, res) => {
   }
 });
 
+// Shows which routing rule a request would match without sending anything to
+// Seerr. Accepts the editor's unsaved rules so they can be tested before saving.
+router.post("/seerr/routing-dry-run", authenticateToken, async (req, res) => {
+  const { discordUserId, title, tags, rules } = req.body || {};
+  if (!discordUserId || !title) {
+    return res.status(400).json({ success: false, message: "Discord user and title are required." });
+  }
+
+  const tmdbApiKey = process.env.TMDB_API_KEY;
+  if (!tmdbApiKey) {
+    return res.status(400).json({ success: false, message: "TMDB API key is not configured." });
+  }
+
+  try {
+    let roleIds = [];
+    let memberFound = false;
+    const guild = botState.discordClient?.guilds?.cache.get(process.env.GUILD_ID);
+    if (guild) {
+      const member = await guild.members.fetch(String(discordUserId)).catch(() => null);
+      if (member) {
+        roleIds = member.roles.cache.map((r) => r.id);
+        memberFound = true;
+      }
+    }
+
+    // Same input format as the /request autocomplete: "tmdbId|mediaType" or a title
+    let tmdbId, mediaType;
+    if (String(title).includes("|")) {
+      [tmdbId, mediaType] = String(title).split("|");
+    } else {
+      const results = await tmdbApi.tmdbSearch(String(title), tmdbApiKey);
+      const found = results.find((r) => r.media_type === "movie" || r.media_type === "tv");
+      if (found) {
+        tmdbId = found.id;
+        mediaType = found.media_type;
+      }
+    }
+
+    if (!tmdbId || (mediaType !== "movie" && mediaType !== "tv")) {
+      return res.status(404).json({ success: false, message: "No movie or TV show found for that title." });
+    }
+
+    const details = await tmdbApi.tmdbGetDetails(tmdbId, mediaType, tmdbApiKey);
+    const tagLabels = Array.isArray(tags) ? tags.map(String) : [];
+    const ruleList = Array.isArray(rules)
+      ? rules.filter((rule) => rule && typeof rule === "object")
+      : getRoutingRules();
+
+    const match = findRoutingRule({ roleIds, mediaType, details, tags: tagLabels }, ruleList);
+    const route = match ? buildRoute(match) : null;
+    const { profileId, serverId, rootFolder } = parseQualityAndServerOptions({}, mediaType, route);
+
+    res.json({
+      success: true,
+      memberFound,
+      media: {
+        tmdbId: Number(tmdbId),
+        mediaType,
+        title: details.title || details.name,
+        genres: (details.genres || []).map((g) => g.name),
+        language: details.original_language || null,
+      },
+      rule: route ? { index: route.index, name: route.name } : null,
+      target: {
+        profileId,
+        serverId,
+        rootFolder,
+        tags: [...new Set([...tagLabels, ...(route?.tags || [])])],
+      },
+    });
+  } catch (err) {
+    logger.error("[ROUTING] Dry run failed:", err);
+    res.status(500).json({ success: false, message: "Dry run failed — check server logs." });
+  }
+});
+
 export default router;
@@ -57,6 +57,7 @@ router.post(
       discordUsername,
       discordDisplayName,
       seerrDisplayName,
+      autoApprove,
     } = req.body;
 
     if (!discordUserId || !seerrUserId) {
@@ -67,12 +68,22 @@ router.post(
     }
 
     try {
+      // Keep an existing auto-approve override when the caller doesn't send one
+      // (e.g. metadata refreshes from the dashboard)
+      const existing = getUserMappings().find(
+        (m) => String(m.discordUserId) === String(discordUserId)
+      );
+      const override = autoApprove ?? existing?.autoApprove;
+
       const mapping = {
         discordUserId,
         seerrUserId,
         discordUsername: discordUsername || null,
         discordDisplayName: discordDisplayName || null,
         seerrDisplayName: seerrDisplayName || null,
+        ...(override === "always" || override === "never"
+          ? { autoApprove: override }
+          : {}),
       };
 
       saveUserMapping(mapping);
@@ -0,0 +1,268 @@
+import { EmbedBuilder } from "discord.js";
+import logger from "./utils/logger.js";
+import { getUserMappings } from "./utils/configFile.js";
+import { normalizeSeerrUrl, getSeerrApiUrl } from "./utils/seerrUrl.js";
+import { isValidUrl } from "./utils/url.js";
+import { truncate } from "./utils/text.js";
+import { COLORS } from "./lib/constants.js";
+import {
+  postPendingApproval,
+  markApprovalHandled,
+  wasResolvedInDiscord,
+} from "./bot/approvals.js";
+import { updateRequestOutcome } from "./bot/requestHistory.js";
+import * as seerrApi from "./api/seerr.js";
+import { sendChannelMessage, sendDirectMessage } from "./bot/quietHours.js";
+
+// Seerr notification types we understand. Each one can be switched on/off
+// in the dashboard via SEERR_NOTIFY_<TYPE>.
+const SEERR_EVENTS = {
+  MEDIA_PENDING: { title: "🕒 New request pending approval", color: () => COLORS.WARNING },
+  MEDIA_APPROVED: { title: "👍 Request approved", color: () => COLORS.SUCCESS },
+  MEDIA_AUTO_APPROVED: { title: "🚀 Request automatically approved", color: () => COLORS.SUCCESS },
+  MEDIA_DECLINED: { title: "❌ Request declined", color: () => COLORS.ERROR },
+  MEDIA_AVAILABLE: { title: "✅ Request now available", color: () => COLORS.SUCCESS },
+  MEDIA_FAILED: { title: "⚠️ Request failed", color: () => COLORS.ERROR },
+  ISSUE_CREATED: { title: "🐞 New issue reported", color: () => COLORS.WARNING },
+  ISSUE_COMMENT: { title: "💬 New issue comment", color: () => COLORS.INFO },
+  ISSUE_RESOLVED: { title: "✅ Issue resolved", color: () => COLORS.SUCCESS },
+  ISSUE_REOPENED: { title: "🔁 Issue reopened", color: () => COLORS.WARNING },
+};
+
+// Events that are worth a DM to the person they concern. Issue creators
+// already know they created the issue, so ISSUE_CREATED is left out.
+const DM_EVENTS = new Set([
+  "MEDIA_APPROVED",
+  "MEDIA_AUTO_APPROVED",
+  "MEDIA_DECLINED",
+  "MEDIA_AVAILABLE",
+  "MEDIA_FAILED",
+  "ISSUE_COMMENT",
+  "ISSUE_RESOLVED",
+  "ISSUE_REOPENED",
+]);
+
+function isEventEnabled(type) {
+  return process.env[`SEERR_NOTIFY_${type}`] === "true";
+}
+
+// Seerr only sends the Discord ID when the user linked it in their Seerr
+// profile, so fall back to our own user mappings by username.
+function resolveDiscordUserId(discordId, username) {
+  if (discordId) return String(discordId);
+  if (!username) return null;
+
+  const mappings = getUserMappings();
+  const mapping = Array.isArray(mappings)
+    ? mappings.find(
+      (m) =>
+        (m.seerrUsername && m.seerrUsername === username) ||
+        (m.seerrDisplayName && m.seerrDisplayName === username)
+    )
+    : null;
+  return mapping ? String(mapping.discordUserId) : null;
+}
+
+function buildSeerrEventEmbed(payload, event) {
+  const { media, request, issue, comment } = payload;
+  const seerrUrl = normalizeSeerrUrl(process.env.SEERR_URL || "");
+
+  let url = null;
+  if (seerrUrl && issue?.issue_id) {
+    url = `${seerrUrl}/issues/${issue.issue_id}`;
+  } else if (seerrUrl && media?.tmdbId && media?.media_type) {
+    url = `${seerrUrl}/${media.media_type}/${media.tmdbId}`;
+  }
+
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: event.title })
+    .setTitle(truncate(payload.subject || "Seerr notification", 256))
+    .setColor(event.color());
+
+  if (isValidUrl(url)) embed.setURL(url);
+  if (payload.message) embed.setDescription(truncate(payload.message, 1024));
+  if (isValidUrl(payload.image)) embed.setThumbnail(payload.image);
+
+  if (request?.requestedBy_username) {
+    const requesterId = resolveDiscordUserId(
+      request.requestedBy_settings_discordId,
+      request.requestedBy_username
+    );
+    embed.addFields({
+      name: "Requested by",
+      value: requesterId ? `<@${requesterId}>` : request.requestedBy_username,
+      inline: true,
+    });
+  }
+
+  if (issue?.reportedBy_username) {
+    const reporterId = resolveDiscordUserId(
+      issue.reportedBy_settings_discordId,
+      issue.reportedBy_username
+    );
+    embed.addFields({
+      name: "Reported by",
+      value: reporterId ? `<@${reporterId}>` : issue.reportedBy_username,
+      inline: true,
+    });
+    if (issue.issue_type) {
+      embed.addFields({ name: "Issue type", value: issue.issue_type, inline: true });
+    }
+  }
+
+  if (comment?.comment_message) {
+    embed.addFields({
+      name: `Comment${comment.commentedBy_username ? ` by ${comment.commentedBy_username}` : ""}`,
+      value: truncate(comment.comment_message, 1024),
+    });
+  }
+
+  if (Array.isArray(payload.extra)) {
+    for (const extra of payload.extra.slice(0, 5)) {
+      if (extra?.name && extra?.value) {
+        embed.addFields({
+          name: truncate(String(extra.name), 256),
+          value: truncate(String(extra.value), 1024),
+          inline: true,
+        });
+      }
+    }
+  }
+
+  return embed;
+}
+
+async function sendRequesterDm(client, payload, type, embed) {
+  if (process.env.SEERR_WEBHOOK_DM_REQUESTER !== "true") return;
+  if (!DM_EVENTS.has(type)) return;
+
+  // Jellyfin already DMs requesters when their content arrives
+  if (type === "MEDIA_AVAILABLE" && process.env.NOTIFY_ON_AVAILABLE === "true") {
+    return;
+  }
+
+  // The approvals queue already DMed the requester, including the decline reason
+  if (
+    (type === "MEDIA_APPROVED" || type === "MEDIA_DECLINED") &&
+    wasResolvedInDiscord(payload.request?.request_id)
+  ) {
+    return;
+  }
+
+  const discordUserId = type.startsWith("ISSUE_")
+    ? resolveDiscordUserId(
+      payload.issue?.reportedBy_settings_discordId,
+      payload.issue?.reportedBy_username
+    )
+    : resolveDiscordUserId(
+      payload.request?.requestedBy_settings_discordId,
+      payload.request?.requestedBy_username
+    );
+
+  if (!discordUserId) {
+    logger.debug(`[SEERR WEBHOOK] No Discord user to DM for ${type}`);
+    return;
+  }
+
+  try {
+    const user = await client.users.fetch(discordUserId);
+    await sendDirectMessage(user, { embeds: [embed] });
+    logger.info(`[SEERR WEBHOOK] Sent ${type} DM to Discord user ${discordUserId}`);
+  } catch (err) {
+    logger.warn(
+      `[SEERR WEBHOOK] Could not DM Discord user ${discordUserId}: ${err.message}`
+    );
+  }
+}
+
+// Request history outcome for each media event
+const EVENT_OUTCOMES = {
+  MEDIA_APPROVED: "approved",
+  MEDIA_AUTO_APPROVED: "approved",
+  MEDIA_DECLINED: "declined",
+  MEDIA_AVAILABLE: "available",
+  MEDIA_FAILED: "failed",
+};
+
+// Keep the approvals channel in sync with decisions made directly in Seerr
+async function syncApprovalQueue(client, payload, type) {
+  const requestId = payload.request?.request_id;
+  if (!requestId || !process.env.APPROVALS_CHANNEL_ID) return;
+  // The approvals module already updated the message and DMed the requester
+  if (wasResolvedInDiscord(requestId)) return;
+
+  try {
+    if (type === "MEDIA_PENDING" && process.env.APPROVALS_INCLUDE_ALL_PENDING === "true") {
+      const seerrRequest = await seerrApi.fetchRequest(
+        requestId,
+        getSeerrApiUrl(process.env.SEERR_URL || ""),
+        process.env.SEERR_API_KEY
+      );
+      await postPendingApproval(client, seerrRequest);
+    } else if (
+      type === "MEDIA_APPROVED" ||
+      type === "MEDIA_AUTO_APPROVED" ||
+      type === "MEDIA_DECLINED"
+    ) {
+      await markApprovalHandled(client, requestId, type !== "MEDIA_DECLINED");
+    }
+  } catch (err) {
+    logger.warn(
+      `[SEERR WEBHOOK] Failed to sync approval queue for request ${requestId}: ${err.message}`
+    );
+  }
+}
+
+export async function handleSeerrWebhook(payload, client) {
+  const type = payload?.notification_type;
+
+  if (type === "TEST_NOTIFICATION") {
+    logger.info("[SEERR WEBHOOK] ✅ Test notification received from Seerr");
+    const channelId = process.env.SEERR_WEBHOOK_CHANNEL_ID;
+    if (!channelId) return;
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (channel) {
+      await channel.send({
+        embeds: [
+          new EmbedBuilder()
+            .setAuthor({ name: "🔔 Seerr webhook connected" })
+            .setDescription(payload.message || "Test notification received from Seerr.")
+            .setColor(COLORS.INFO),
+        ],
+      });
+    }
+    return;
+  }
+
+  const event = SEERR_EVENTS[type];
+  if (!event) {
+    logger.debug(`[SEERR WEBHOOK] Ignoring unsupported notification type: ${type}`);
+    return;
+  }
+
+  await syncApprovalQueue(client, payload, type);
+
+  if (EVENT_OUTCOMES[type] && payload.request?.request_id) {
+    updateRequestOutcome(payload.request.request_id, EVENT_OUTCOMES[type]);
+  }
+
+  if (!isEventEnabled(type)) {
+    logger.debug(`[SEERR WEBHOOK] ${type} notifications are disabled`);
+    return;
+  }
+
+  const embed = buildSeerrEventEmbed(payload, event);
+
+  const channelId = process.env.SEERR_WEBHOOK_CHANNEL_ID;
+  if (channelId) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (channel) {
+      await sendChannelMessage(channel, { embeds: [embed], allowedMentions: { parse: [] } });
+      logger.info(`[SEERR WEBHOOK] Posted ${type} notification: ${payload.subject}`);
+    } else {
+      logger.warn(`[SEERR WEBHOOK] Notification channel not found: ${channelId}`);
+    }
+  }
+
+  await sendRequesterDm(client, payload, type, embed);
+}
@@ -0,0 +1,57 @@
+export function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = Array.isArray(value) ? value.join(";") : String(value);
+  // Keep spreadsheet apps from evaluating user-controlled text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => toCsvValue(row[column])).join(",")),
+  ].join("\n");
+}
+
+// RFC 4180 style: quoted fields may contain commas, newlines and "" escapes.
+// Returns an array of rows, each an array of trimmed cells; blank lines are dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
@@ -0,0 +1,5 @@
+// Shortens text to Discord's field limits, marking the cut with an ellipsis
+export function truncate(text, max) {
+  if (!text) return text;
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
@@ -12,3 +12,122 @@ export function minutesToHhMm(mins) {
   result += `${m}m`;
   return result;
 }
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Calendar date and time of day for a date in the given IANA time zone
+ * @param {Date} date - Point in time
+ * @param {string} [timeZone] - e.g. "Europe/Berlin"; server time when empty or invalid
+ * @returns {{year: number, month: number, day: number, weekday: number, hour: number, minute: number}}
+ *   month is 1-12, weekday is 0 (Sunday) to 6
+ */
+export function getZonedDateParts(date, timeZone) {
+  if (timeZone) {
+    try {
+      const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          year: "numeric",
+          month: "numeric",
+          day: "numeric",
+          weekday: "short",
+          hour: "2-digit",
+          minute: "2-digit",
+          hourCycle: "h23",
+        })
+          .formatToParts(date)
+          .map((p) => [p.type, p.value])
+      );
+      return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        weekday: WEEKDAY_INDEX[parts.weekday],
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+      };
+    } catch (_e) {
+      // Unknown time zone, fall back to server time
+    }
+  }
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+    weekday: date.getDay(),
+    hour: date.getHours(),
+    minute: date.getMinutes(),
+  };
+}
+
+/**
+ * Calendar date in the given IANA time zone as "YYYY-MM-DD", comparable with TMDB's dates
+ * @param {Date} date - Point in time
+ * @param {string} [timeZone] - e.g. "Europe/Berlin"; server time when empty or invalid
+ * @param {number} [offsetDays=0] - Whole days to move the date by
+ * @returns {string} Date key like "2025-03-14"
+ */
+export function getZonedDateKey(date, timeZone, offsetDays = 0) {
+  const { year, month, day } = getZonedDateParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day + offsetDays))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Minutes since midnight for a date in the given IANA time zone
+ * @param {Date} date - Point in time
+ * @param {string} [timeZone] - e.g. "Europe/Berlin"; server time when empty or invalid
+ * @returns {number} Minutes since midnight (0-1439)
+ */
+export function getMinutesOfDay(date, timeZone) {
+  const { hour, minute } = getZonedDateParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * The moment a wall-clock time happens in the given IANA time zone
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @param {number} day - Day of the month; overflows into the next month like Date does
+ * @param {number} hour - 0-23
+ * @param {number} minute - 0-59
+ * @param {string} [timeZone] - e.g. "Europe/Berlin"; server time when empty or invalid
+ * @returns {Date}
+ */
+export function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Shift by how far off the guess reads in that zone; the second pass
+  // corrects guesses that landed on the other side of a DST change
+  let time = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedDateParts(new Date(time), timeZone);
+    time += wallClock - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return new Date(time);
+}
+
+/**
+ * Parses "HH:MM" into minutes since midnight
+ * @param {string} value - Time of day like "22:30"
+ * @returns {number|null} Minutes since midnight, or null if invalid
+ */
+export function parseTimeOfDay(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || "").trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Whether a time of day falls in a window that may wrap past midnight
+ * @param {number} minutes - Minutes since midnight to check
+ * @param {number} start - Window start (inclusive)
+ * @param {number} end - Window end (exclusive)
+ * @returns {boolean}
+ */
+export function isWithinTimeWindow(minutes, start, end) {
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
@@ -6,8 +6,22 @@
 import Joi from "joi";
 
 // --- CONFIG VALIDATION ---
+// "HH:MM" as sent by <input type="time">
+const QUIET_HOURS_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 export const configSchema = Joi.object({
   LANGUAGE: Joi.string().allow("").optional(), // Allow any language code from locales folder
+  TIMEZONE: Joi.string()
+    .allow("")
+    .custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return value;
+      } catch (_e) {
+        return helpers.error("any.invalid");
+      }
+    })
+    .optional(), // IANA name like "Europe/Berlin"
   DISCORD_TOKEN: Joi.string().allow("").optional(),
   BOT_ID: Joi.string().allow("").optional(),
   GUILD_ID: Joi.string().allow("").optional(),
@@ -21,7 +35,31 @@ export const configSchema = Joi.object({
   JELLYFIN_CHANNEL_ID: Joi.string().allow("").optional(),
   JELLYFIN_NOTIFICATION_LIBRARIES: Joi.alternatives(
     Joi.array().items(Joi.string()), // Legacy array format
-    Joi.object().pattern(Joi.string(), Joi.string().allow("")) // New object format: { libraryId: channelId }, allow empty channel IDs
+    Joi.object().pattern(
+      Joi.string(),
+      Joi.alternatives(
+        Joi.string().allow(""), // { libraryId: channelId }, allow empty channel IDs
+        Joi.object({
+          channelId: Joi.string().allow("").optional(),
+          channels: Joi.object({
+            Movie: Joi.string().allow("").optional(),
+            Series: Joi.string().allow("").optional(),
+            Episode: Joi.string().allow("").optional(),
+          }).optional(),
+          mentions: Joi.array()
+            .items(
+              Joi.object({
+                roleId: Joi.string().pattern(/^\d+$/).required(),
+                itemTypes: Joi.array()
+                  .items(Joi.string().valid("Movie", "Series", "Season", "Episode"))
+                  .optional(),
+                quality: Joi.string().valid("any", "4k").optional(),
+              })
+            )
+            .optional(),
+        }) // { libraryId: { channelId, channels, mentions } } with per-type channels and role pings
+      )
+    )
   ).optional(),
   JELLYFIN_NOTIFY_MOVIES: Joi.string().valid("true", "false").optional(),
   JELLYFIN_NOTIFY_SERIES: Joi.string().valid("true", "false").optional(),
@@ -29,6 +67,16 @@ export const configSchema = Joi.object({
   JELLYFIN_NOTIFY_EPISODES: Joi.string().valid("true", "false").allow("").optional(),
   JELLYFIN_EPISODE_CHANNEL_ID: Joi.string().allow("").optional(),
   JELLYFIN_SEASON_CHANNEL_ID: Joi.string().allow("").optional(),
+  JELLYFIN_ACTIVITY_CHANNEL_ID: Joi.string().allow("").optional(),
+  NOTIFICATION_DIGEST_CHANNELS: Joi.object()
+    .pattern(Joi.string(), Joi.string().valid("hourly", "daily"))
+    .optional(), // { channelId: schedule }
+  NOTIFICATION_DIGEST_HOUR: Joi.string().pattern(/^([01]?\d|2[0-3])$/).allow("").optional(),
+  QUIET_HOURS_CHANNEL_START: Joi.string().pattern(QUIET_HOURS_TIME).allow("").optional(),
+  QUIET_HOURS_CHANNEL_END: Joi.string().pattern(QUIET_HOURS_TIME).allow("").optional(),
+  QUIET_HOURS_DM_START: Joi.string().pattern(QUIET_HOURS_TIME).allow("").optional(),
+  QUIET_HOURS_DM_END: Joi.string().pattern(QUIET_HOURS_TIME).allow("").optional(),
+  QUIET_HOURS_MERGE: Joi.string().valid("true", "false").optional(),
   WEBHOOK_PORT: Joi.alternatives(Joi.string(), Joi.number().port()).optional(),
   BIND_HOST: Joi.string().ip({ version: ["ipv4", "ipv6"] }).optional(),
   WEBHOOK_SECRET: Joi.string().allow("").optional(),
@@ -45,6 +93,82 @@ export const configSchema = Joi.object({
   USER_MAPPING_METADATA: Joi.object().optional(),
   ROLE_ALLOWLIST: Joi.array().items(Joi.string()).optional(),
   ROLE_BLOCKLIST: Joi.array().items(Joi.string()).optional(),
+  UPCOMING_CALENDAR_CHANNEL_ID: Joi.string().allow("").optional(),
+  UPCOMING_CALENDAR_DAY: Joi.string().valid("0", "1", "2", "3", "4", "5", "6").optional(),
+  UPCOMING_CALENDAR_HOUR: Joi.string().pattern(/^([01]?\d|2[0-3])$/).allow("").optional(),
+  SCHEDULED_EVENTS_ENABLED: Joi.string().valid("true", "false").optional(),
+  SCHEDULED_EVENTS_CHANNEL_ID: Joi.string().allow("").optional(),
+  APPROVALS_CHANNEL_ID: Joi.string().allow("").optional(),
+  APPROVALS_INCLUDE_ALL_PENDING: Joi.string().valid("true", "false").optional(),
+  APPROVAL_ADMIN_ROLES: Joi.array().items(Joi.string()).optional(),
+  AUTO_APPROVE_ROLES: Joi.array().items(Joi.string()).optional(),
+  REQUEST_QUOTAS: Joi.array()
+    .items(
+      Joi.object({
+        roleId: Joi.string().required(),
+        movies: Joi.number().integer().min(0).allow(null).optional(), // null = unlimited
+        seasons: Joi.number().integer().min(0).allow(null).optional(), // null = unlimited
+        days: Joi.number().integer().min(1).max(365).required(),
+      })
+    )
+    .optional(),
+  ROUTING_RULES: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().allow("").max(100).optional(),
+        mediaType: Joi.string().valid("any", "movie", "tv").optional(),
+        roles: Joi.array().items(Joi.string()).optional(),
+        genres: Joi.array().items(Joi.string()).optional(),
+        languages: Joi.array().items(Joi.string()).optional(),
+        tags: Joi.array().items(Joi.string()).optional(),
+        profile: Joi.string().allow("").optional(), // profileId|serverId|type
+        server: Joi.string().allow("").optional(), // serverId|type
+        rootFolder: Joi.string().allow("").optional(),
+        applyTags: Joi.array().items(Joi.string()).optional(),
+      })
+    )
+    .optional(),
+  SEERR_WEBHOOK_CHANNEL_ID: Joi.string().allow("").optional(),
+  SEERR_WEBHOOK_DM_REQUESTER: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_MEDIA_PENDING: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_MEDIA_APPROVED: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_MEDIA_AUTO_APPROVED: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_MEDIA_DECLINED: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_MEDIA_AVAILABLE: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_MEDIA_FAILED: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_ISSUE_CREATED: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_ISSUE_COMMENT: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_ISSUE_RESOLVED: Joi.string().valid("true", "false").optional(),
+  SEERR_NOTIFY_ISSUE_REOPENED: Joi.string().valid("true", "false").optional(),
+  NOTIFICATION_TEMPLATES: Joi.object()
+    .pattern(
+      Joi.string().valid("Movie", "Series", "Season", "Episode", "DM"),
+      Joi.object({
+        author: Joi.string().allow("").max(256).optional(),
+        title: Joi.string().allow("").max(256).optional(),
+        batchAuthor: Joi.string().allow("").max(256).optional(),
+        batchTitle: Joi.string().allow("").max(256).optional(),
+        description: Joi.string().allow("").max(4096).optional(),
+        fields: Joi.array()
+          .items(
+            Joi.object({
+              name: Joi.string().allow("").max(256).required(),
+              value: Joi.string().allow("").max(1024).required(),
+              inline: Joi.boolean().optional(),
+            })
+          )
+          .max(25)
+          .optional(),
+        footer: Joi.string().allow("").max(2048).optional(),
+        backdrop: Joi.boolean().optional(),
+        buttons: Joi.object({
+          letterboxd: Joi.boolean().optional(),
+          imdb: Joi.boolean().optional(),
+          watch: Joi.boolean().optional(),
+        }).optional(),
+      })
+    )
+    .optional(),
 });
 
 // --- USER MAPPING VALIDATION ---
@@ -56,6 +180,7 @@ export const userMappingSchema = Joi.object({
   discordDisplayName: Joi.string().allow(null, "").optional(),
   discordAvatar: Joi.string().allow(null, "").optional(),
   seerrDisplayName: Joi.string().allow(null, "").optional(),
+  autoApprove: Joi.string().valid("default", "always", "never").optional(),
 });
 
 // --- SEERR REQUEST VALIDATION ---
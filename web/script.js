@@ -62,7 +62,8 @@ function updateUITranslations() {
   document.querySelectorAll('[data-i18n]').forEach(element => {
     const key = element.getAttribute('data-i18n');
     const translation = getNestedTranslation(key);
-    if (translation) {
+    // Keys the language file doesn't have yet keep the English text from the page
+    if (translation && translation !== key) {
       // Check if element needs attribute translation
       const attrName = element.getAttribute('data-i18n-attr');
       if (attrName) {
@@ -303,6 +304,14 @@ document.addEventListener("DOMContentLoaded", async () => {
         }
       }
       
+      const savedDigestChannels = config.NOTIFICATION_DIGEST_CHANNELS;
+      digestChannels = Object.entries(
+        savedDigestChannels && typeof savedDigestChannels === "object" ? savedDigestChannels : {}
+      ).map(([channelId, schedule]) => ({ channelId, schedule }));
+      digestChannelsLoaded = true;
+      renderDigestChannels();
+      loadNotificationTemplates();
+
       // Sync debounce seconds display after config load (MutationObserver doesn't fire on .value assignments)
       const _msField = document.getElementById("WEBHOOK_DEBOUNCE_MS");
       const _secField = document.getElementById("WEBHOOK_DEBOUNCE_SECONDS");
@@ -380,6 +389,10 @@ document.addEventListener("DOMContentLoaded", async () => {
     // This works well for localhost and for accessing via a local network IP.
     const host = window.location.hostname;
     webhookUrlElement.textContent = `http://${host}:${actualPort}/jellyfin-webhook`;
+    const seerrWebhookUrlElement = document.getElementById("seerr-webhook-url");
+    if (seerrWebhookUrlElement) {
+      seerrWebhookUrlElement.textContent = `http://${host}:${actualPort}/seerr-webhook`;
+    }
   }
 
   // --- Auth Logic ---
@@ -649,27 +662,53 @@ document.addEventListener("DOMContentLoaded", async () => {
       config.LANGUAGE = appLanguageSelect.value;
     }
 
-    // Explicitly capture checkbox values as "true"/"false" (except role checkboxes)
+    // Explicitly capture checkbox values as "true"/"false" (except role checkboxes).
+    // Only config keys (upper case ids); editor checkboxes like the template
+    // buttons are saved through their own objects.
     document
-      .querySelectorAll(
-        'input[type="checkbox"]:not([name="ROLE_ALLOWLIST"]):not([name="ROLE_BLOCKLIST"])'
-      )
+      .querySelectorAll('input[type="checkbox"]:not(.role-checkbox)')
       .forEach((cb) => {
-        if (cb.id && cb.id.trim() !== "") {
+        if (cb.id && /^[A-Z0-9_]+$/.test(cb.id)) {
           config[cb.id] = cb.checked ? "true" : "false";
         }
       });
 
-    // Handle role allowlist/blocklist as arrays
-    const allowlistRoles = Array.from(
-      document.querySelectorAll('input[name="ROLE_ALLOWLIST"]:checked')
-    ).map((cb) => cb.value);
-    const blocklistRoles = Array.from(
-      document.querySelectorAll('input[name="ROLE_BLOCKLIST"]:checked')
-    ).map((cb) => cb.value);
+    // Handle role lists (allowlist, blocklist, approval admins, auto-approve) as arrays
+    for (const listName of ROLE_LIST_FIELDS) {
+      config[listName] = Array.from(
+        document.querySelectorAll(`input[name="${listName}"]:checked`)
+      ).map((cb) => cb.value);
+    }
 
-    config.ROLE_ALLOWLIST = allowlistRoles;
-    config.ROLE_BLOCKLIST = blocklistRoles;
+    // Only send quota rules once the editor has been loaded, otherwise the
+    // saved rules would be wiped when the Role Permissions tab was never opened
+    if (quotaRulesLoaded) {
+      config.REQUEST_QUOTAS = collectQuotaRules();
+    }
+    if (routingRulesLoaded) {
+      config.ROUTING_RULES = collectRoutingRules();
+    }
+
+    if (digestChannelsLoaded) {
+      config.NOTIFICATION_DIGEST_CHANNELS = Object.fromEntries(
+        collectDigestChannels()
+          .filter((entry) => entry.channelId)
+          .map((entry) => [entry.channelId, entry.schedule])
+      );
+    }
+
+    // Only customized templates are saved, the rest keep following the
+    // EMBED_SHOW_* toggles
+    if (templatesLoaded) {
+      readTemplateForm();
+      config.NOTIFICATION_TEMPLATES = Object.fromEntries(
+        TEMPLATE_TYPES.filter(
+          (type) =>
+            templateSignature(notificationTemplates[type]) !==
+            templateSignature(templateDefaults[type])
+        ).map((type) => [type, notificationTemplates[type]])
+      );
+    }
 
     // Handle Jellyfin notification libraries (can be array or object)
     try {
@@ -958,6 +997,19 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // Copy Seerr webhook URL
+  document.getElementById("copy-seerr-webhook-btn")?.addEventListener("click", () => {
+    const textToCopy = document.getElementById("seerr-webhook-url")?.textContent || "";
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(textToCopy)
+        .then(() => showToast("Webhook URL copied to clipboard!"))
+        .catch(() => fallbackCopyTextToClipboard(textToCopy));
+    } else {
+      fallbackCopyTextToClipboard(textToCopy);
+    }
+  });
+
   // Fallback copy function for older browsers
   function fallbackCopyTextToClipboard(text) {
     const textArea = document.createElement("textarea");
@@ -1378,8 +1430,10 @@ document.addEventListener("DOMContentLoaded", async () => {
                 const selectedChannel = isChecked
                   ? libraryChannels[lib.id] || defaultChannel
                   : "";
+                const { mentions } = normalizeLibraryEntry(libraryChannels[lib.id]);
 
                 return `
+              <div class="library-entry">
               <div class="library-item">
                 <label class="library-label">
                   <input
@@ -1399,6 +1453,35 @@ document.addEventListener("DOMContentLoaded", async () => {
                 >
                   <option value="">Use Default Channel</option>
                 </select>
+                <button
+                  type="button"
+                  class="btn btn-secondary btn-sm library-settings-toggle"
+                  title="Content type channels and role pings"
+                  ${!isChecked ? "disabled" : ""}
+                >
+                  <i class="bi bi-sliders"></i>
+                </button>
+              </div>
+              <div class="library-settings" data-library-id="${escapeHtml(lib.id)}" hidden>
+                <div class="library-type-channels">
+                  ${LIBRARY_CHANNEL_TYPES.map(
+                    ({ type, label }) => `
+                    <label class="library-type-channel">
+                      <span class="rule-label">${label}</span>
+                      <select class="library-type-channel-select" data-type="${type}">
+                        <option value="">Same as library channel</option>
+                      </select>
+                    </label>
+                  `
+                  ).join("")}
+                </div>
+                <div class="rule-list library-mentions">
+                  ${renderLibraryMentionRows(mentions)}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm library-add-mention">
+                  <i class="bi bi-plus-lg"></i> Add role ping
+                </button>
+              </div>
               </div>
             `;
               })
@@ -1463,6 +1546,18 @@ document.addEventListener("DOMContentLoaded", async () => {
             // Populate channel dropdowns
             populateLibraryChannelDropdowns(libraryChannels);
 
+            // Role pings need the guild roles; saved rules are re-rendered once they arrive
+            if (!rolesLoaded) {
+              loadRoles().then(() => {
+                librariesList.querySelectorAll(".library-settings").forEach((settings) => {
+                  const mentionsList = settings.querySelector(".library-mentions");
+                  mentionsList.innerHTML = renderLibraryMentionRows(
+                    collectLibraryMentions(mentionsList)
+                  );
+                });
+              });
+            }
+
             // Add change listeners to all checkboxes
             librariesList
               .querySelectorAll(".library-checkbox")
@@ -1475,6 +1570,13 @@ document.addEventListener("DOMContentLoaded", async () => {
                   if (select) {
                     select.disabled = !e.target.checked;
                   }
+                  const entry = e.target.closest(".library-entry");
+                  if (entry) {
+                    entry.querySelector(".library-settings-toggle").disabled = !e.target.checked;
+                    if (!e.target.checked) {
+                      entry.querySelector(".library-settings").hidden = true;
+                    }
+                  }
                   updateNotificationLibraries();
                 });
               });
@@ -1550,7 +1652,7 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       selects.forEach((select) => {
         const libraryId = select.dataset.libraryId;
-        const currentChannel = libraryChannels[libraryId] || "";
+        const currentChannel = normalizeLibraryEntry(libraryChannels[libraryId]).channelId;
 
         // Clear and populate options
         select.innerHTML =
@@ -1572,6 +1674,28 @@ document.addEventListener("DOMContentLoaded", async () => {
         }
       });
 
+      // Populate each library's content type channel selects
+      librariesList.querySelectorAll(".library-settings").forEach((settings) => {
+        const typeChannels = normalizeLibraryEntry(
+          libraryChannels[settings.dataset.libraryId]
+        ).channels;
+
+        settings.querySelectorAll(".library-type-channel-select").forEach((select) => {
+          const currentChannel = typeChannels[select.dataset.type] || "";
+          select.innerHTML =
+            '<option value="">Same as library channel</option>' +
+            channels
+              .map((ch) => {
+                let icon = "";
+                if (ch.type === "announcement") icon = " 📢";
+                else if (ch.type === "forum-thread") icon = " 🧵";
+                return `<option value="${ch.id}">#${ch.name}${icon}</option>`;
+              })
+              .join("");
+          select.value = currentChannel;
+        });
+      });
+
       // Populate Episodes and Seasons channel selects
       const episodesSelect = document.getElementById("episodes-channel-select");
       const seasonsSelect = document.getElementById("seasons-channel-select");
@@ -1632,13 +1756,154 @@ document.addEventListener("DOMContentLoaded", async () => {
         `select[data-library-id="${libraryId}"]`
       );
       const channelId = select ? select.value : "";
-      libraryChannels[libraryId] = channelId; // Empty string means "use default"
+      const settings = librariesList.querySelector(
+        `.library-settings[data-library-id="${libraryId}"]`
+      );
+      // Empty string means "use default"
+      libraryChannels[libraryId] = settings
+        ? collectLibrarySettings(settings, channelId)
+        : channelId;
     });
 
     const jsonValue = JSON.stringify(libraryChannels);
     notificationLibrariesInput.value = jsonValue;
   }
 
+  // --- Library Channels per Content Type & Role Pings ---
+  // Seasons are posted to the episode channel
+  const LIBRARY_CHANNEL_TYPES = [
+    { type: "Movie", label: "🎬 Movies" },
+    { type: "Series", label: "📺 Series" },
+    { type: "Episode", label: "🎞️ Seasons & episodes" },
+  ];
+  const MENTION_ITEM_TYPES = [
+    { type: "Movie", label: "Movies" },
+    { type: "Series", label: "Series" },
+    { type: "Season", label: "Seasons" },
+    { type: "Episode", label: "Episodes" },
+  ];
+
+  // Library entries are either a channel ID (older configs) or
+  // { channelId, channels: { Movie, Series, Episode }, mentions: [rule] }
+  function normalizeLibraryEntry(entry) {
+    if (entry && typeof entry === "object" && !Array.isArray(entry)) {
+      return {
+        channelId: entry.channelId || "",
+        channels: entry.channels && typeof entry.channels === "object" ? entry.channels : {},
+        mentions: Array.isArray(entry.mentions) ? entry.mentions : [],
+      };
+    }
+    return { channelId: typeof entry === "string" ? entry : "", channels: {}, mentions: [] };
+  }
+
+  // Roles that aren't loaded (yet) keep their ID so saving doesn't drop the rule
+  function buildMentionRoleOptions(roleId) {
+    const known = guildRoles.some((role) => role.id === roleId);
+    return (
+      (roleId && !known
+        ? `<option value="${escapeAttr(roleId)}" selected>${escapeHtml(roleId)}</option>`
+        : "") + buildRoleOptions(roleId)
+    );
+  }
+
+  function renderLibraryMentionRows(mentions) {
+    if (mentions.length === 0) {
+      return '<p class="form-text" style="opacity: 0.7; font-style: italic;">No role pings for this library.</p>';
+    }
+
+    return mentions
+      .map((rule) => {
+        const itemTypes = Array.isArray(rule.itemTypes) ? rule.itemTypes : [];
+        return `
+        <div class="rule-row">
+          <span class="rule-label">Ping</span>
+          <select class="library-mention-role">${buildMentionRoleOptions(rule.roleId)}</select>
+          <span class="rule-label">on</span>
+          ${MENTION_ITEM_TYPES.map(
+            ({ type, label }) => `
+            <label class="rule-label library-mention-type">
+              <input type="checkbox" value="${type}" ${itemTypes.includes(type) ? "checked" : ""}> ${label}
+            </label>
+          `
+          ).join("")}
+          <select class="library-mention-quality">
+            <option value="any" ${rule.quality !== "4k" ? "selected" : ""}>Any quality</option>
+            <option value="4k" ${rule.quality === "4k" ? "selected" : ""}>4K only</option>
+          </select>
+          <div class="rule-actions">
+            <button type="button" class="btn btn-danger btn-sm library-remove-mention" title="Remove"><i class="bi bi-trash"></i></button>
+          </div>
+        </div>
+      `;
+      })
+      .join("");
+  }
+
+  function collectLibraryMentions(mentionsList) {
+    return Array.from(mentionsList.querySelectorAll(".rule-row"))
+      .map((row) => ({
+        roleId: row.querySelector(".library-mention-role").value,
+        itemTypes: Array.from(
+          row.querySelectorAll(".library-mention-type input:checked")
+        ).map((cb) => cb.value),
+        quality: row.querySelector(".library-mention-quality").value,
+      }))
+      .filter((rule) => rule.roleId);
+  }
+
+  // Libraries without extra settings stay a plain channel ID
+  function collectLibrarySettings(settings, channelId) {
+    const channels = {};
+    settings.querySelectorAll(".library-type-channel-select").forEach((select) => {
+      if (select.value) channels[select.dataset.type] = select.value;
+    });
+    const mentions = collectLibraryMentions(settings.querySelector(".library-mentions"));
+
+    if (Object.keys(channels).length === 0 && mentions.length === 0) {
+      return channelId;
+    }
+    return { channelId, channels, mentions };
+  }
+
+  if (librariesList) {
+    librariesList.addEventListener("click", (e) => {
+      const toggle = e.target.closest(".library-settings-toggle");
+      if (toggle) {
+        const settings = toggle.closest(".library-entry").querySelector(".library-settings");
+        settings.hidden = !settings.hidden;
+        return;
+      }
+
+      const settings = e.target.closest(".library-settings");
+      if (!settings) return;
+      const mentionsList = settings.querySelector(".library-mentions");
+
+      if (e.target.closest(".library-add-mention")) {
+        if (guildRoles.length === 0) {
+          showToast(t("errors.bot_must_be_running"));
+          return;
+        }
+        const mentions = collectLibraryMentions(mentionsList);
+        mentions.push({ roleId: guildRoles[0].id, itemTypes: [], quality: "any" });
+        mentionsList.innerHTML = renderLibraryMentionRows(mentions);
+      } else if (e.target.closest(".library-remove-mention")) {
+        e.target.closest(".rule-row").remove();
+        if (!mentionsList.querySelector(".rule-row")) {
+          mentionsList.innerHTML = renderLibraryMentionRows([]);
+        }
+      } else {
+        return;
+      }
+      updateNotificationLibraries();
+    });
+
+    librariesList.addEventListener("change", (e) => {
+      if (e.target.closest(".library-settings")) {
+        updateNotificationLibraries();
+      }
+    });
+  }
+
   // --- Initial Load ---
   checkAuth();
 
@@ -1698,6 +1963,438 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  // Optional channel selects marked with data-channel-select keep their first
+  // option (e.g. "Disabled", translated through its data-i18n) and get the
+  // guild's channels appended. data-channel-select="voice" lists voice and
+  // stage channels instead
+  const channelSelectPlaceholders = new Map();
+  function populateExtraChannelSelects(channels = [], voiceChannels = []) {
+    document.querySelectorAll("select[data-channel-select]").forEach((select) => {
+      if (!channelSelectPlaceholders.has(select) && select.options[0]) {
+        channelSelectPlaceholders.set(select, select.options[0].cloneNode(true));
+      }
+      select.innerHTML = "";
+      const placeholder = channelSelectPlaceholders.get(select);
+      if (placeholder) select.appendChild(placeholder.cloneNode(true));
+
+      const isVoiceSelect = select.dataset.channelSelect === "voice";
+      (isVoiceSelect ? voiceChannels : channels).forEach((channel) => {
+        const option = document.createElement("option");
+        option.value = channel.id;
+        if (isVoiceSelect) {
+          option.textContent = `${channel.type === "stage" ? "🎙️" : "🔊"} ${channel.name}`;
+        } else {
+          let icon = "";
+          if (channel.type === "announcement") icon = " 📢";
+          else if (channel.type === "forum-thread") icon = " 🧵";
+          option.textContent = `#${channel.name}${icon}`;
+        }
+        select.appendChild(option);
+      });
+
+      if (select.dataset.savedValue) {
+        select.value = select.dataset.savedValue;
+      }
+    });
+  }
+
+  // --- Notification Digest ---
+  let digestChannels = [];
+  let digestChannelsLoaded = false;
+  let digestChannelOptions = [];
+  const digestChannelsContainer = document.getElementById("digest-channels");
+
+  function renderDigestChannels() {
+    if (!digestChannelsContainer) return;
+
+    if (digestChannels.length === 0) {
+      digestChannelsContainer.innerHTML =
+        '<p class="form-text" style="opacity: 0.7; font-style: italic;">No digest channels — all notifications are posted immediately.</p>';
+      return;
+    }
+
+    digestChannelsContainer.innerHTML = digestChannels
+      .map(({ channelId, schedule }, index) => {
+        const options = digestChannelOptions.map(
+          (channel) =>
+            `<option value="${escapeAttr(channel.id)}" ${channel.id === channelId ? "selected" : ""}>#${escapeHtml(channel.name)}</option>`
+        );
+        // Keep channels that couldn't be loaded instead of dropping them on save
+        if (channelId && !digestChannelOptions.some((channel) => channel.id === channelId)) {
+          options.push(`<option value="${escapeAttr(channelId)}" selected>${escapeHtml(channelId)}</option>`);
+        }
+
+        return `
+        <div class="rule-row" data-index="${index}">
+          <select class="digest-channel"><option value="">Select a channel...</option>${options.join("")}</select>
+          <select class="digest-schedule">
+            <option value="hourly" ${schedule === "hourly" ? "selected" : ""}>Hourly</option>
+            <option value="daily" ${schedule === "daily" ? "selected" : ""}>Daily</option>
+          </select>
+          <div class="rule-actions">
+            <button type="button" class="btn btn-danger btn-sm digest-remove" title="Remove"><i class="bi bi-trash"></i></button>
+          </div>
+        </div>
+      `;
+      })
+      .join("");
+  }
+
+  function collectDigestChannels() {
+    if (!digestChannelsContainer) return [];
+    return Array.from(digestChannelsContainer.querySelectorAll(".rule-row")).map((row) => ({
+      channelId: row.querySelector(".digest-channel").value,
+      schedule: row.querySelector(".digest-schedule").value,
+    }));
+  }
+
+  if (digestChannelsContainer) {
+    digestChannelsContainer.addEventListener("click", (e) => {
+      if (!e.target.closest(".digest-remove")) return;
+      const index = parseInt(e.target.closest(".rule-row").dataset.index, 10);
+      digestChannels = collectDigestChannels();
+      digestChannels.splice(index, 1);
+      renderDigestChannels();
+    });
+  }
+
+  document.getElementById("add-digest-channel-btn")?.addEventListener("click", () => {
+    digestChannels = collectDigestChannels();
+    digestChannels.push({ channelId: "", schedule: "daily" });
+    renderDigestChannels();
+  });
+
+  // --- Notification Templates ---
+  const TEMPLATE_TYPES = ["Movie", "Series", "Season", "Episode", "DM"];
+  const BATCH_TEMPLATE_TYPES = ["Season", "Episode"];
+
+  const TEMPLATE_SAMPLES = {
+    Movie: {
+      title: "Dune: Part Two",
+      year: "2024",
+      name: "Dune: Part Two",
+      season: "?",
+      episode: "S01E01",
+      count: 0,
+      quality: "4K HEVC HDR10 • EAC3 5.1",
+      genres: "Science Fiction, Adventure",
+      overview: "Paul Atreides unites with Chani and the Fremen while on a warpath of revenge against the conspirators who destroyed his family.",
+      credits: "Directed by Denis Villeneuve",
+      runtime: "2h 46m",
+      rating: "8.5/10",
+      seasons: "",
+      episodes: "",
+    },
+    Series: {
+      title: "Severance",
+      year: "2022",
+      name: "Severance",
+      season: "?",
+      episode: "S01E01",
+      count: 0,
+      quality: "1080p H264 • EAC3 5.1",
+      genres: "Drama, Mystery, Science Fiction",
+      overview: "Mark leads a team of office workers whose memories have been surgically divided between their work and personal lives.",
+      credits: "Created by Dan Erickson",
+      runtime: "50m",
+      rating: "8.7/10",
+      seasons: "",
+      episodes: "",
+    },
+    Season: {
+      title: "The Bear",
+      year: "2022",
+      name: "Season 3",
+      season: 3,
+      episode: "S03E01",
+      count: 2,
+      quality: "1080p HEVC • EAC3 5.1",
+      genres: "Comedy, Drama",
+      overview: "Carmy and the crew push to make The Bear a restaurant worthy of a star.",
+      credits: "Created by Christopher Storer",
+      runtime: "30m",
+      rating: "8.5/10",
+      seasons: "**Season 2**: Season 2\n**Season 3**: Season 3",
+      episodes: "",
+    },
+    Episode: {
+      title: "Severance",
+      year: "2022",
+      name: "Trojan's Horse",
+      season: 2,
+      episode: "S02E05",
+      count: 3,
+      quality: "4K HEVC HDR10 • EAC3 5.1",
+      genres: "Drama, Mystery, Science Fiction",
+      overview: "Mark and Helly face the consequences of the overtime contingency.",
+      credits: "Created by Dan Erickson",
+      runtime: "00:49:12",
+      rating: "8.7/10",
+      seasons: "",
+      episodes: "**S02E04**: Woe's Hollow\n**S02E05**: Trojan's Horse\n**S02E06**: Attila",
+    },
+  };
+
+  let notificationTemplates = {};
+  let templateDefaults = {};
+  let templatesLoaded = false;
+  let currentTemplateType = "Movie";
+  let lastTemplateInput = null;
+  const templateFieldsContainer = document.getElementById("template-fields");
+  const templatePreview = document.getElementById("template-preview");
+
+  const cloneTemplate = (template) => JSON.parse(JSON.stringify(template));
+
+  // Compares templates independent of key order and missing optional parts
+  function templateSignature(template) {
+    return JSON.stringify([
+      template.author || "",
+      template.title || "",
+      template.batchAuthor || "",
+      template.batchTitle || "",
+      template.description || "",
+      (template.fields || []).map((f) => [f.name || "", f.value || "", f.inline === true]),
+      template.footer || "",
+      template.backdrop === true,
+      template.buttons?.letterboxd === true,
+      template.buttons?.imdb === true,
+      template.buttons?.watch === true,
+    ]);
+  }
+
+  async function loadNotificationTemplates() {
+    try {
+      const response = await fetch("/api/notification-templates");
+      const data = await response.json();
+      if (!data.success) return;
+
+      templateDefaults = data.defaults;
+      notificationTemplates = cloneTemplate(data.templates);
+      templatesLoaded = true;
+
+      const placeholders = document.getElementById("template-placeholders");
+      if (placeholders) {
+        placeholders.innerHTML =
+          "Placeholders: " +
+          Object.entries(data.placeholders)
+            .map(
+              ([key, description]) =>
+                `<span class="template-placeholder" data-placeholder="{${escapeAttr(key)}}" title="${escapeAttr(description)}">{${escapeHtml(key)}}</span>`
+            )
+            .join("");
+      }
+      fillTemplateForm();
+    } catch (error) {}
+  }
+
+  function renderTemplateFields(fields) {
+    if (!templateFieldsContainer) return;
+    templateFieldsContainer.innerHTML = fields
+      .map(
+        (field, index) => `
+        <div class="rule-row" data-index="${index}">
+          <input type="text" class="template-field-name" placeholder="Field name" maxlength="256" value="${escapeAttr(field.name || "")}">
+          <input type="text" class="template-field-value" placeholder="Field value" maxlength="1024" value="${escapeAttr(field.value || "")}">
+          <label class="rule-label"><input type="checkbox" class="template-field-inline" ${field.inline ? "checked" : ""}> Inline</label>
+          <div class="rule-actions">
+            <button type="button" class="btn btn-danger btn-sm template-field-remove" title="Remove"><i class="bi bi-trash"></i></button>
+          </div>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  function fillTemplateForm() {
+    const template = notificationTemplates[currentTemplateType];
+    if (!template) return;
+    const isBatchType = BATCH_TEMPLATE_TYPES.includes(currentTemplateType);
+
+    document.getElementById("template-author").value = template.author || "";
+    document.getElementById("template-title").value = template.title || "";
+    document.getElementById("template-batch-author").value = template.batchAuthor || "";
+    document.getElementById("template-batch-title").value = template.batchTitle || "";
+    document.getElementById("template-description").value = template.description || "";
+    document.getElementById("template-footer").value = template.footer || "";
+    document.getElementById("template-backdrop").checked = template.backdrop === true;
+    document.getElementById("template-button-letterboxd").checked = template.buttons?.letterboxd === true;
+    document.getElementById("template-button-imdb").checked = template.buttons?.imdb === true;
+    document.getElementById("template-button-watch").checked = template.buttons?.watch === true;
+    document.querySelectorAll(".template-batch-only").forEach((el) => {
+      el.style.display = isBatchType ? "" : "none";
+    });
+    renderTemplateFields(template.fields || []);
+    renderTemplatePreview();
+  }
+
+  function readTemplateForm() {
+    if (!templatesLoaded) return;
+    const template = {
+      author: document.getElementById("template-author").value,
+      title: document.getElementById("template-title").value,
+      description: document.getElementById("template-description").value,
+      fields: Array.from(templateFieldsContainer.querySelectorAll(".rule-row")).map((row) => ({
+        name: row.querySelector(".template-field-name").value,
+        value: row.querySelector(".template-field-value").value,
+        inline: row.querySelector(".template-field-inline").checked,
+      })),
+      footer: document.getElementById("template-footer").value,
+      backdrop: document.getElementById("template-backdrop").checked,
+      buttons: {
+        letterboxd: document.getElementById("template-button-letterboxd").checked,
+        imdb: document.getElementById("template-button-imdb").checked,
+        watch: document.getElementById("template-button-watch").checked,
+      },
+    };
+    if (BATCH_TEMPLATE_TYPES.includes(currentTemplateType)) {
+      template.batchAuthor = document.getElementById("template-batch-author").value;
+      template.batchTitle = document.getElementById("template-batch-title").value;
+    }
+    notificationTemplates[currentTemplateType] = template;
+  }
+
+  // Same substitution as the bot: unknown placeholders stay as typed
+  function fillPlaceholders(text, values) {
+    return String(text || "")
+      .replace(/\{(\w+)\}/g, (match, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? String(values[key] ?? "") : match
+      )
+      .trim();
+  }
+
+  // Escapes first, then renders the **bold** used in season and episode lists
+  const previewMarkdown = (text) =>
+    escapeHtml(text).replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
+
+  function renderTemplatePreview() {
+    if (!templatePreview || !templatesLoaded) return;
+    const template = notificationTemplates[currentTemplateType];
+    const isDm = currentTemplateType === "DM";
+    const batch =
+      BATCH_TEMPLATE_TYPES.includes(currentTemplateType) &&
+      document.getElementById("template-preview-batch")?.checked;
+
+    const sample = { ...TEMPLATE_SAMPLES[isDm ? "Movie" : currentTemplateType] };
+    sample.url = "https://jellyfin.example.com/web/index.html";
+    if (!batch) {
+      sample.seasons = "";
+      sample.episodes = "";
+    } else if (currentTemplateType === "Episode") {
+      sample.overview = "";
+    }
+    sample.headline = isDm
+      ? "Dune: Part Two (2024)"
+      : fillPlaceholders(batch && template.batchTitle ? template.batchTitle : template.title, sample);
+
+    const author = fillPlaceholders(batch && template.batchAuthor ? template.batchAuthor : template.author, sample);
+    const title = isDm ? fillPlaceholders(template.title, sample) : sample.headline;
+    const description = fillPlaceholders(template.description, sample);
+    const footer = fillPlaceholders(template.footer, sample);
+    const fields = (template.fields || [])
+      .map((field) => ({
+        name: fillPlaceholders(field.name, sample),
+        value: fillPlaceholders(field.value, sample),
+        inline: field.inline,
+      }))
+      .filter((field) => field.name && field.value);
+    const buttons = [
+      template.buttons?.letterboxd && "Letterboxd",
+      template.buttons?.imdb && "IMDb",
+      template.buttons?.watch && "▶ Watch Now!",
+    ].filter(Boolean);
+
+    templatePreview.innerHTML = `
+      <div class="discord-embed">
+        ${author ? `<div class="discord-embed-author">${escapeHtml(author)}</div>` : ""}
+        ${title ? `<div class="discord-embed-title">${escapeHtml(title)}</div>` : ""}
+        ${description ? `<div class="discord-embed-description">${previewMarkdown(description)}</div>` : ""}
+        ${
+          fields.length
+            ? `<div class="discord-embed-fields">${fields
+                .map(
+                  (field) => `
+          <div class="discord-embed-field ${field.inline ? "inline" : ""}">
+            <div class="discord-embed-field-name">${previewMarkdown(field.name)}</div>
+            <div class="discord-embed-field-value">${previewMarkdown(field.value)}</div>
+          </div>`
+                )
+                .join("")}</div>`
+            : ""
+        }
+        ${template.backdrop ? '<div class="discord-embed-image">Backdrop</div>' : ""}
+        ${footer ? `<div class="discord-embed-footer">${escapeHtml(footer)}</div>` : ""}
+      </div>
+      ${
+        buttons.length
+          ? `<div class="discord-embed-buttons">${buttons
+              .map((label) => `<span>${escapeHtml(label)}</span>`)
+              .join("")}</div>`
+          : ""
+      }
+    `;
+  }
+
+  const templateForm = document.querySelector(".template-form");
+  if (templateForm) {
+    const onTemplateChange = () => {
+      readTemplateForm();
+      renderTemplatePreview();
+    };
+    templateForm.addEventListener("input", onTemplateChange);
+    templateForm.addEventListener("change", onTemplateChange);
+    templateForm.addEventListener("focusin", (e) => {
+      if (e.target.matches('input[type="text"], textarea')) lastTemplateInput = e.target;
+    });
+
+    templateForm.addEventListener("click", (e) => {
+      const chip = e.target.closest(".template-placeholder");
+      if (chip && lastTemplateInput) {
+        const input = lastTemplateInput;
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? input.value.length;
+        input.value = input.value.slice(0, start) + chip.dataset.placeholder + input.value.slice(end);
+        input.focus();
+        input.selectionStart = input.selectionEnd = start + chip.dataset.placeholder.length;
+        onTemplateChange();
+        return;
+      }
+
+      const removeButton = e.target.closest(".template-field-remove");
+      if (removeButton) {
+        readTemplateForm();
+        const index = parseInt(removeButton.closest(".rule-row").dataset.index, 10);
+        notificationTemplates[currentTemplateType].fields.splice(index, 1);
+        fillTemplateForm();
+      }
+    });
+  }
+
+  document.getElementById("template-preview-batch")?.addEventListener("change", renderTemplatePreview);
+
+  document.getElementById("template-type-tabs")?.addEventListener("click", (e) => {
+    const tab = e.target.closest("[data-template-type]");
+    if (!tab || !templatesLoaded) return;
+    readTemplateForm();
+    currentTemplateType = tab.dataset.templateType;
+    document
+      .querySelectorAll("#template-type-tabs [data-template-type]")
+      .forEach((btn) => btn.classList.toggle("active", btn === tab));
+    fillTemplateForm();
+  });
+
+  document.getElementById("add-template-field-btn")?.addEventListener("click", () => {
+    if (!templatesLoaded) return;
+    readTemplateForm();
+    notificationTemplates[currentTemplateType].fields.push({ name: "", value: "", inline: false });
+    fillTemplateForm();
+  });
+
+  document.getElementById("reset-template-btn")?.addEventListener("click", () => {
+    if (!templatesLoaded) return;
+    notificationTemplates[currentTemplateType] = cloneTemplate(templateDefaults[currentTemplateType]);
+    fillTemplateForm();
+  });
+
   async function loadDiscordChannels(guildId) {
     const channelSelect = document.getElementById("JELLYFIN_CHANNEL_ID");
     const episodeChannelSelect = document.getElementById("JELLYFIN_EPISODE_CHANNEL_ID");
@@ -1721,6 +2418,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         dailyRandomPickChannelSelect.innerHTML =
           '<option value="">Select a channel...</option>';
       }
+      populateExtraChannelSelects();
       return;
     }
 
@@ -1826,6 +2524,11 @@ document.addEventListener("DOMContentLoaded", async () => {
             dailyRandomPickChannelSelect.value = currentValue;
           }
         }
+
+        populateExtraChannelSelects(data.channels, data.voiceChannels);
+        digestChannels = collectDigestChannels();
+        digestChannelOptions = data.channels;
+        renderDigestChannels();
       } else {
         if (channelSelect) {
           channelSelect.innerHTML =
@@ -1843,6 +2546,7 @@ document.addEventListener("DOMContentLoaded", async () => {
           dailyRandomPickChannelSelect.innerHTML =
             '<option value="">Select a channel...</option>';
         }
+        populateExtraChannelSelects();
       }
     } catch (error) {
       if (channelSelect) {
@@ -1861,6 +2565,7 @@ document.addEventListener("DOMContentLoaded", async () => {
         dailyRandomPickChannelSelect.innerHTML =
           '<option value="">Select a channel...</option>';
       }
+      populateExtraChannelSelects();
     }
   }
 
@@ -1892,6 +2597,7 @@ document.addEventListener("DOMContentLoaded", async () => {
           dailyRandomPickChannelSelect.innerHTML =
             '<option value="">Select a channel...</option>';
         }
+        populateExtraChannelSelects();
       }
     });
   }
@@ -2444,11 +3150,20 @@ document.addEventListener("DOMContentLoaded", async () => {
               )}</div>
             </div>
           </div>
-          <button class="btn btn-danger btn-sm" onclick="deleteMapping('${
-            escapeHtml(mapping.discordUserId)
-          }')" style="padding: 0.4rem 0.8rem; font-size: 0.85rem;">
-            <i class="bi bi-trash"></i> Remove
-          </button>
+          <div style="display: flex; align-items: center; gap: 0.5rem;">
+            <select class="mapping-auto-approve" title="Auto-approve override" onchange="setMappingAutoApprove('${
+              escapeHtml(mapping.discordUserId)
+            }', this.value)">
+              <option value="default" ${!mapping.autoApprove || mapping.autoApprove === "default" ? "selected" : ""}>Auto-approve: by role</option>
+              <option value="always" ${mapping.autoApprove === "always" ? "selected" : ""}>Auto-approve: always</option>
+              <option value="never" ${mapping.autoApprove === "never" ? "selected" : ""}>Auto-approve: never</option>
+            </select>
+            <button class="btn btn-danger btn-sm" onclick="deleteMapping('${
+              escapeHtml(mapping.discordUserId)
+            }')" style="padding: 0.4rem 0.8rem; font-size: 0.85rem;">
+              <i class="bi bi-trash"></i> Remove
+            </button>
+          </div>
         </div>
       `;
       })
@@ -2475,6 +3190,36 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   };
 
+  window.setMappingAutoApprove = async function (discordUserId, autoApprove) {
+    const mapping = currentMappings.find((m) => m.discordUserId === discordUserId);
+    if (!mapping) return;
+
+    try {
+      const response = await fetch("/api/user-mappings", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          discordUserId: mapping.discordUserId,
+          seerrUserId: String(mapping.seerrUserId),
+          discordUsername: mapping.discordUsername,
+          discordDisplayName: mapping.discordDisplayName,
+          seerrDisplayName: mapping.seerrDisplayName,
+          autoApprove,
+        }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        mapping.autoApprove = autoApprove;
+        showToast("Auto-approve override saved.");
+      } else {
+        showToast(`Error: ${result.message}`);
+      }
+    } catch (error) {
+      showToast("Failed to save auto-approve override.");
+    }
+  };
+
   const addMappingBtn = document.getElementById("add-mapping-btn");
   if (addMappingBtn) {
     addMappingBtn.addEventListener("click", async () => {
@@ -3218,6 +3963,15 @@ document.addEventListener("DOMContentLoaded", async () => {
   let rolesLoaded = false;
   let guildRoles = [];
 
+  // Container ID -> config key for every role checklist in the Role Permissions tab
+  const ROLE_LISTS = {
+    "allowlist-roles": "ROLE_ALLOWLIST",
+    "blocklist-roles": "ROLE_BLOCKLIST",
+    "approval-admin-roles": "APPROVAL_ADMIN_ROLES",
+    "auto-approve-roles": "AUTO_APPROVE_ROLES",
+  };
+  const ROLE_LIST_FIELDS = Object.values(ROLE_LISTS);
+
   async function loadRoles() {
     if (rolesLoaded && guildRoles.length > 0) {
       return;
@@ -3231,19 +3985,34 @@ document.addEventListener("DOMContentLoaded", async () => {
         guildRoles = data.roles;
         rolesLoaded = true;
 
-        // Load current config to get saved allowlist/blocklist
+        // Load current config to get saved role lists
         const configResponse = await fetch("/api/config");
         const config = await configResponse.json();
-        const allowlist = config.ROLE_ALLOWLIST || [];
-        const blocklist = config.ROLE_BLOCKLIST || [];
 
-        populateRoleList("allowlist-roles", allowlist);
-        populateRoleList("blocklist-roles", blocklist);
+        for (const [containerId, listName] of Object.entries(ROLE_LISTS)) {
+          populateRoleList(containerId, config[listName] || []);
+        }
+
+        quotaRules = Array.isArray(config.REQUEST_QUOTAS)
+          ? config.REQUEST_QUOTAS
+          : [];
+        quotaRulesLoaded = true;
+        renderQuotaRules();
+
+        routingRules = Array.isArray(config.ROUTING_RULES)
+          ? config.ROUTING_RULES
+          : [];
+        routingRulesLoaded = true;
+        renderRoutingRules();
+        loadRoutingTargets();
       } else {
-        document.getElementById("allowlist-roles").innerHTML =
-          `<p class="form-text" style="opacity: 0.7; font-style: italic;">${t('errors.bot_must_be_running')}</p>`;
-        document.getElementById("blocklist-roles").innerHTML =
-          `<p class="form-text" style="opacity: 0.7; font-style: italic;">${t('errors.bot_must_be_running')}</p>`;
+        for (const containerId of [...Object.keys(ROLE_LISTS), "quota-rules", "routing-rules"]) {
+          const container = document.getElementById(containerId);
+          if (container) {
+            container.innerHTML =
+              `<p class="form-text" style="opacity: 0.7; font-style: italic;">${t('errors.bot_must_be_running')}</p>`;
+          }
+        }
       }
     } catch (error) {}
   }
@@ -3261,9 +4030,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     container.innerHTML = guildRoles
       .map((role) => {
         const isChecked = selectedRoles.includes(role.id);
-        const listType = containerId.includes("allowlist")
-          ? "allowlist"
-          : "blocklist";
+        const listName = ROLE_LISTS[containerId];
         const roleColor =
           role.color && /^#[0-9a-fA-F]{6}$/.test(role.color) && role.color !== "#000000"
             ? role.color
@@ -3272,11 +4039,8 @@ document.addEventListener("DOMContentLoaded", async () => {
         return `
         <label class="role-item">
           <input type="checkbox"
-                 name="${
-                   listType === "allowlist"
-                     ? "ROLE_ALLOWLIST"
-                     : "ROLE_BLOCKLIST"
-                 }"
+                 class="role-checkbox"
+                 name="${listName}"
                  value="${role.id}"
                  ${isChecked ? "checked" : ""}>
           <div class="role-color-indicator" style="background-color: ${roleColor};"></div>
@@ -3290,6 +4054,328 @@ document.addEventListener("DOMContentLoaded", async () => {
       .join("");
   }
 
+  // --- Request Quotas ---
+  let quotaRules = [];
+  let quotaRulesLoaded = false;
+  const quotaRulesContainer = document.getElementById("quota-rules");
+
+  function buildRoleOptions(selectedRoleId) {
+    return guildRoles
+      .map(
+        (role) =>
+          `<option value="${escapeHtml(role.id)}" ${
+            role.id === selectedRoleId ? "selected" : ""
+          }>${escapeHtml(role.name)}</option>`
+      )
+      .join("");
+  }
+
+  function renderQuotaRules() {
+    if (!quotaRulesContainer) return;
+
+    if (quotaRules.length === 0) {
+      quotaRulesContainer.innerHTML =
+        '<p class="form-text" style="opacity: 0.7; font-style: italic;">No quota rules — everyone can request without limits.</p>';
+      return;
+    }
+
+    quotaRulesContainer.innerHTML = quotaRules
+      .map(
+        (rule, index) => `
+        <div class="rule-row" data-index="${index}">
+          <select class="quota-role">${buildRoleOptions(rule.roleId)}</select>
+          <span class="rule-label">🎬</span>
+          <input type="number" class="quota-movies" min="0" placeholder="∞" value="${
+            rule.movies ?? ""
+          }" title="Movies per period (empty = unlimited)">
+          <span class="rule-label">📺</span>
+          <input type="number" class="quota-seasons" min="0" placeholder="∞" value="${
+            rule.seasons ?? ""
+          }" title="Seasons per period (empty = unlimited)">
+          <span class="rule-label">per</span>
+          <input type="number" class="quota-days" min="1" max="365" value="${
+            rule.days ?? 7
+          }" title="Period in days">
+          <span class="rule-label">days</span>
+          <div class="rule-actions">
+            <button type="button" class="btn btn-secondary btn-sm quota-up" title="Move up" ${index === 0 ? "disabled" : ""}><i class="bi bi-arrow-up"></i></button>
+            <button type="button" class="btn btn-secondary btn-sm quota-down" title="Move down" ${index === quotaRules.length - 1 ? "disabled" : ""}><i class="bi bi-arrow-down"></i></button>
+            <button type="button" class="btn btn-danger btn-sm quota-remove" title="Remove"><i class="bi bi-trash"></i></button>
+          </div>
+        </div>
+      `
+      )
+      .join("");
+  }
+
+  function collectQuotaRules() {
+    if (!quotaRulesContainer) return [];
+    const parseLimit = (value) => (value === "" ? null : parseInt(value, 10));
+    return Array.from(quotaRulesContainer.querySelectorAll(".rule-row")).map(
+      (row) => ({
+        roleId: row.querySelector(".quota-role").value,
+        movies: parseLimit(row.querySelector(".quota-movies").value),
+        seasons: parseLimit(row.querySelector(".quota-seasons").value),
+        days: parseInt(row.querySelector(".quota-days").value, 10) || 7,
+      })
+    );
+  }
+
+  if (quotaRulesContainer) {
+    quotaRulesContainer.addEventListener("click", (e) => {
+      const row = e.target.closest(".rule-row");
+      if (!row) return;
+      const index = parseInt(row.dataset.index, 10);
+      quotaRules = collectQuotaRules();
+
+      if (e.target.closest(".quota-remove")) {
+        quotaRules.splice(index, 1);
+      } else if (e.target.closest(".quota-up") && index > 0) {
+        [quotaRules[index - 1], quotaRules[index]] = [quotaRules[index], quotaRules[index - 1]];
+      } else if (e.target.closest(".quota-down") && index < quotaRules.length - 1) {
+        [quotaRules[index + 1], quotaRules[index]] = [quotaRules[index], quotaRules[index + 1]];
+      } else {
+        return;
+      }
+      renderQuotaRules();
+    });
+  }
+
+  document.getElementById("add-quota-rule-btn")?.addEventListener("click", () => {
+    if (guildRoles.length === 0) {
+      showToast(t("errors.bot_must_be_running"));
+      return;
+    }
+    quotaRules = collectQuotaRules();
+    quotaRules.push({ roleId: guildRoles[0].id, movies: 5, seasons: 2, days: 7 });
+    renderQuotaRules();
+  });
+
+  // --- Request Routing ---
+  let routingRules = [];
+  let routingRulesLoaded = false;
+  let routingProfiles = [];
+  let routingServers = [];
+  const routingRulesContainer = document.getElementById("routing-rules");
+
+  const splitList = (value) =>
+    value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+  // Profiles and servers come from Seerr; saved values that aren't in the
+  // fetched list (e.g. Seerr unreachable) are kept as-is so they aren't lost
+  async function loadRoutingTargets() {
+    const url = document.getElementById("SEERR_URL")?.value;
+    const apiKey = document.getElementById("SEERR_API_KEY")?.value;
+    if (!url || !apiKey) return;
+
+    try {
+      const [profilesResponse, serversResponse] = await Promise.all([
+        fetch("/api/seerr/quality-profiles", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ url, apiKey }),
+        }),
+        fetch("/api/seerr/servers", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ url, apiKey }),
+        }),
+      ]);
+      const profilesResult = await profilesResponse.json();
+      const serversResult = await serversResponse.json();
+      routingProfiles = Array.isArray(profilesResult.profiles) ? profilesResult.profiles : [];
+      routingServers = Array.isArray(serversResult.servers) ? serversResult.servers : [];
+
+      routingRules = collectRoutingRules();
+      renderRoutingRules();
+    } catch (error) {}
+  }
+
+  function buildTargetOptions(items, selected, toValue, toLabel) {
+    const options = items.map((item) => {
+      const value = toValue(item);
+      return `<option value="${escapeAttr(value)}" ${value === selected ? "selected" : ""}>${escapeHtml(toLabel(item))}</option>`;
+    });
+    if (selected && !items.some((item) => toValue(item) === selected)) {
+      options.push(`<option value="${escapeAttr(selected)}" selected>${escapeHtml(selected)}</option>`);
+    }
+    return '<option value="">Default</option>' + options.join("");
+  }
+
+  const typeEmoji = (type) => (type === "radarr" ? "🎬" : "📺");
+
+  function renderRoutingRules() {
+    if (!routingRulesContainer) return;
+
+    if (routingRules.length === 0) {
+      routingRulesContainer.innerHTML =
+        '<p class="form-text" style="opacity: 0.7; font-style: italic;">No routing rules — all requests use the defaults.</p>';
+      return;
+    }
+
+    routingRulesContainer.innerHTML = routingRules
+      .map((rule, index) => {
+        const selectedRoles = Array.isArray(rule.roles) ? rule.roles : [];
+        const roleOptions = guildRoles
+          .map(
+            (role) =>
+              `<option value="${escapeAttr(role.id)}" ${
+                selectedRoles.includes(role.id) ? "selected" : ""
+              }>${escapeHtml(role.name)}</option>`
+          )
+          .join("");
+        const join = (list) => escapeAttr((Array.isArray(list) ? list : []).join(", "));
+
+        return `
+        <div class="rule-row rule-card" data-index="${index}">
+          <div class="rule-line">
+            <strong>#${index + 1}</strong>
+            <input type="text" class="routing-name" placeholder="Rule name" value="${escapeAttr(rule.name || "")}">
+            <select class="routing-media">
+              <option value="any" ${!rule.mediaType || rule.mediaType === "any" ? "selected" : ""}>Movies & TV</option>
+              <option value="movie" ${rule.mediaType === "movie" ? "selected" : ""}>Movies</option>
+              <option value="tv" ${rule.mediaType === "tv" ? "selected" : ""}>TV</option>
+            </select>
+            <div class="rule-actions">
+              <button type="button" class="btn btn-secondary btn-sm routing-up" title="Move up" ${index === 0 ? "disabled" : ""}><i class="bi bi-arrow-up"></i></button>
+              <button type="button" class="btn btn-secondary btn-sm routing-down" title="Move down" ${index === routingRules.length - 1 ? "disabled" : ""}><i class="bi bi-arrow-down"></i></button>
+              <button type="button" class="btn btn-danger btn-sm routing-remove" title="Remove"><i class="bi bi-trash"></i></button>
+            </div>
+          </div>
+          <div class="rule-line">
+            <span class="rule-label">When</span>
+            <select class="routing-roles" multiple size="3" title="Any of these roles (none selected = everyone)">${roleOptions}</select>
+            <input type="text" class="routing-genres" placeholder="Genres, e.g. Animation" value="${join(rule.genres)}">
+            <input type="text" class="routing-languages" placeholder="Original languages, e.g. ja, ko" value="${join(rule.languages)}">
+            <input type="text" class="routing-tags" placeholder="Requested with tags" value="${join(rule.tags)}">
+          </div>
+          <div class="rule-line">
+            <span class="rule-label">Then</span>
+            <select class="routing-profile" title="Quality profile">${buildTargetOptions(
+              routingProfiles,
+              rule.profile || "",
+              (p) => `${p.id}|${p.serverId}|${p.type}`,
+              (p) => `${typeEmoji(p.type)} ${p.name} (${p.serverName})`
+            )}</select>
+            <select class="routing-server" title="Server (used when no quality profile is set)">${buildTargetOptions(
+              routingServers,
+              rule.server || "",
+              (srv) => `${srv.id}|${srv.type}`,
+              (srv) => `${typeEmoji(srv.type)} ${srv.name}`
+            )}</select>
+            <input type="text" class="routing-root" placeholder="Root folder" value="${escapeAttr(rule.rootFolder || "")}">
+            <input type="text" class="routing-apply-tags" placeholder="Add tags" value="${join(rule.applyTags)}">
+          </div>
+        </div>
+      `;
+      })
+      .join("");
+  }
+
+  function collectRoutingRules() {
+    if (!routingRulesContainer) return [];
+    return Array.from(routingRulesContainer.querySelectorAll(".rule-card")).map(
+      (card) => ({
+        name: card.querySelector(".routing-name").value.trim(),
+        mediaType: card.querySelector(".routing-media").value,
+        roles: Array.from(card.querySelector(".routing-roles").selectedOptions).map(
+          (option) => option.value
+        ),
+        genres: splitList(card.querySelector(".routing-genres").value),
+        languages: splitList(card.querySelector(".routing-languages").value),
+        tags: splitList(card.querySelector(".routing-tags").value),
+        profile: card.querySelector(".routing-profile").value,
+        server: card.querySelector(".routing-server").value,
+        rootFolder: card.querySelector(".routing-root").value.trim(),
+        applyTags: splitList(card.querySelector(".routing-apply-tags").value),
+      })
+    );
+  }
+
+  if (routingRulesContainer) {
+    routingRulesContainer.addEventListener("click", (e) => {
+      const card = e.target.closest(".rule-card");
+      if (!card) return;
+      const index = parseInt(card.dataset.index, 10);
+
+      if (e.target.closest(".routing-remove")) {
+        routingRules = collectRoutingRules();
+        routingRules.splice(index, 1);
+      } else if (e.target.closest(".routing-up") && index > 0) {
+        routingRules = collectRoutingRules();
+        [routingRules[index - 1], routingRules[index]] = [routingRules[index], routingRules[index - 1]];
+      } else if (e.target.closest(".routing-down") && index < routingRules.length - 1) {
+        routingRules = collectRoutingRules();
+        [routingRules[index + 1], routingRules[index]] = [routingRules[index], routingRules[index + 1]];
+      } else {
+        return;
+      }
+      renderRoutingRules();
+    });
+  }
+
+  document.getElementById("add-routing-rule-btn")?.addEventListener("click", () => {
+    if (!routingRulesLoaded) {
+      showToast(t("errors.bot_must_be_running"));
+      return;
+    }
+    routingRules = collectRoutingRules();
+    routingRules.push({ name: "", mediaType: "any" });
+    renderRoutingRules();
+  });
+
+  document.getElementById("routing-dry-run-btn")?.addEventListener("click", async () => {
+    const resultEl = document.getElementById("routing-dry-run-result");
+    const discordUserId = document.getElementById("routing-dry-run-user").value.trim();
+    const title = document.getElementById("routing-dry-run-title").value.trim();
+    const tags = splitList(document.getElementById("routing-dry-run-tags").value);
+
+    if (!discordUserId || !title) {
+      resultEl.textContent = "Enter a Discord user ID and a title.";
+      resultEl.style.color = "#f38ba8";
+      return;
+    }
+
+    resultEl.textContent = "Testing...";
+    resultEl.style.color = "var(--text)";
+
+    try {
+      const response = await fetch("/api/seerr/routing-dry-run", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          discordUserId,
+          title,
+          tags,
+          rules: routingRulesLoaded ? collectRoutingRules() : undefined,
+        }),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        throw new Error(data.message || "Dry run failed");
+      }
+
+      const { media, rule, target } = data;
+      const describe = (value) => (value === null || value === undefined || value === "" ? "default" : value);
+      const lines = [
+        `${media.mediaType === "movie" ? "🎬" : "📺"} ${media.title} — genres: ${media.genres.join(", ") || "none"}, language: ${media.language || "unknown"}`,
+        rule ? `Matches rule #${rule.index + 1} "${rule.name}"` : "No rule matches — defaults apply",
+        `Profile ID: ${describe(target.profileId)} · Server ID: ${describe(target.serverId)} · Root folder: ${describe(target.rootFolder)} · Tags: ${target.tags.join(", ") || "none"}`,
+      ];
+      if (!data.memberFound) {
+        lines.push("⚠️ User not found in the server, so role conditions were not matched.");
+      }
+      resultEl.innerHTML = lines.map(escapeHtml).join("<br>");
+      resultEl.style.color = "var(--text)";
+    } catch (error) {
+      resultEl.textContent = error.message;
+      resultEl.style.color = "#f38ba8";
+    }
+  });
+
   // --- LOGS PAGE FUNCTIONALITY ---
   const logsPageBtn = document.getElementById("logs-page-btn");
   const logsSection = document.getElementById("logs-section");
@@ -3415,6 +4501,11 @@ document.addEventListener("DOMContentLoaded", async () => {
     return div.innerHTML;
   }
 
+  // escapeHtml leaves quotes alone, which breaks values inside attributes
+  function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, "&quot;");
+  }
+
   // Update connection status indicators
   async function updateConnectionStatus() {
     const seerrIndicator = document.getElementById(
@@ -3586,6 +4677,433 @@ document.addEventListener("DOMContentLoaded", async () => {
       });
     });
 
+  // --- REQUESTS PAGE FUNCTIONALITY ---
+  const requestsPageBtn = document.getElementById("requests-page-btn");
+  const requestsSection = document.getElementById("requests-section");
+  const requestsTableBody = document.getElementById("requests-table-body");
+  const REQUESTS_PAGE_SIZE = 50;
+  const requestsState = { sort: "createdAt", order: "desc", offset: 0, total: 0 };
+  let requestsSearchTimer = null;
+
+  function getRequestsFilters() {
+    const params = new URLSearchParams({
+      sort: requestsState.sort,
+      order: requestsState.order,
+    });
+    const filters = {
+      search: document.getElementById("requests-search").value.trim(),
+      mediaType: document.getElementById("requests-media-filter").value,
+      outcome: document.getElementById("requests-outcome-filter").value,
+      from: document.getElementById("requests-from").value,
+      to: document.getElementById("requests-to").value,
+    };
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    return params;
+  }
+
+  async function loadRequestHistory() {
+    const params = getRequestsFilters();
+    params.set("limit", REQUESTS_PAGE_SIZE);
+    params.set("offset", requestsState.offset);
+
+    try {
+      const response = await fetch(`/api/request-history?${params}`);
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+      const data = await response.json();
+      requestsState.total = data.total;
+
+      if (data.results.length === 0) {
+        requestsTableBody.innerHTML =
+          '<tr><td colspan="6" class="logs-empty">No requests found</td></tr>';
+      } else {
+        requestsTableBody.innerHTML = data.results
+          .map((entry) => {
+            const details = [
+              entry.mediaType === "tv" && entry.seasons?.length
+                ? `Seasons: ${entry.seasons.join(", ")}`
+                : null,
+              entry.tags?.length ? `Tags: ${entry.tags.join(", ")}` : null,
+              entry.serverId !== null && entry.serverId !== undefined
+                ? `Server ${entry.serverId}${entry.profileId !== null && entry.profileId !== undefined ? ` · Profile ${entry.profileId}` : ""}`
+                : null,
+              entry.rootFolder ? `Root: ${entry.rootFolder}` : null,
+            ].filter(Boolean);
+
+            return `
+            <tr>
+              <td>${escapeHtml(new Date(entry.createdAt).toLocaleString())}</td>
+              <td>
+                ${entry.mediaType === "movie" ? "🎬" : "📺"} ${escapeHtml(entry.title || `TMDB ${entry.tmdbId}`)}
+                <div class="request-meta">TMDB ${escapeHtml(String(entry.tmdbId))}${entry.seerrRequestId ? ` · Seerr #${escapeHtml(String(entry.seerrRequestId))}` : ""}</div>
+              </td>
+              <td>
+                ${escapeHtml(entry.discordUsername || entry.discordUserId)}
+                <div class="request-meta">${entry.seerrUserId ? `Seerr user ${escapeHtml(String(entry.seerrUserId))}` : "Not mapped"}</div>
+              </td>
+              <td class="request-meta">${details.map(escapeHtml).join("<br>") || "—"}</td>
+              <td>
+                ${entry.autoApprove ? "Yes" : "No"}
+                <div class="request-meta">${escapeHtml(entry.autoApproveReason || "")}</div>
+              </td>
+              <td>
+                <span class="request-outcome ${escapeAttr(entry.outcome)}">${escapeHtml(entry.outcome)}</span>
+                ${entry.error ? `<div class="request-meta">${escapeHtml(entry.error)}</div>` : ""}
+              </td>
+            </tr>
+          `;
+          })
+          .join("");
+      }
+
+      const first = data.total === 0 ? 0 : requestsState.offset + 1;
+      const last = Math.min(requestsState.offset + REQUESTS_PAGE_SIZE, data.total);
+      document.getElementById("requests-count").textContent =
+        `${first}–${last} of ${data.total} request${data.total !== 1 ? "s" : ""}`;
+      document.getElementById("requests-prev-btn").disabled = requestsState.offset === 0;
+      document.getElementById("requests-next-btn").disabled = last >= data.total;
+    } catch (error) {
+      requestsTableBody.innerHTML =
+        '<tr><td colspan="6" class="logs-empty">Failed to load request history</td></tr>';
+    }
+  }
+
+  function reloadRequestHistory() {
+    requestsState.offset = 0;
+    loadRequestHistory();
+  }
+
+  if (requestsPageBtn && requestsSection) {
+    requestsPageBtn.addEventListener("click", async () => {
+      setupSection.style.display = "none";
+      logsSection.style.display = "none";
+      requestsSection.style.display = "flex";
+      document.querySelector(".hero").style.display = "none";
+      document.querySelector(".footer").style.display = "none";
+      window.scrollTo(0, 0);
+      reloadRequestHistory();
+    });
+
+    document
+      .getElementById("back-to-config-from-requests-btn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        requestsSection.style.display = "none";
+        setupSection.style.display = "block";
+        document.querySelector(".hero").style.display = "block";
+        document.querySelector(".footer").style.display = "block";
+        window.scrollTo(0, 0);
+      });
+
+    document.getElementById("requests-search").addEventListener("input", () => {
+      clearTimeout(requestsSearchTimer);
+      requestsSearchTimer = setTimeout(reloadRequestHistory, 300);
+    });
+    for (const id of ["requests-media-filter", "requests-outcome-filter", "requests-from", "requests-to"]) {
+      document.getElementById(id).addEventListener("change", reloadRequestHistory);
+    }
+
+    requestsSection.querySelectorAll("th[data-sort]").forEach((th) => {
+      th.addEventListener("click", () => {
+        if (requestsState.sort === th.dataset.sort) {
+          requestsState.order = requestsState.order === "asc" ? "desc" : "asc";
+        } else {
+          requestsState.sort = th.dataset.sort;
+          requestsState.order = th.dataset.sort === "createdAt" ? "desc" : "asc";
+        }
+        reloadRequestHistory();
+      });
+    });
+
+    document.getElementById("requests-prev-btn").addEventListener("click", () => {
+      requestsState.offset = Math.max(0, requestsState.offset - REQUESTS_PAGE_SIZE);
+      loadRequestHistory();
+    });
+    document.getElementById("requests-next-btn").addEventListener("click", () => {
+      requestsState.offset += REQUESTS_PAGE_SIZE;
+      loadRequestHistory();
+    });
+
+    document.getElementById("requests-export-btn").addEventListener("click", () => {
+      window.location.href = `/api/request-history/export?${getRequestsFilters()}`;
+    });
+
+    document
+      .querySelectorAll(".nav-item, .about-button, .about-link")
+      .forEach((item) => {
+        item.addEventListener("click", (e) => {
+          if (requestsSection.style.display !== "none") {
+            e.preventDefault();
+            requestsSection.style.display = "none";
+            setupSection.style.display = "block";
+            window.scrollTo(0, 0);
+          }
+        });
+      });
+  }
+
+  // --- BULK IMPORT PAGE FUNCTIONALITY ---
+  const importPageBtn = document.getElementById("import-page-btn");
+  const importSection = document.getElementById("import-section");
+  const importTableBody = document.getElementById("import-table-body");
+  const IMPORT_POLL_INTERVAL = 2000;
+  const importState = { job: null, pollTimer: null };
+
+  const IMPORT_PHASE_LABELS = {
+    resolving: "Matching titles on TMDB",
+    ready: "Review the matches, then request the selected titles",
+    submitting: "Sending requests to Seerr",
+    done: "Import finished",
+  };
+
+  function getImportLibraryLabel(mediaStatus) {
+    if (!mediaStatus) return "—";
+    if (mediaStatus >= 5) return "✅ Available";
+    if (mediaStatus >= 4) return "🟡 Partially available";
+    if (mediaStatus >= 2) return "⏳ Requested";
+    return "❌ Missing";
+  }
+
+  function getImportConfidenceClass(confidence) {
+    if (confidence >= 85) return "high";
+    if (confidence >= 50) return "medium";
+    return "low";
+  }
+
+  function getImportResult(item) {
+    if (item.result === "requested") return '<span class="request-outcome approved">requested</span>';
+    if (item.result === "failed") return '<span class="request-outcome failed">failed</span>';
+    if (item.result === "skipped") return '<span class="request-outcome cancelled">skipped</span>';
+    if (item.status === "not_found") return '<span class="request-outcome declined">not found</span>';
+    if (item.status === "error") return '<span class="request-outcome failed">error</span>';
+    if (item.status === "pending") return '<span class="request-outcome pending">matching…</span>';
+    return "—";
+  }
+
+  function renderImportJob() {
+    const job = importState.job;
+    const progress = document.getElementById("import-progress");
+    if (!job) {
+      progress.style.display = "none";
+      return;
+    }
+
+    // Keep the admin's checkbox choices across progress refreshes
+    const checked = new Map(
+      [...importTableBody.querySelectorAll(".import-row-check")].map((box) => [
+        Number(box.dataset.row),
+        box.checked,
+      ])
+    );
+    const editable = job.phase === "ready";
+
+    importTableBody.innerHTML = job.items
+      .map((item) => {
+        const canSelect = editable && item.status === "resolved";
+        const isChecked = canSelect ? (checked.get(item.row) ?? item.selected) : item.selected;
+        const match = item.tmdbId
+          ? `${item.mediaType === "tv" ? "📺" : "🎬"} <a href="https://www.themoviedb.org/${escapeAttr(item.mediaType)}/${escapeAttr(String(item.tmdbId))}" target="_blank" rel="noopener noreferrer">${escapeHtml(item.title || `TMDB ${item.tmdbId}`)}</a>${item.year ? ` (${escapeHtml(item.year)})` : ""}
+              <div class="request-meta">TMDB ${escapeHtml(String(item.tmdbId))}</div>`
+          : "—";
+
+        return `
+            <tr>
+              <td><input type="checkbox" class="import-row-check" data-row="${item.row}" ${isChecked ? "checked" : ""} ${canSelect ? "" : "disabled"}></td>
+              <td class="request-meta">${item.row}</td>
+              <td>${escapeHtml(item.input)}</td>
+              <td>${match}</td>
+              <td>${item.confidence !== null ? `<span class="import-confidence ${getImportConfidenceClass(item.confidence)}">${item.confidence}%</span>` : "—"}</td>
+              <td>${getImportLibraryLabel(item.mediaStatus)}</td>
+              <td>
+                ${getImportResult(item)}
+                ${item.error ? `<div class="request-meta">${escapeHtml(item.error)}</div>` : ""}
+              </td>
+            </tr>
+          `;
+      })
+      .join("");
+
+    const percent = job.total ? Math.round((job.processed / job.total) * 100) : 100;
+    progress.style.display = "flex";
+    document.getElementById("import-progress-fill").style.width = `${percent}%`;
+    document.getElementById("import-progress-text").textContent =
+      job.phase === "resolving" || job.phase === "submitting"
+        ? `${IMPORT_PHASE_LABELS[job.phase]}: ${job.processed} of ${job.total}`
+        : IMPORT_PHASE_LABELS[job.phase];
+
+    document.getElementById("import-select-all").disabled = !editable;
+    document.getElementById("import-user").disabled = !editable;
+    document.getElementById("import-auto-approve").disabled = !editable;
+    document.getElementById("import-report-btn").disabled = job.phase === "resolving";
+    updateImportSubmitButton();
+  }
+
+  function updateImportSubmitButton() {
+    const selected = importTableBody.querySelectorAll(".import-row-check:checked:not(:disabled)").length;
+    const submitBtn = document.getElementById("import-submit-btn");
+    submitBtn.disabled = importState.job?.phase !== "ready" || selected === 0;
+    submitBtn.innerHTML = `<i class="bi bi-send"></i> Request selected${selected ? ` (${selected})` : ""}`;
+  }
+
+  async function pollImportJob() {
+    clearTimeout(importState.pollTimer);
+    if (!importState.job) return;
+
+    try {
+      const response = await fetch(`/api/import/${encodeURIComponent(importState.job.id)}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.message);
+      importState.job = data.job;
+      renderImportJob();
+    } catch (error) {
+      showToast(`Import: ${error.message}`);
+      return;
+    }
+
+    if (importState.job.phase === "resolving" || importState.job.phase === "submitting") {
+      importState.pollTimer = setTimeout(pollImportJob, IMPORT_POLL_INTERVAL);
+    }
+  }
+
+  async function loadImportUsers() {
+    const select = document.getElementById("import-user");
+    try {
+      const response = await fetch("/api/user-mappings");
+      const mappings = await response.json();
+      // The first option comes from the page, already translated
+      select.innerHTML =
+        select.options[0].outerHTML +
+        (Array.isArray(mappings) ? mappings : [])
+          .map(
+            (m) =>
+              `<option value="${escapeAttr(m.discordUserId)}">${escapeHtml(m.discordDisplayName || m.discordUsername || m.discordUserId)} → ${escapeHtml(m.seerrDisplayName || `Seerr user ${m.seerrUserId}`)}</option>`
+          )
+          .join("");
+    } catch (_) {
+      // Requesting as the API key owner still works
+    }
+  }
+
+  if (importPageBtn && importSection) {
+    importPageBtn.addEventListener("click", () => {
+      setupSection.style.display = "none";
+      logsSection.style.display = "none";
+      importSection.style.display = "flex";
+      document.querySelector(".hero").style.display = "none";
+      document.querySelector(".footer").style.display = "none";
+      window.scrollTo(0, 0);
+      loadImportUsers();
+      pollImportJob();
+    });
+
+    const leaveImportPage = () => {
+      clearTimeout(importState.pollTimer);
+      importSection.style.display = "none";
+      setupSection.style.display = "block";
+      window.scrollTo(0, 0);
+    };
+
+    document
+      .getElementById("back-to-config-from-import-btn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        leaveImportPage();
+        document.querySelector(".hero").style.display = "block";
+        document.querySelector(".footer").style.display = "block";
+      });
+
+    document.getElementById("import-upload-btn").addEventListener("click", async () => {
+      const file = document.getElementById("import-file").files[0];
+      if (!file) {
+        showToast("Choose a CSV or JSON file first.");
+        return;
+      }
+
+      const uploadBtn = document.getElementById("import-upload-btn");
+      uploadBtn.disabled = true;
+      try {
+        const response = await fetch("/api/import", {
+          method: "POST",
+          headers: { "Content-Type": "text/plain" },
+          body: await file.text(),
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || data.error);
+
+        importTableBody.innerHTML = "";
+        importState.job = data.job;
+        renderImportJob();
+        importState.pollTimer = setTimeout(pollImportJob, IMPORT_POLL_INTERVAL);
+      } catch (error) {
+        showToast(`Import failed: ${error.message}`);
+      } finally {
+        uploadBtn.disabled = false;
+      }
+    });
+
+    importTableBody.addEventListener("change", (e) => {
+      if (e.target.classList.contains("import-row-check")) updateImportSubmitButton();
+    });
+
+    document.getElementById("import-select-all").addEventListener("change", (e) => {
+      importTableBody
+        .querySelectorAll(".import-row-check:not(:disabled)")
+        .forEach((box) => {
+          box.checked = e.target.checked;
+        });
+      updateImportSubmitButton();
+    });
+
+    document.getElementById("import-submit-btn").addEventListener("click", async () => {
+      const rows = [...importTableBody.querySelectorAll(".import-row-check:checked:not(:disabled)")].map(
+        (box) => Number(box.dataset.row)
+      );
+      const user = document.getElementById("import-user");
+      const who = user.value ? user.options[user.selectedIndex].textContent : "the API key owner";
+      if (!confirm(`Request ${rows.length} title${rows.length !== 1 ? "s" : ""} as ${who}?`)) return;
+
+      try {
+        const response = await fetch(
+          `/api/import/${encodeURIComponent(importState.job.id)}/submit`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              rows,
+              discordUserId: user.value || null,
+              autoApprove: document.getElementById("import-auto-approve").checked,
+            }),
+          }
+        );
+        const data = await response.json();
+        if (!data.success) throw new Error(data.message || data.error);
+
+        importState.job = data.job;
+        renderImportJob();
+        importState.pollTimer = setTimeout(pollImportJob, IMPORT_POLL_INTERVAL);
+      } catch (error) {
+        showToast(`Import failed: ${error.message}`);
+      }
+    });
+
+    document.getElementById("import-report-btn").addEventListener("click", () => {
+      if (!importState.job) return;
+      window.location.href = `/api/import/${encodeURIComponent(importState.job.id)}/report`;
+    });
+
+    document
+      .querySelectorAll(".nav-item, .about-button, .about-link")
+      .forEach((item) => {
+        item.addEventListener("click", (e) => {
+          if (importSection.style.display !== "none") {
+            e.preventDefault();
+            leaveImportPage();
+          }
+        });
+      });
+  }
+
   // --- Hide/Show Header Functionality ---
   const hideHeaderBtn = document.getElementById("hide-header-btn");
   const showHeaderBtn = document.getElementById("show-header-btn");